@@ -2,10 +2,13 @@
  * Background service worker: single source of truth for entries and page state.
  *
  * Architecture:
- * - getMatchingEntries(entries, pageInfo) - pure function, returns matching entries
+ * - getMatchingEntries(entries, pageInfo) - pure function, returns matching entries (lib/matching.js index)
  * - activeTabState[tabId] = { pageInfo } - tracked state per tab
  * - refreshAll(tabId) - loads entries, computes matches, updates context menu, broadcasts to sidepanel
  *
+ * - Storage service: every write to stored data (from here or, via storageOp messages, from the side panel)
+ *   runs through one queue, one operation at a time, so concurrent writers cannot overwrite each other
+ *
  * Triggers for refreshAll:
  * 1. tabs.onUpdated (status=complete) - page load
  * 2. storage.onChanged - entries added/removed/updated
@@ -13,9 +16,51 @@
  * 4. getState message - sidepanel requests current state
  */
 
-const STORAGE_KEY = 'lazyForms';
-const VERSION = 1;
+import {
+  load,
+  save,
+  saveSettings as saveStoredSettings,
+  addEntry,
+  getEntryById,
+  updateEntries,
+  reviseEntry,
+  isStorageKey,
+  isTrashed,
+  isExpired,
+  expireEntries,
+  deleteEntry,
+  restoreEntry,
+  purgeEntry,
+  purgeTrash,
+  putEntry,
+  getConflicts,
+  saveConflict,
+  removeConflict,
+  getUsage,
+  recordUse,
+  getStorageUsage,
+  decodeUnset,
+  describeStorageError,
+  isOutdatedIndex,
+  migrateStorage,
+  STORAGE_KEY,
+  ENTRY_KEY_PREFIX,
+  CONFLICTS_KEY,
+  USAGE_KEY,
+} from './lib/storage.js';
+import { VAULT_SESSION_KEY, getSessionKey, openEntry } from './lib/vault.js';
+import { isConcurrentEdit, mergeEntries, writerName } from './lib/merge.js';
+import { getDevice } from './lib/device.js';
+import { getProfiles, activeProfile, isEntryInProfile, profileSiteKey, profileSwitchSettings } from './lib/profiles.js';
+import { sortByFrecency } from './lib/frecency.js';
+import { takeSnapshot, listSnapshots, getSnapshot, restoreSnapshot, sealSnapshots } from './lib/snapshots.js';
+import { splitContextKey, originMatches, pathnameMatches, buildMatchIndex, findMatches, selectorChecks, urlWithoutQuery, isSameFrameUrl } from './lib/matching.js';
+import { hasFingerprint, resolveFingerprint } from './lib/fingerprint.js';
+import { frameIdForUrl, tabFrames } from './lib/frames.js';
+
 const PENDING_STORE_KEY = 'lazy-forms-pendingStore';
+// Set when the side panel is opened to unlock the vault (it shows the passphrase prompt on load)
+const PENDING_UNLOCK_KEY = 'lazy-forms-pendingUnlock';
 
 // Global extension settings with safe defaults.
 const DEFAULT_SETTINGS = {
@@ -28,11 +73,25 @@ const DEFAULT_SETTINGS = {
   shortcutOpenMenu: 'Ctrl+Alt+L',
   // Keyboard shortcut used to open the side panel.
   shortcutOpenPanel: 'Ctrl+Alt+K',
+  // Days a deleted value stays in "Recently deleted" before it is removed for good.
+  trashRetentionDays: 30,
+  // Order of floating menu, quick slot and side panel suggestions: 'specificity' (most specific context
+  // first, then manual order) or 'frecency' (most used recently first).
+  suggestionOrder: 'specificity',
+  // Profiles that group entries, and which one is in use globally and per site (see lib/profiles.js).
+  profiles: [],
+  activeProfileId: null,
+  siteProfiles: {},
 };
 
+const TRASH_ALARM = 'lazy-forms-purgeTrash';
+const EXPIRY_ALARM = 'lazy-forms-expireEntries';
+const SNAPSHOT_ALARM = 'lazy-forms-snapshot';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
 // ============ STATE ============
 
-// Page info per tab: { url, origin, pathname, selector }
+// Page info per tab: { url, origin, pathname, selector, field?, frameUrl?, frameId? }
 const activeTabState = {};
 
 // Quick slot entry IDs (for root menu items)
@@ -43,6 +102,39 @@ const quickSlots = Array(MAX_QUICK_SLOTS).fill(null);
 let entriesCache = [];
 let cacheValid = false;
 
+// Last loadStorage() result, reused while cacheValid (so its entry list and match index are too).
+// storageGeneration counts invalidations, so a load that overlapped a change is not cached.
+let loadedState = null;
+let storageGeneration = 0;
+
+// loadStorage() read in progress ({ generation, promise }), shared by callers until it finishes
+let pendingLoad = null;
+
+// Vault state from the last load: enabled = values are encrypted; unlocked = key is in session storage
+let vaultState = { enabled: false, unlocked: false };
+
+// Unresolved merge conflicts (for entries that still exist) from the last load
+let conflictsState = [];
+
+// settings.suggestionOrder from the last load
+let suggestionOrder = DEFAULT_SETTINGS.suggestionOrder;
+
+// Settings from the last load, for the profile in use on each page
+let settingsState = DEFAULT_SETTINGS;
+
+// Field entries checked on each tab's page, per frame (content.js checkFieldSelectors): whose selector found its
+// field, whose found nothing, and of those whose fingerprint still picked out a field:
+// { page: URL without query, frames: { [frameId]: { found: Set<entryId>, missing: Set<entryId>, resolved: Set<entryId> } } }
+const selectorCheckState = {};
+
+// Checks last sent to each tab's frames (JSON of the frame's URL and checks), so unchanged ones are not sent again:
+// { [tabId]: { [frameId]: string } }
+const selectorChecksSent = {};
+
+// Wait for storage changes to settle (e.g. a save followed by its merge) before sending new checks
+const SELECTOR_CHECK_DEBOUNCE_MS = 1000;
+let selectorCheckTimer = null;
+
 // Tab that is currently in pick-element (aim) mode; null if none
 let pickModeTabId = null;
 
@@ -84,257 +176,380 @@ function openSidePanel(tabId, windowId) {
 
 // ============ STORAGE ============
 
-async function loadStorage() {
-  const result = await chrome.storage.sync.get(STORAGE_KEY);
-  const data = result[STORAGE_KEY];
-  const rawEntries = Array.isArray(data?.entries) ? data.entries : [];
-  const settings =
-    data && typeof data.settings === 'object'
-      ? { ...DEFAULT_SETTINGS, ...data.settings }
-      : { ...DEFAULT_SETTINGS };
-
-  entriesCache = rawEntries;
-  cacheValid = true;
-
-  return {
-    version: data?.version ?? VERSION,
-    entries: rawEntries,
+/**
+ * Load entries with values decrypted when the vault is unlocked, and this device's usage counts
+ * (useCount, lastUsedAt) attached. While locked, encrypted entries
+ * have an empty value and `locked: true` so menus can show them without revealing anything.
+ * Trashed entries are left out; only the side panel's "Recently deleted" view reads them.
+ * The result is cached until storage changes (invalidateStorageCache), and callers while it loads share one read.
+ */
+function loadStorage() {
+  if (cacheValid && loadedState) return Promise.resolve(loadedState);
+  if (pendingLoad?.generation === storageGeneration) return pendingLoad.promise;
+  const read = { generation: storageGeneration };
+  read.promise = readStorageState(read.generation).finally(() => {
+    if (pendingLoad === read) pendingLoad = null;
+  });
+  pendingLoad = read;
+  return read.promise;
+}
+
+/** One read for loadStorage; cached unless storage changed while it ran. */
+async function readStorageState(generation) {
+  const [data, conflicts, usage] = await Promise.all([load(), getConflicts(), getUsage()]);
+  const settings = { ...DEFAULT_SETTINGS, ...(data.settings || {}) };
+  const key = await getSessionKey(data.vault).catch(() => null);
+  const opened = await Promise.all(data.entries.filter((e) => !isTrashed(e)).map((e) => openEntry(key, e)));
+  const entries = opened.map((e) => (usage[e.id] ? { ...e, ...usage[e.id] } : e));
+  suggestionOrder = settings.suggestionOrder;
+  settingsState = settings;
+  vaultState = { enabled: !!data.vault, unlocked: !!key };
+  conflictsState = conflicts.filter((c) => entries.some((e) => e.id === c.entryId));
+
+  const state = {
+    version: data.version,
+    entries,
     settings,
+    vault: vaultState,
+    conflicts: conflictsState,
   };
+  if (generation === storageGeneration) {
+    entriesCache = entries;
+    loadedState = state;
+    cacheValid = true;
+  }
+  return state;
+}
+
+function invalidateStorageCache() {
+  cacheValid = false;
+  loadedState = null;
+  storageGeneration++;
 }
 
+// ============ STORAGE SERVICE ============
+
+let storageQueue = Promise.resolve();
+
+/**
+ * Run a storage operation after all earlier ones have finished. Reads go through the queue too, so a
+ * read sent after a write sees its result.
+ * @template T
+ * @param {() => Promise<T>} operation
+ * @returns {Promise<T>}
+ */
+function enqueueStorage(operation) {
+  // Our own writes invalidate the cache right away; storage.onChanged follows a little later
+  const result = storageQueue.then(operation).finally(invalidateStorageCache);
+  storageQueue = result.catch(() => {});
+  return result;
+}
+
+// Operations the side panel can request (lib/storage-client.js). Arguments arrive as JSON, with
+// "clear this field" sent as null (see encodeUnset in lib/storage.js).
+const STORAGE_OPS = {
+  load: () => load(),
+  getEntryById: (id) => getEntryById(id),
+  save: (data) => save(decodeUnset(data)),
+  addEntry: (entry) => addEntry(entry),
+  updateEntries: (updatesById) =>
+    updateEntries(Object.fromEntries(Object.entries(updatesById || {}).map(([id, u]) => [id, decodeUnset(u)]))),
+  reviseEntry: async (id, updates) => reviseEntry(id, decodeUnset(updates), await getDevice()),
+  deleteEntry: (id) => deleteEntry(id),
+  restoreEntry: (id, updates) => restoreEntry(id, decodeUnset(updates)),
+  purgeEntry: (id) => purgeEntry(id),
+  purgeTrash: (before) => purgeTrash(before ?? Infinity),
+  removeConflict: (entryId) => removeConflict(entryId),
+  recordUse: (id) => recordUse(id),
+  getStorageUsage: () => getStorageUsage(),
+  takeSnapshot: (reason) => takeSnapshot(reason),
+  listSnapshots: () => listSnapshots(),
+  getSnapshot: (id) => getSnapshot(id),
+  restoreSnapshot: (id, entries) => restoreSnapshot(id, entries ?? undefined),
+  sealSnapshots: () => sealSnapshots(),
+};
+
 function getEntriesCached() {
   if (cacheValid) return entriesCache;
   // Cache not valid, return empty (caller should use loadStorage for critical paths)
   return [];
 }
 
-async function saveSettings(partialSettings) {
-  if (!partialSettings || typeof partialSettings !== 'object') return;
-  const result = await chrome.storage.sync.get(STORAGE_KEY);
-  const existing = result[STORAGE_KEY] || { version: VERSION, entries: [], settings: DEFAULT_SETTINGS };
-  const mergedSettings = {
-    ...DEFAULT_SETTINGS,
-    ...(existing.settings || {}),
-    ...partialSettings,
-  };
-  const next = { ...existing, settings: mergedSettings };
-  await chrome.storage.sync.set({ [STORAGE_KEY]: next });
-  return mergedSettings;
+function saveSettings(partialSettings) {
+  if (!partialSettings || typeof partialSettings !== 'object') return Promise.resolve();
+  return enqueueStorage(async () => {
+    const { settings } = await load();
+    const mergedSettings = {
+      ...DEFAULT_SETTINGS,
+      ...(settings || {}),
+      ...partialSettings,
+    };
+    await saveStoredSettings(mergedSettings);
+    return mergedSettings;
+  });
 }
 
-// ============ MATCHING (pure function) ============
+/** Save settings and tell the side panel and content scripts (so they update without reload). */
+async function updateSettings(partialSettings) {
+  const merged = await saveSettings(partialSettings);
+
+  updateActionTitle(merged);
+
+  // Notify sidepanel and any other extension pages
+  safeSendMessage({ type: 'settingsUpdated', settings: merged });
+
+  // Broadcast to all tabs so content scripts update without reload
+  chrome.tabs.query({ url: ['http://*/*', 'https://*/*'] }, (tabs) => {
+    tabs.forEach((tab) => {
+      if (!tab.id) return;
+      chrome.tabs.sendMessage(tab.id, { type: 'settingsUpdated', settings: merged })?.catch(() => {});
+    });
+  });
 
-function globToRegex(glob) {
-  const escaped = glob.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
-  return new RegExp(`^${escaped}$`);
+  return merged;
 }
 
-function originMatches(keyOrigin, origin) {
-  if (!keyOrigin || !origin) return keyOrigin === origin;
-  if (keyOrigin.includes('*') || keyOrigin.includes('?')) {
-    try {
-      return globToRegex(keyOrigin).test(origin);
-    } catch {
-      return false;
-    }
+/**
+ * Another device's write replaced entries this device had edited without seeing them: merge both edits,
+ * write the result back (so it syncs out) and record true conflicts for the side panel.
+ * The merge is made in the storage queue from the entry as stored then, which later writes may have replaced.
+ */
+async function mergeConcurrentEdits(changes) {
+  const device = await getDevice();
+  for (const [key, { oldValue, newValue }] of Object.entries(changes)) {
+    if (!key.startsWith(ENTRY_KEY_PREFIX) || !isConcurrentEdit(oldValue, newValue, device.id)) continue;
+    await enqueueStorage(async () => {
+      const stored = await getEntryById(newValue.id);
+      if (!isConcurrentEdit(oldValue, stored, device.id)) return;
+      const result = mergeEntries(oldValue, stored, device.id);
+      if (!result) return;
+      await putEntry(result.merged);
+      if (result.conflicts) {
+        await saveConflict({
+          entryId: stored.id,
+          at: Date.now(),
+          device: { id: stored.updatedBy, name: writerName(stored) },
+          fields: result.conflicts,
+        });
+      }
+    });
   }
-  return keyOrigin === origin;
 }
 
-function matchesContext(entry, pageInfo) {
-  if (!pageInfo) return false;
-  const { url, origin, pathname, selector } = pageInfo;
-  switch (entry.contextType) {
-    case 'fieldOnly': {
-      if (!selector) return false;
-      const key = (entry.contextKey || '').trim();
-      if (!key) return false;
-
-      // Support wildcards for full keys: origin|pathname|selector
-      if (key.includes('|')) {
-        const parts = key.split('|');
-        if (parts.length === 3) {
-          const [keyOrigin, keyPathname, keySelector] = parts;
-
-          if (originMatches(keyOrigin, origin)) {
-            // Pathname: support '*' / '?' wildcards; empty or '*' means "any path"
-            let pathnameMatches = false;
-            if (!keyPathname || keyPathname === '*') {
-              pathnameMatches = true;
-            } else if (keyPathname.includes('*') || keyPathname.includes('?')) {
-              try {
-                pathnameMatches = globToRegex(keyPathname).test(pathname);
-              } catch {
-                pathnameMatches = false;
-              }
-            } else {
-              pathnameMatches = keyPathname === pathname;
-            }
-
-            if (pathnameMatches) {
-              // Selector: support '*' / '?' wildcards; empty or '*' means "any selector"
-              let selectorMatches = false;
-              if (!keySelector || keySelector === '*') {
-                selectorMatches = true;
-              } else if (keySelector.includes('*') || keySelector.includes('?')) {
-                try {
-                  selectorMatches = globToRegex(keySelector).test(selector);
-                } catch {
-                  selectorMatches = false;
-                }
-              } else {
-                selectorMatches = keySelector === selector;
-              }
-
-              if (selectorMatches) return true;
-            }
-          }
-        } else {
-          // Fallback for unexpected key shapes: keep old exact-match behavior
-          if (key === `${origin}|${pathname}|${selector}`) return true;
-        }
-        return false;
-      }
+/** Write stored data upgraded by lib/migrations.js (loading only upgrades it in memory). */
+function migrateStoredData() {
+  enqueueStorage(() => migrateStorage()).catch((err) => console.warn('[Lazy forms] Could not save migrated data', err));
+}
 
-      // Selector-only (e.g. #searchOverlayInput) → match this field on any site
-      // Now with optional '*' / '?' wildcards.
-      if (!key.includes('://')) {
-        if (key.includes('*') || key.includes('?')) {
-          try {
-            return globToRegex(key).test(selector);
-          } catch {
-            return false;
-          }
-        }
-        return selector === key;
-      }
-      return false;
-    }
-    case 'url':
-      return entry.contextKey === url;
-    case 'domain':
-      return entry.contextKey === origin;
-    case 'all':
-      return true;
-    case 'urlPattern': {
-      const key = entry.contextKey || '';
-      const parts = key.split('|');
-
-      // 1) origin|pathname|selector → origin and pathname can be exact or glob; selector can be exact or glob
-      // Examples:
-      //   https://puzzel.atlassian.net|*|#react-select-3-input
-      //   https://puzzel.atlassian.net|/some/path|#react-select-*-input
-      if (parts.length === 3 && selector) {
-        const [keyOrigin, keyPathname, keySelector] = parts;
-
-        if (originMatches(keyOrigin, origin)) {
-          // Pathname: support '*' / '?' wildcards; empty or '*' means "any path"
-          let pathnameMatches = false;
-          if (!keyPathname || keyPathname === '*') {
-            pathnameMatches = true;
-          } else if (keyPathname.includes('*') || keyPathname.includes('?')) {
-            try {
-              pathnameMatches = globToRegex(keyPathname).test(pathname);
-            } catch {
-              pathnameMatches = false;
-            }
-          } else {
-            pathnameMatches = keyPathname === pathname;
-          }
+/** Count a use of an entry whose value was just applied (for frecency ordering). */
+function recordEntryUse(entryId) {
+  enqueueStorage(() => recordUse(entryId)).catch((err) => console.warn('[Lazy forms] Could not record use', err));
+}
 
-          if (pathnameMatches) {
-            // Selector: support '*' / '?' wildcards
-            let selectorMatches = false;
-            if (!keySelector || keySelector === '*') {
-              selectorMatches = true;
-            } else if (keySelector.includes('*') || keySelector.includes('?')) {
-              try {
-                selectorMatches = globToRegex(keySelector).test(selector);
-              } catch {
-                selectorMatches = false;
-              }
-            } else {
-              selectorMatches = keySelector === selector;
-            }
-
-            if (selectorMatches) return true;
-          }
-        }
-      }
+/** Move entries whose expiry date passed to the trash (used-up entries are moved when used; see recordUse). */
+async function trashExpiredEntries() {
+  await enqueueStorage(() => expireEntries());
+}
 
-      // 2) selector only (e.g. #searchOverlayInput) → match any site when this field is focused
-      if (!key.includes('|') && !key.includes('://') && selector && key.trim() !== '') {
-        if (selector === key.trim()) return true;
-      }
+/** Permanently remove trashed entries older than the retention setting. */
+async function purgeExpiredTrash() {
+  await enqueueStorage(async () => {
+    const { settings } = await load();
+    const days = Math.max(1, Number(settings.trashRetentionDays) || DEFAULT_SETTINGS.trashRetentionDays);
+    await purgeTrash(Date.now() - days * DAY_MS);
+  });
+}
 
-      // 3) Otherwise match as URL glob pattern
-      try {
-        return globToRegex(key).test(url);
-      } catch {
-        return false;
-      }
-    }
-    default:
-      return false;
+// ============ MATCHING (pure function) ============
+
+// Compiled match index per loaded entry list (see loadStorage: the list is reused until storage changes)
+const matchIndexes = new WeakMap();
+
+function getMatchIndex(entries) {
+  let index = matchIndexes.get(entries);
+  if (!index) {
+    index = buildMatchIndex(entries);
+    matchIndexes.set(entries, index);
   }
+  return index;
 }
 
 function getMatchingEntries(entries, pageInfo) {
   if (!pageInfo || !Array.isArray(entries)) return [];
-  return entries.filter((e) => matchesContext(e, pageInfo));
+  // Expired entries stay listed in the side panel until the expiry alarm moves them to the trash
+  const now = Date.now();
+  const { profileId } = activeProfile(settingsState, pageInfo.url);
+  return findMatches(getMatchIndex(entries), pageInfo).filter(
+    (e) => !isExpired(e, now) && isEntryInProfile(e, profileId, settingsState)
+  );
+}
+
+/**
+ * Record one frame's check of the field entries for its page: entries whose selector found nothing, unless the
+ * field's fingerprint still picks out one of the page's fields (fields). A new page in the tab starts over. Entries
+ * picked in another frame (their frameUrl is not this frame's URL) are not this frame's to report and are ignored.
+ * @param {chrome.tabs.Tab} tab
+ * @param {number} frameId
+ * @param {string | undefined} frameUrl the frame's URL
+ * @param {{ found?: string[], missing?: string[], fields?: object[] }} report
+ */
+function recordSelectorCheck(tab, frameId, frameUrl, report) {
+  const page = urlWithoutQuery(tab.url);
+  const state = selectorCheckState[tab.id]?.page === page ? selectorCheckState[tab.id] : { page, frames: {} };
+  const entries = getEntriesCached();
+  const inFrame = (id) => {
+    const entry = entries.find((e) => e.id === id);
+    return !entry?.frameUrl || (frameId !== 0 && isSameFrameUrl(entry.frameUrl, frameUrl));
+  };
+  const found = new Set((report.found || []).filter(inFrame));
+  const missing = new Set((report.missing || []).filter(inFrame));
+  const resolved = new Set();
+  for (const id of missing) {
+    const fingerprint = entries.find((e) => e.id === id)?.fingerprint;
+    if (hasFingerprint(fingerprint) && resolveFingerprint(fingerprint, report.fields)) resolved.add(id);
+  }
+  state.frames[frameId] = { found, missing, resolved };
+  selectorCheckState[tab.id] = state;
+}
+
+/**
+ * Field entries whose selector found nothing in a frame of the tab's page and was found in none; with
+ * withFingerprints, also left out are those whose fingerprint picked out a field instead.
+ */
+function missingSelectorIds(tabId, pageInfo, withFingerprints = false) {
+  const state = selectorCheckState[tabId];
+  if (!state || !pageInfo || state.page !== urlWithoutQuery(pageInfo.url)) return [];
+  const frames = Object.values(state.frames);
+  const found = new Set(frames.flatMap((f) => [...f.found, ...(withFingerprints ? f.resolved : [])]));
+  return [...new Set(frames.flatMap((f) => [...f.missing]))].filter((id) => !found.has(id));
+}
+
+/** Field entries whose field is gone from the tab's page: neither their selector nor their fingerprint found it. */
+function brokenFieldIds(tabId, pageInfo) {
+  return missingSelectorIds(tabId, pageInfo, true);
+}
+
+/**
+ * pageInfo with the entries whose selector is missing from the tab's page (missingSelectors): only those may match
+ * a field by their fingerprint (lib/matching.js).
+ */
+function withMissingSelectors(tabId, pageInfo) {
+  return pageInfo && { ...pageInfo, missingSelectors: missingSelectorIds(tabId, pageInfo) };
+}
+
+/**
+ * Ask the frames of the tab's page that should hold fields of field entries (selectorChecks) to check them
+ * (content.js reports back with fieldSelectorsChecked). Other frames (ads, about:blank) are not messaged, nor are
+ * frames whose checks did not change since they were last sent; what a frame with no checks left reported is
+ * forgotten.
+ */
+async function requestSelectorChecks(tabId) {
+  const tab = await chrome.tabs.get(tabId).catch(() => null);
+  const page = pageInfoFromUrl(tab?.url);
+  if (!page) return;
+  const { entries } = await loadStorage();
+  const { profileId } = activeProfile(settingsState, page.url);
+  const fieldEntries = entries.filter(
+    (e) => splitContextKey(e.contextKey || '').length === 3 && !isExpired(e) && isEntryInProfile(e, profileId, settingsState)
+  );
+  const frames = fieldEntries.length ? await tabFrames(tabId) : [];
+  const sent = (selectorChecksSent[tabId] ??= {});
+  const checked = new Set();
+  for (const { frameId, url } of frames) {
+    if (!/^https?:/.test(url)) continue;
+    const checks = selectorChecks(fieldEntries, frameId === 0 ? page : { ...page, frameUrl: url, frameId });
+    if (!checks.length) continue;
+    checked.add(String(frameId));
+    const signature = JSON.stringify([url, checks]);
+    if (sent[frameId] === signature) continue;
+    sent[frameId] = signature;
+    chrome.tabs.sendMessage(tabId, { type: 'checkFieldSelectors', checks }, { frameId })?.catch(() => {
+      if (sent[frameId] === signature) delete sent[frameId];
+    });
+  }
+  Object.keys(sent).filter((id) => !checked.has(id)).forEach((id) => delete sent[id]);
+  const recorded = selectorCheckState[tabId]?.frames ?? {};
+  const forgotten = Object.keys(recorded).filter((id) => !checked.has(id));
+  forgotten.forEach((id) => delete recorded[id]);
+  if (forgotten.length) refreshAll(tabId);
+}
+
+/** Send the active tab's frames their checks once storage changes have settled (see requestSelectorChecks). */
+function scheduleSelectorChecks() {
+  clearTimeout(selectorCheckTimer);
+  selectorCheckTimer = setTimeout(() => {
+    chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+      if (tabs[0]?.id) requestSelectorChecks(tabs[0].id).catch(() => {});
+    });
+  }, SELECTOR_CHECK_DEBOUNCE_MS);
+}
+
+/** Entries with a keyboard shortcut that work on a page: not expired and in the profile in use there. */
+function getShortcutEntries(entries, url) {
+  const { profileId } = activeProfile(settingsState, url);
+  return (entries || []).filter(
+    (e) => e.shortcut && String(e.shortcut).trim() && !isExpired(e) && isEntryInProfile(e, profileId, settingsState)
+  );
 }
 
 /** True if entry belongs in the floating menu "field" section (field-only or custom with path/selector). */
 function isFieldSectionEntry(entry) {
-  if (entry.contextType === 'fieldOnly') return true;
+  if (entry.contextType === 'fieldOnly' || entry.contextType === 'fieldSemantic') return true;
   if (entry.contextType === 'urlPattern') {
     const key = (entry.contextKey || '').trim();
     if (!key) return false;
     // Wildcard "*" (or URL-only pattern) has no path/selector → not field section
     if (key === '*' || key.includes('://')) return false;
     if (!key.includes('|')) return true; // selector-only (e.g. #id)
-    const parts = key.split('|');
+    const parts = splitContextKey(key);
     return parts.length === 3; // origin|pathname|selector
   }
   return false;
 }
 
 const FLOATING_MENU_SECTION_MAX = 5;
+const CUSTOM_CONTEXT_TYPES = new Set(['urlPattern', 'urlParts', 'regex']);
 
 /**
  * Build sections for the floating menu: field (all matching), url, domain, custom, all (max 5 each for latter).
- * Custom = urlPattern that matched by URL glob only (no path/selector); no duplicates from field section.
+ * Custom = urlPattern that matched by URL glob only (no path/selector), urlParts and regex; no duplicates from field section.
  */
 function getFloatingMenuSections(entries, pageInfo) {
   if (!pageInfo || !Array.isArray(entries)) {
     return { field: [], url: [], domain: [], custom: [], all: [] };
   }
   const matches = getMatchingEntries(entries, pageInfo);
-  const field = sortBySpecificity(matches.filter(isFieldSectionEntry));
+  const field = sortSuggestions(matches.filter(isFieldSectionEntry));
   const fieldIds = new Set(field.map((e) => e.id));
-  const url = sortBySpecificity(matches.filter((e) => e.contextType === 'url')).slice(0, FLOATING_MENU_SECTION_MAX);
-  const domain = sortBySpecificity(matches.filter((e) => e.contextType === 'domain')).slice(0, FLOATING_MENU_SECTION_MAX);
-  const custom = sortBySpecificity(
-    matches.filter((e) => e.contextType === 'urlPattern' && !fieldIds.has(e.id))
+  const url = sortSuggestions(matches.filter((e) => e.contextType === 'url')).slice(0, FLOATING_MENU_SECTION_MAX);
+  const domain = sortSuggestions(matches.filter((e) => e.contextType === 'domain' || e.contextType === 'site')).slice(0, FLOATING_MENU_SECTION_MAX);
+  const custom = sortSuggestions(
+    matches.filter((e) => CUSTOM_CONTEXT_TYPES.has(e.contextType) && !fieldIds.has(e.id))
   ).slice(0, FLOATING_MENU_SECTION_MAX);
-  const all = sortBySpecificity(matches.filter((e) => e.contextType === 'all')).slice(0, FLOATING_MENU_SECTION_MAX);
+  const all = sortSuggestions(matches.filter((e) => e.contextType === 'all')).slice(0, FLOATING_MENU_SECTION_MAX);
   return { field, url, domain, custom, all };
 }
 
-const SPECIFICITY_RANK = { fieldOnly: 0, url: 1, domain: 2, all: 3, urlPattern: 4 };
+const SPECIFICITY_RANK = { fieldOnly: 0, fieldSemantic: 1, url: 2, domain: 3, site: 4, all: 5, urlPattern: 6, urlParts: 6, regex: 6 };
 
 function sortOrder(a) {
   return a.order ?? a.createdAt ?? 0;
 }
 
+function compareSpecificity(a, b) {
+  const specA = SPECIFICITY_RANK[a.contextType] ?? 99;
+  const specB = SPECIFICITY_RANK[b.contextType] ?? 99;
+  if (specA !== specB) return specA - specB;
+  return sortOrder(a) - sortOrder(b);
+}
+
 function sortBySpecificity(entries) {
-  return [...entries].sort((a, b) => {
-    const specA = SPECIFICITY_RANK[a.contextType] ?? 99;
-    const specB = SPECIFICITY_RANK[b.contextType] ?? 99;
-    if (specA !== specB) return specA - specB;
-    return sortOrder(a) - sortOrder(b);
-  });
+  return [...entries].sort(compareSpecificity);
+}
+
+/** Sort entries offered as suggestions by the user's suggestionOrder setting. */
+function sortSuggestions(entries) {
+  return suggestionOrder === 'frecency' ? sortByFrecency(entries, compareSpecificity) : sortBySpecificity(entries);
 }
 
 // ============ CONTEXT MENU ============
@@ -344,7 +559,7 @@ function sortBySpecificity(entries) {
  * With predictive field tracking, field-specific entries are updated before right-click.
  */
 function updateQuickSlots(matches) {
-  const sorted = sortBySpecificity(matches);
+  const sorted = sortSuggestions(matches);
   const top = sorted.slice(0, MAX_QUICK_SLOTS);
 
   for (let i = 0; i < MAX_QUICK_SLOTS; i++) {
@@ -358,8 +573,11 @@ function updateQuickSlots(matches) {
       const hasLabel = entry.label != null && String(entry.label).trim() !== '';
       const raw = hasLabel
         ? String(entry.label).trim()
-        : (entry.value != null && String(entry.value) !== '' ? `"${entry.value}"` : '"(empty value)"');
-      const base = raw.length > 32 ? `${raw.slice(0, 29)}…` : raw;
+        : entry.locked
+          ? '(locked value)'
+          : (entry.value != null && String(entry.value) !== '' ? `"${entry.value}"` : '"(empty value)"');
+      const truncated = raw.length > 32 ? `${raw.slice(0, 29)}…` : raw;
+      const base = entry.locked ? `🔒 ${truncated}` : truncated;
       const withShortcut =
         entry.shortcut && String(entry.shortcut).trim()
           ? `${base} (${String(entry.shortcut).trim()})`
@@ -369,6 +587,79 @@ function updateQuickSlots(matches) {
   }
 }
 
+// editable = input, textarea; page = anywhere (so <select> and other form fields get the menu)
+const MENU_CONTEXTS = ['editable', 'page'];
+
+// Profile switcher submenu: "All values", one radio item per profile (PROFILE_ITEM_PREFIX + id) and "Only on this site"
+const PROFILE_MENU_ID = 'lazy-forms-profile';
+const PROFILE_ALL_ITEM_ID = 'lazy-forms-profile-all';
+const PROFILE_ITEM_PREFIX = 'lazy-forms-profile:';
+const PROFILE_SITE_ITEM_ID = 'lazy-forms-profile-site';
+
+// What the profile submenu was last built for, so it is only rebuilt when that changes
+let profileMenuSignature = null;
+let profileMenuUpdate = Promise.resolve();
+
+/**
+ * Rebuild the profile submenu for a page (its checked item depends on the site). Hidden while there are no profiles.
+ * Rebuilds run one after another, so a submenu is never created twice.
+ */
+function updateProfileMenu(url) {
+  const profiles = getProfiles(settingsState);
+  const { profileId, siteOverride } = activeProfile(settingsState, url);
+  const site = url ? profileSiteKey(url) : null;
+  const signature = JSON.stringify([profiles, profileId, siteOverride, site]);
+  if (signature === profileMenuSignature) return;
+  profileMenuSignature = signature;
+
+  profileMenuUpdate = profileMenuUpdate.then(
+    () =>
+      new Promise((resolve) => {
+        // Removing the submenu removes its items; it may not exist yet (first build, or no profiles)
+        chrome.contextMenus.remove(PROFILE_MENU_ID, () => {
+          void chrome.runtime.lastError;
+          if (profiles.length) {
+            const current = profiles.find((p) => p.id === profileId);
+            const item = (props) => chrome.contextMenus.create({ parentId: PROFILE_MENU_ID, contexts: MENU_CONTEXTS, ...props });
+            chrome.contextMenus.create({
+              id: PROFILE_MENU_ID,
+              parentId: 'lazy-forms-parent',
+              title: `Profile: ${current ? current.name : 'All values'}`,
+              contexts: MENU_CONTEXTS,
+            });
+            item({ id: PROFILE_ALL_ITEM_ID, type: 'radio', title: 'All values', checked: !current });
+            profiles.forEach((p) => {
+              item({ id: `${PROFILE_ITEM_PREFIX}${p.id}`, type: 'radio', title: p.name || '(unnamed)', checked: p.id === profileId });
+            });
+            item({ id: `${PROFILE_MENU_ID}-separator`, type: 'separator' });
+            item({
+              id: PROFILE_SITE_ITEM_ID,
+              type: 'checkbox',
+              title: site ? `Only on ${site}` : 'Only on this site',
+              checked: siteOverride,
+              enabled: !!site,
+            });
+          }
+          resolve();
+        });
+      })
+  );
+}
+
+/** Switch profiles from the context menu: a profile item, or "Only on this site" toggled. */
+async function switchProfileFromMenu(menuItemId, checked, url) {
+  const { settings } = await loadStorage();
+  let partial;
+  if (menuItemId === PROFILE_SITE_ITEM_ID) {
+    // The site keeps (or drops back to) the global profile; picking a profile then changes only the site
+    partial = profileSwitchSettings(settings, url, activeProfile(settings).profileId, !!checked);
+  } else {
+    const profileId = menuItemId.startsWith(PROFILE_ITEM_PREFIX) ? menuItemId.slice(PROFILE_ITEM_PREFIX.length) : null;
+    partial = profileSwitchSettings(settings, url, profileId);
+  }
+  await updateSettings(partial);
+}
+
 // ============ CORE REFRESH FUNCTION ============
 
 /**
@@ -379,22 +670,13 @@ function hasFieldEntriesForPage(entries, pageInfo) {
   if (!pageInfo) return false;
   const { origin, pathname } = pageInfo;
 
-  function pathnameCouldMatch(keyPathname) {
-    if (!keyPathname || keyPathname === '*') return true;
-    if (keyPathname.includes('*') || keyPathname.includes('?')) {
-      try {
-        return globToRegex(keyPathname).test(pathname);
-      } catch {
-        return false;
-      }
-    }
-    return keyPathname === pathname;
-  }
-
   return entries.some((e) => {
     const key = (e.contextKey || '').trim();
     if (!key) return false;
 
+    // Similar fields: can match on any site
+    if (e.contextType === 'fieldSemantic') return true;
+
     // 1) fieldOnly entries
     if (e.contextType === 'fieldOnly') {
       // Selector-only (e.g. #id): can match on any site → enable tracking
@@ -402,11 +684,11 @@ function hasFieldEntriesForPage(entries, pageInfo) {
 
       // origin|pathname|selector: enable if origin + pathname could match (with wildcards)
       if (key.includes('|')) {
-        const parts = key.split('|');
+        const parts = splitContextKey(key);
         if (parts.length >= 2) {
           const [keyOrigin, keyPathname] = parts;
           if (!originMatches(keyOrigin, origin)) return false;
-          return pathnameCouldMatch(keyPathname);
+          return pathnameMatches(keyPathname, pathname);
         }
         // legacy: exact prefix match
         const prefix = `${origin}|${pathname}|`;
@@ -419,11 +701,11 @@ function hasFieldEntriesForPage(entries, pageInfo) {
     if (e.contextType === 'urlPattern') {
       if (!key.includes('|') && !key.includes('://')) return true;
 
-      const parts = key.split('|');
+      const parts = splitContextKey(key);
       if (parts.length >= 2) {
         const [keyOrigin, keyPathname] = parts;
         if (!originMatches(keyOrigin, origin)) return false;
-        return pathnameCouldMatch(keyPathname);
+        return pathnameMatches(keyPathname, pathname);
       }
     }
 
@@ -438,15 +720,17 @@ function hasFieldEntriesForPage(entries, pageInfo) {
 async function refreshAll(tabId) {
   if (!tabId) return null;
 
-  const pageInfo = activeTabState[tabId]?.pageInfo;
-  const { entries } = await loadStorage();
+  // Selector checks may have come in since the page info was stored
+  const pageInfo = withMissingSelectors(tabId, activeTabState[tabId]?.pageInfo);
+  const { entries, vault, conflicts } = await loadStorage();
   const matches = getMatchingEntries(entries, pageInfo);
 
-  // Update quick slots in root menu
+  // Update quick slots and the profile switcher in root menu
   updateQuickSlots(matches);
+  updateProfileMenu(pageInfo?.url);
 
   // Broadcast to sidepanel (if open)
-  const state = { pageInfo, entries, matches };
+  const state = { pageInfo, entries, matches, vault, conflicts, brokenFieldIds: brokenFieldIds(tabId, pageInfo) };
   safeSendMessage({ type: 'stateUpdated', state });
 
   // Enable predictive field tracking when there are field-only entries that could match, or any
@@ -474,6 +758,33 @@ function pageInfoFromUrl(url) {
   }
 }
 
+/**
+ * pageInfo as a content script reports it (its document's URL and the field). Content scripts run in iframes too:
+ * there url/origin/pathname are replaced by the tab's page, the frame's URL is kept as frameUrl, and frameId says
+ * which frame to send messages about the field to (see fieldFrame). missingSelectors is added (withMissingSelectors).
+ * @param {object} reported
+ * @param {chrome.tabs.Tab} [tab]
+ * @param {number} [frameId] 0 or missing for the top frame
+ */
+function pageInfoFromFrame(reported, tab, frameId) {
+  const pageInfo = {
+    url: reported.url,
+    origin: reported.origin,
+    pathname: reported.pathname,
+    selector: reported.selector || '',
+    field: reported.field,
+  };
+  if (!frameId) return withMissingSelectors(tab?.id, pageInfo);
+  const page = pageInfoFromUrl(tab?.url);
+  if (page) Object.assign(pageInfo, { url: page.url, origin: page.origin, pathname: page.pathname });
+  return withMissingSelectors(tab?.id, { ...pageInfo, frameUrl: reported.url, frameId });
+}
+
+/** chrome.tabs.sendMessage options for the frame that holds the tab's current field (the top frame if none). */
+function fieldFrame(tabId) {
+  return { frameId: activeTabState[tabId]?.pageInfo?.frameId ?? 0 };
+}
+
 function updatePageInfo(tabId, pageInfo) {
   if (!tabId) return;
   activeTabState[tabId] = { pageInfo };
@@ -495,9 +806,14 @@ chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
     const existing = activeTabState[tabId]?.pageInfo;
     if (existing?.selector && pageInfo && existing.origin === pageInfo.origin && existing.pathname === pageInfo.pathname) {
       pageInfo.selector = existing.selector;
+      pageInfo.field = existing.field;
+      if (existing.frameId) Object.assign(pageInfo, { frameUrl: existing.frameUrl, frameId: existing.frameId });
     }
     updatePageInfo(tabId, pageInfo);
     refreshAll(tabId);
+    // A new document: its frames have not been sent their checks
+    delete selectorChecksSent[tabId];
+    if (tab.active) requestSelectorChecks(tabId).catch(() => {});
   }
 });
 
@@ -517,22 +833,31 @@ chrome.tabs.onActivated.addListener(async (activeInfo) => {
       updatePageInfo(activeInfo.tabId, pageInfo);
     }
     refreshAll(activeInfo.tabId);
+    requestSelectorChecks(activeInfo.tabId).catch(() => {});
   }
 });
 
-// 3. Storage changed (entries added/removed/updated)
+// 3. Storage changed (index or entry items added/removed/updated, synced or local-only; vault locked/unlocked)
 chrome.storage.onChanged.addListener((changes, areaName) => {
-  if (areaName === 'sync' && changes[STORAGE_KEY]) {
-    // Invalidate cache
-    cacheValid = false;
-    const newData = changes[STORAGE_KEY].newValue;
-    entriesCache = newData?.entries || [];
-    cacheValid = true;
+  if (areaName === 'sync') {
+    mergeConcurrentEdits(changes).catch((err) => console.warn('[Lazy forms] Could not merge synced changes', err));
+    // A device on an older build synced its index: store the data upgraded again
+    if (isOutdatedIndex(changes[STORAGE_KEY]?.newValue)) migrateStoredData();
+  }
+  const dataChanged =
+    (areaName === 'sync' || areaName === 'local') && Object.keys(changes).some((k) => isStorageKey(k) || k === CONFLICTS_KEY || k === USAGE_KEY);
+  const vaultKeyChanged = areaName === 'session' && VAULT_SESSION_KEY in changes;
+  if (dataChanged || vaultKeyChanged) {
+    // Invalidate cache; reload so field-hover updates see the new entries
+    invalidateStorageCache();
+    loadStorage().catch(() => {});
 
     // Refresh the active tab
     chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
       if (tabs[0]?.id) refreshAll(tabs[0].id);
     });
+    // Entries (or the profile in use) changed: the fields the page should hold may have too
+    if (dataChanged && Object.keys(changes).some(isStorageKey)) scheduleSelectorChecks();
   }
 });
 
@@ -542,12 +867,7 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   if (message.type === 'contextMenuOpened' && sender.tab?.id) {
     const tabId = sender.tab.id;
     if (message.pageInfo) {
-      const pageInfo = {
-        url: message.pageInfo.url,
-        origin: message.pageInfo.origin,
-        pathname: message.pageInfo.pathname,
-        selector: message.pageInfo.selector || '',
-      };
+      const pageInfo = pageInfoFromFrame(message.pageInfo, sender.tab, sender.frameId);
       updatePageInfo(tabId, pageInfo);
       refreshAll(tabId);
     }
@@ -561,12 +881,7 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       const tabId = sender.tab.id;
       let pageInfo = null;
       if (message.pageInfo) {
-        pageInfo = {
-          url: message.pageInfo.url,
-          origin: message.pageInfo.origin,
-          pathname: message.pageInfo.pathname,
-          selector: message.pageInfo.selector || '',
-        };
+        pageInfo = pageInfoFromFrame(message.pageInfo, sender.tab, sender.frameId);
       } else {
         const tab = await chrome.tabs.get(tabId).catch(() => null);
         if (tab?.url) pageInfo = pageInfoFromUrl(tab.url);
@@ -587,7 +902,7 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 
       sendResponse?.({
         ok: true,
-        entries: sortBySpecificity(fieldMatches),
+        entries: sortSuggestions(fieldMatches),
         pageHasOtherMatches,
       });
     })();
@@ -600,12 +915,7 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       const tabId = sender.tab.id;
       let pageInfo = null;
       if (message.pageInfo) {
-        pageInfo = {
-          url: message.pageInfo.url,
-          origin: message.pageInfo.origin,
-          pathname: message.pageInfo.pathname,
-          selector: message.pageInfo.selector || '',
-        };
+        pageInfo = pageInfoFromFrame(message.pageInfo, sender.tab, sender.frameId);
       } else {
         const tab = await chrome.tabs.get(tabId).catch(() => null);
         if (tab?.url) pageInfo = pageInfoFromUrl(tab.url);
@@ -614,9 +924,9 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         sendResponse?.({ ok: false, error: 'No pageInfo' });
         return;
       }
-      const { entries } = await loadStorage();
+      const { entries, vault } = await loadStorage();
       const sections = getFloatingMenuSections(entries, pageInfo);
-      sendResponse?.({ ok: true, sections });
+      sendResponse?.({ ok: true, sections, vaultLocked: vault.enabled && !vault.unlocked });
     })();
     return true; // async
   }
@@ -626,12 +936,7 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   if (message.type === 'fieldHovered' && sender.tab?.id) {
     const tabId = sender.tab.id;
     if (message.pageInfo) {
-      const pageInfo = {
-        url: message.pageInfo.url,
-        origin: message.pageInfo.origin,
-        pathname: message.pageInfo.pathname,
-        selector: message.pageInfo.selector || '',
-      };
+      const pageInfo = pageInfoFromFrame(message.pageInfo, sender.tab, sender.frameId);
       updatePageInfo(tabId, pageInfo);
 
       const entries = getEntriesCached();
@@ -639,13 +944,24 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         const matches = getMatchingEntries(entries, pageInfo);
         updateQuickSlots(matches);
         // Broadcast to sidepanel so it updates too
-        safeSendMessage({ type: 'stateUpdated', state: { pageInfo, entries, matches } });
+        safeSendMessage({
+          type: 'stateUpdated',
+          state: { pageInfo, entries, matches, vault: vaultState, conflicts: conflictsState, brokenFieldIds: brokenFieldIds(tabId, pageInfo) },
+        });
       }
     }
     sendResponse?.({ ok: true });
     return true;
   }
 
+  // Content script: which selectors sent by requestSelectorChecks found their field; the side panel lists the broken ones
+  if (message.type === 'fieldSelectorsChecked' && sender.tab?.id) {
+    recordSelectorCheck(sender.tab, sender.frameId ?? 0, sender.url, message);
+    refreshAll(sender.tab.id);
+    sendResponse?.({ ok: true });
+    return true;
+  }
+
   // Content script: toggle side panel via keyboard shortcut (no pre-fill)
   if (message.type === 'toggleSidePanel' && sender.tab?.id) {
     const tabId = sender.tab.id;
@@ -672,13 +988,7 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     } catch {}
     (async () => {
       const pageInfo = message.pageInfo
-        ? {
-            url: message.pageInfo.url,
-            origin: message.pageInfo.origin,
-            pathname: message.pageInfo.pathname,
-            selector: message.pageInfo.selector || '',
-            value: message.pageInfo.value,
-          }
+        ? { ...pageInfoFromFrame(message.pageInfo, sender.tab, sender.frameId), value: message.pageInfo.value }
         : null;
       if (pageInfo) {
         await chrome.storage.session.set({ [PENDING_STORE_KEY]: pageInfo });
@@ -690,6 +1000,17 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     return true;
   }
 
+  // Content script: "Unlock vault…" in the floating menu or a locked shortcut → open side panel, which prompts
+  if (message.type === 'openSidePanelForUnlock' && sender.tab?.id) {
+    try {
+      openSidePanel(sender.tab.id, sender.tab.windowId);
+      sidePanelOpenTabId = sender.tab.id;
+    } catch {}
+    chrome.storage.session.set({ [PENDING_UNLOCK_KEY]: true }).catch(() => {});
+    sendResponse?.({ ok: true });
+    return true;
+  }
+
   // Sidepanel: close panel (user clicked X; clear toggle state so toolbar icon can re-open)
   if (message.type === 'closeSidePanel') {
     sidePanelOpenTabId = null;
@@ -708,15 +1029,15 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   if (message.type === 'getEntryShortcuts') {
     (async () => {
       const { entries } = await loadStorage();
-      const keyCombos = (entries || [])
-        .filter((e) => e.shortcut && String(e.shortcut).trim())
+      const keyCombos = getShortcutEntries(entries, sender.tab?.url)
         .map((e) => String(e.shortcut).trim().toLowerCase());
       sendResponse?.({ ok: true, keyCombos: [...new Set(keyCombos)] });
     })();
     return true;
   }
 
-  // Content script: key combo pressed on page; return entry for that shortcut (always paste into active field, regardless of context match)
+  // Content script: key combo pressed on page; return entry for that shortcut (always paste into active field, regardless
+  // of context match, but only from the profile in use on the page)
   if (message.type === 'shortcutPressed' && sender.tab?.id) {
     (async () => {
       const keyCombo = message.keyCombo && String(message.keyCombo).trim().toLowerCase();
@@ -725,16 +1046,44 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         return;
       }
       const { entries } = await loadStorage();
-      const withShortcut = (entries || []).filter(
-        (e) => e.shortcut && String(e.shortcut).trim().toLowerCase() === keyCombo
+      const withShortcut = getShortcutEntries(entries, sender.tab.url).filter(
+        (e) => String(e.shortcut).trim().toLowerCase() === keyCombo
       );
       const sorted = sortBySpecificity(withShortcut);
       const entry = sorted[0] || null;
+      if (entry?.locked) {
+        // Content script shows a "vault locked" notice instead of pasting
+        sendResponse?.({ ok: true, entry: null, locked: true });
+        return;
+      }
+      if (entry) recordEntryUse(entry.id);
       sendResponse?.({ ok: true, entry });
     })();
     return true;
   }
 
+  // Content script: a value was applied from the floating menu
+  if (message.type === 'entryApplied' && message.entryId) {
+    recordEntryUse(message.entryId);
+    sendResponse?.({ ok: true });
+    return true;
+  }
+
+  // Sidepanel: read or write stored data (lib/storage-client.js)
+  if (message.type === 'storageOp') {
+    const operation = STORAGE_OPS[message.op];
+    if (!operation) {
+      sendResponse?.({ ok: false, error: `Unknown storage operation: ${message.op}` });
+      return true;
+    }
+    const args = Array.isArray(message.args) ? message.args : [];
+    enqueueStorage(() => operation(...args)).then(
+      (result) => sendResponse?.({ ok: true, result }),
+      (err) => sendResponse?.({ ok: false, error: String(err?.message ?? err) })
+    );
+    return true;
+  }
+
   // Any script: request current settings (with defaults applied)
   if (message.type === 'getSettings') {
     (async () => {
@@ -748,21 +1097,13 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   // Sidepanel: update settings (e.g. showFieldIcon, shortcutOpenMenu)
   if (message.type === 'updateSettings') {
     (async () => {
-      const merged = await saveSettings(message.settings || {});
-
-      updateActionTitle(merged);
-
-      // Notify sidepanel and any other extension pages
-      safeSendMessage({ type: 'settingsUpdated', settings: merged });
-
-      // Broadcast to all tabs so content scripts update without reload
-      chrome.tabs.query({ url: ['http://*/*', 'https://*/*'] }, (tabs) => {
-        tabs.forEach((tab) => {
-          if (!tab.id) return;
-          chrome.tabs.sendMessage(tab.id, { type: 'settingsUpdated', settings: merged })?.catch(() => {});
-        });
-      });
-
+      let merged;
+      try {
+        merged = await updateSettings(message.settings || {});
+      } catch (err) {
+        sendResponse?.({ ok: false, error: describeStorageError(err) ?? String(err?.message ?? err) });
+        return;
+      }
       sendResponse?.({ ok: true, settings: merged });
     })();
     return true;
@@ -781,8 +1122,8 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         sendResponse?.({ ok: true, state });
       } else {
         // No active tab (e.g. side panel focused): still send entries so list can show with "Show all values"
-        const { entries } = await loadStorage();
-        sendResponse?.({ ok: true, state: { pageInfo: null, entries: entries || [], matches: [] } });
+        const { entries, vault, conflicts } = await loadStorage();
+        sendResponse?.({ ok: true, state: { pageInfo: null, entries: entries || [], matches: [], vault, conflicts } });
       }
     })();
     return true; // async response
@@ -827,20 +1168,35 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   // Content script: pick result – forward to sidepanel
   if (message.type === 'pickElementResult' && sender.tab?.id) {
     pickModeTabId = null;
-    safeSendMessage({ type: 'pickElementResult', selector: message.selector, value: message.value });
+    // Pick mode runs in every frame; the others are still waiting for a click
+    chrome.tabs.sendMessage(sender.tab.id, { type: 'cancelPickElement' })?.catch(() => {});
+    // The frame it was picked in: the entry keeps its URL so messages about the field reach it (lib/frames.js)
+    safeSendMessage({
+      type: 'pickElementResult',
+      selector: message.selector,
+      field: message.field,
+      value: message.value,
+      frameId: sender.frameId ?? 0,
+      frameUrl: sender.frameId ? sender.url : undefined,
+    });
     sendResponse?.({ ok: true });
     return true;
   }
 
   // Sidepanel: highlight element on page (hover list item)
   if (message.type === 'highlightElement') {
-    chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
-      if (tabs[0]?.id) {
-        chrome.tabs.sendMessage(tabs[0].id, {
-          type: 'highlightElement',
-          selector: message.selector,
-          useFocused: message.useFocused,
-        })?.catch(() => {});
+    chrome.tabs.query({ active: true, currentWindow: true }, async (tabs) => {
+      const tabId = tabs[0]?.id;
+      if (tabId) {
+        // The current field is in a known frame, a field picked in an iframe in the frame at its URL; any other
+        // selector is looked up in every frame
+        const isCurrentField = message.useFocused || (!!message.selector && message.selector === activeTabState[tabId]?.pageInfo?.selector);
+        const frameId = isCurrentField ? fieldFrame(tabId).frameId : message.frameUrl ? await frameIdForUrl(tabId, message.frameUrl) : null;
+        chrome.tabs.sendMessage(
+          tabId,
+          { type: 'highlightElement', selector: message.selector, useFocused: message.useFocused },
+          frameId != null ? { frameId } : undefined
+        )?.catch(() => {});
       }
       try { sendResponse?.({ ok: true }); } catch (e) {}
     });
@@ -889,14 +1245,14 @@ chrome.action.onClicked.addListener((tab) => {
 
 chrome.runtime.onInstalled.addListener(() => {
   chrome.contextMenus.removeAll(() => {
-    // editable = input, textarea; page = anywhere (so <select> and other form fields get the menu)
-    const menuContexts = ['editable', 'page'];
+    // The profile submenu was removed too; the next refresh adds it back
+    profileMenuSignature = null;
 
     // Parent menu
     chrome.contextMenus.create({
       id: 'lazy-forms-parent',
       title: ' Lazy forms',
-      contexts: menuContexts,
+      contexts: MENU_CONTEXTS,
     });
 
     // Quick slots (up to MAX_QUICK_SLOTS) - all matching entries
@@ -905,7 +1261,7 @@ chrome.runtime.onInstalled.addListener(() => {
         id: `lazy-forms-quick-${i}`,
         parentId: 'lazy-forms-parent',
         title: '(no match)',
-        contexts: menuContexts,
+        contexts: MENU_CONTEXTS,
         visible: false,
       });
     }
@@ -915,7 +1271,7 @@ chrome.runtime.onInstalled.addListener(() => {
       id: 'lazy-forms-separator',
       parentId: 'lazy-forms-parent',
       type: 'separator',
-      contexts: menuContexts,
+      contexts: MENU_CONTEXTS,
     });
 
     // Add value
@@ -923,7 +1279,7 @@ chrome.runtime.onInstalled.addListener(() => {
       id: 'lazy-forms-store',
       parentId: 'lazy-forms-parent',
       title: 'Add value to lazy forms…',
-      contexts: menuContexts,
+      contexts: MENU_CONTEXTS,
     });
 
     // More
@@ -931,7 +1287,7 @@ chrome.runtime.onInstalled.addListener(() => {
       id: 'lazy-forms-more',
       parentId: 'lazy-forms-parent',
       title: 'Open side panel…',
-      contexts: menuContexts,
+      contexts: MENU_CONTEXTS,
     });
   });
 
@@ -939,7 +1295,7 @@ chrome.runtime.onInstalled.addListener(() => {
   chrome.tabs.query({ url: ['http://*/*', 'https://*/*'] }, (tabs) => {
     tabs.forEach((tab) => {
       if (tab.id && tab.url) {
-        chrome.scripting.executeScript({ target: { tabId: tab.id }, files: ['content.js'] })?.catch(() => {});
+        chrome.scripting.executeScript({ target: { tabId: tab.id, allFrames: true }, files: ['content.js'] })?.catch(() => {});
       }
     });
   });
@@ -951,6 +1307,12 @@ chrome.contextMenus.onClicked.addListener((info, tab) => {
   const id = info.menuItemId;
   if (!tab?.id) return;
 
+  // Profile switcher
+  if (typeof id === 'string' && id.startsWith(PROFILE_MENU_ID)) {
+    switchProfileFromMenu(id, info.checked, tab.url).catch((err) => console.warn('[Lazy forms] Could not switch profile', err));
+    return;
+  }
+
   // Quick slots: apply value directly
   if (typeof id === 'string' && id.startsWith('lazy-forms-quick-')) {
     const slotIndex = parseInt(id.replace('lazy-forms-quick-', ''), 10);
@@ -958,11 +1320,22 @@ chrome.contextMenus.onClicked.addListener((info, tab) => {
     const entryId = quickSlots[slotIndex];
     if (!entryId) return;
 
+    // Locked vault: open the side panel to unlock (synchronously, while we still have the user gesture)
+    if (getEntriesCached().find((e) => e.id === entryId)?.locked) {
+      try {
+        openSidePanel(tab.id, tab.windowId);
+        sidePanelOpenTabId = tab.id;
+      } catch {}
+      chrome.storage.session.set({ [PENDING_UNLOCK_KEY]: true }).catch(() => {});
+      return;
+    }
+
     (async () => {
       const { entries } = await loadStorage();
       const entry = entries.find((e) => e.id === entryId);
-      if (entry) {
-        chrome.tabs.sendMessage(tab.id, { type: 'applyValue', value: entry.value })?.catch(() => {});
+      if (entry && !entry.locked) {
+        chrome.tabs.sendMessage(tab.id, { type: 'applyValue', value: entry.value }, { frameId: info.frameId ?? 0 })?.catch(() => {});
+        recordEntryUse(entry.id);
       }
     })();
     return;
@@ -978,15 +1351,10 @@ chrome.contextMenus.onClicked.addListener((info, tab) => {
     (async () => {
       let pageInfo = null;
       try {
-        const reply = await chrome.tabs.sendMessage(tab.id, { type: 'getPageInfo' });
+        // Ask the frame that was right-clicked, which holds the field
+        const reply = await chrome.tabs.sendMessage(tab.id, { type: 'getPageInfo' }, { frameId: info.frameId ?? 0 });
         if (reply?.ok) {
-          pageInfo = {
-            url: reply.url,
-            origin: reply.origin,
-            pathname: reply.pathname,
-            selector: reply.selector,
-            value: reply.value,
-          };
+          pageInfo = { ...pageInfoFromFrame(reply, tab, info.frameId), value: reply.value };
         }
       } catch {}
 
@@ -1016,8 +1384,45 @@ chrome.contextMenus.onClicked.addListener((info, tab) => {
   }
 });
 
+// ============ STORED DATA MIGRATION ============
+
+// Data stored by an older build is written upgraded after an install or update; at browser start, if that failed
+chrome.runtime.onInstalled.addListener(() => migrateStoredData());
+chrome.runtime.onStartup.addListener(() => migrateStoredData());
+
+// ============ ALARMS: TRASH, ENTRY EXPIRY, SNAPSHOTS ============
+
+// Daily purge; the alarm survives service worker restarts, so only create it when missing
+chrome.alarms.get(TRASH_ALARM).then((alarm) => {
+  if (!alarm) chrome.alarms.create(TRASH_ALARM, { delayInMinutes: 1, periodInMinutes: 24 * 60 });
+});
+
+// Hourly check for entries past their expiry date (getMatchingEntries already hides them in between)
+chrome.alarms.get(EXPIRY_ALARM).then((alarm) => {
+  if (!alarm) chrome.alarms.create(EXPIRY_ALARM, { delayInMinutes: 1, periodInMinutes: 60 });
+});
+
+// Daily snapshot of the library (skipped when nothing changed); see lib/snapshots.js
+chrome.alarms.get(SNAPSHOT_ALARM).then((alarm) => {
+  if (!alarm) chrome.alarms.create(SNAPSHOT_ALARM, { delayInMinutes: 1, periodInMinutes: 24 * 60 });
+});
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === TRASH_ALARM) {
+    purgeExpiredTrash().catch((err) => console.warn('[Lazy forms] Could not purge trash', err));
+  }
+  if (alarm.name === EXPIRY_ALARM) {
+    trashExpiredEntries().catch((err) => console.warn('[Lazy forms] Could not remove expired values', err));
+  }
+  if (alarm.name === SNAPSHOT_ALARM) {
+    enqueueStorage(() => takeSnapshot('daily')).catch((err) => console.warn('[Lazy forms] Could not take snapshot', err));
+  }
+});
+
 // ============ CLEANUP ============
 
 chrome.tabs.onRemoved.addListener((tabId) => {
   delete activeTabState[tabId];
+  delete selectorCheckState[tabId];
+  delete selectorChecksSent[tabId];
 });
@@ -1,5 +1,6 @@
 /**
  * Content script: capture right-clicked input, getPageInfo, applyValue, showFloatingMenu.
+ * Runs in every frame; background.js tracks which frame holds the current field and sends field messages there.
  * Also supports predictive field tracking to update context menu before right-click.
  */
 
@@ -78,6 +79,102 @@
     }, intervalMs);
   }
 
+  // ============ SHADOW DOM ============
+
+  /**
+   * Joins the parts of a selector that pierces shadow roots: "host selector >>> selector inside its shadow root".
+   * Each part is an ordinary CSS selector, queried in the shadow root of the element the previous part found.
+   */
+  const SHADOW_SELECTOR_SEPARATOR = '>>>';
+
+  /** An element's shadow root: open ones, and closed ones where the browser lets content scripts see them (Firefox). */
+  function getShadowRoot(el) {
+    return el?.shadowRoot ?? el?.openOrClosedShadowRoot ?? null;
+  }
+
+  /** Parent element across shadow boundaries: a shadow root's top-level elements have its host as parent. */
+  function getComposedParent(node) {
+    if (node?.parentElement) return node.parentElement;
+    const parent = node?.parentNode;
+    return parent instanceof ShadowRoot ? parent.host : null;
+  }
+
+  /** Focused element, looking inside the shadow roots of focused hosts. */
+  function getDeepActiveElement() {
+    let el = document.activeElement;
+    let root = getShadowRoot(el);
+    while (root?.activeElement) {
+      el = root.activeElement;
+      root = getShadowRoot(el);
+    }
+    return el;
+  }
+
+  /** Topmost element at a point, looking inside shadow roots (document.elementFromPoint stops at the host). */
+  function getDeepElementFromPoint(x, y) {
+    let el = document.elementFromPoint(x, y);
+    let root = getShadowRoot(el);
+    while (root) {
+      const inner = root.elementFromPoint(x, y);
+      if (!inner || inner === el) break;
+      el = inner;
+      root = getShadowRoot(el);
+    }
+    return el;
+  }
+
+  /**
+   * The editable field an event is about, or null. Events from inside a shadow root reach document listeners
+   * retargeted to its host; the composed path still has the inner field (for open roots). For closed roots the
+   * path stops at the host, so fall back to the focused field inside it.
+   */
+  function getEventField(e) {
+    const target = e?.target;
+    if (isEditableFormField(target)) return target;
+    if (!target || !getShadowRoot(target)) return null;
+    const path = typeof e.composedPath === 'function' ? e.composedPath() : [];
+    const inner = path.slice(0, Math.max(0, path.indexOf(target))).find(isEditableFormField);
+    if (inner) return inner;
+    const active = getDeepActiveElement();
+    if (!isEditableFormField(active)) return null;
+    for (let node = getComposedParent(active); node; node = getComposedParent(node)) {
+      if (node === target) return active;
+    }
+    return null;
+  }
+
+  /** Like document.querySelector, for selectors that may pierce shadow roots (see getStableSelector). */
+  function querySelectorDeep(selector) {
+    const parts = String(selector).split(SHADOW_SELECTOR_SEPARATOR).map((part) => part.trim());
+    let root = document;
+    for (const part of parts.slice(0, -1)) {
+      root = getShadowRoot(root.querySelector(part));
+      if (!root) return null;
+    }
+    return root.querySelector(parts[parts.length - 1]);
+  }
+
+  /** Like document.querySelectorAll, also searching every reachable shadow root. */
+  function querySelectorAllDeep(selector, root = document, found = []) {
+    found.push(...root.querySelectorAll(selector));
+    for (const el of root.querySelectorAll('*')) {
+      const shadow = getShadowRoot(el);
+      if (shadow) querySelectorAllDeep(selector, shadow, found);
+    }
+    return found;
+  }
+
+  /** Add a style element once where it applies to el: document styles do not reach into shadow roots. */
+  function ensureStyleFor(el, attribute, css) {
+    const root = el.getRootNode();
+    const parent = root instanceof ShadowRoot ? root : document.head;
+    if (parent.querySelector(`style[${attribute}]`)) return;
+    const style = document.createElement('style');
+    style.setAttribute(attribute, '1');
+    style.textContent = css;
+    parent.appendChild(style);
+  }
+
   let lastRightClickedElement = null;
   let lastContextMenuX = 0;
   let lastContextMenuY = 0;
@@ -134,7 +231,7 @@
     const inlineEditRoot = fieldEl.closest('[data-testid*="inline-edit"]');
     let outermostControl = null;
     let indicatorShell = null;
-    let node = fieldEl.parentElement;
+    let node = getComposedParent(fieldEl);
 
     while (node && node !== document.body) {
       if (inlineEditRoot && node !== inlineEditRoot && !inlineEditRoot.contains(node)) break;
@@ -151,7 +248,7 @@
         }
       }
 
-      node = node.parentElement;
+      node = getComposedParent(node);
     }
 
     return outermostControl || indicatorShell;
@@ -162,7 +259,7 @@
     const inlineEditRoot = fieldEl.closest('[data-testid*="inline-edit"]');
     let best = null;
     let bestWidth = fieldRect.width;
-    let node = fieldEl.parentElement;
+    let node = getComposedParent(fieldEl);
     let depth = 0;
 
     while (node && node !== document.body && depth < 10) {
@@ -174,7 +271,7 @@
         bestWidth = nodeRect.width;
       }
 
-      node = node.parentElement;
+      node = getComposedParent(node);
       depth++;
     }
 
@@ -223,7 +320,7 @@
   /** Right edge of the visible (clipped) area for el. Only clamp when the field actually overflows its container. */
   function getVisibleRightEdge(el) {
     const rect = el.getBoundingClientRect();
-    let node = el.parentElement;
+    let node = getComposedParent(el);
     while (node && node !== document.body) {
       const s = getComputedStyle(node);
       const overflow = s.overflowX || s.overflow || '';
@@ -233,7 +330,7 @@
         const right = rect.right > r.right ? r.right : rect.right;
         return Math.min(right, window.innerWidth);
       }
-      node = node.parentElement;
+      node = getComposedParent(node);
     }
     return Math.min(rect.right, window.innerWidth);
   }
@@ -403,6 +500,7 @@
                 origin: location.origin,
                 pathname: location.pathname,
                 selector,
+                field: getFieldFingerprint(target),
               },
             },
             (reply) => {
@@ -411,7 +509,7 @@
                 return;
               }
               // Show menu without focusing on mouse click
-              showFloatingMenu(reply.sections || {}, position, true);
+              showFloatingMenu(reply.sections || {}, position, true, !!reply.vaultLocked);
             }
           ).catch?.(() => { pendingMenuPosition = null; });
         } catch {
@@ -556,8 +654,9 @@
     } catch { }
   }
 
+  // Stored data lives in the `lazyForms` index item plus one `lazyForms:e:<id>` item per entry (sync, or local for device-only entries)
   chrome.storage?.onChanged?.addListener((changes, areaName) => {
-    if (areaName === 'sync' && changes?.lazyForms) {
+    if ((areaName === 'sync' || areaName === 'local') && Object.keys(changes || {}).some((k) => k === 'lazyForms' || k.startsWith('lazyForms:e:'))) {
       refreshEntryShortcuts();
     }
   });
@@ -565,7 +664,7 @@
   document.addEventListener(
     'contextmenu',
     (e) => {
-      const el = e.target;
+      const el = getEventField(e);
       // If right-click was on a non–form-field (e.g. button, div), clear state so
       // menu actions don't use a stale field; next hover/focus on a field will send fieldHovered again
       if (!el || !isEditableFormField(el)) {
@@ -586,6 +685,7 @@
             origin: location.origin,
             pathname: location.pathname,
             selector,
+            field: getFieldFingerprint(el),
             value,
             position: { x: lastContextMenuX, y: lastContextMenuY },
           },
@@ -621,7 +721,7 @@
         return;
       }
 
-      const el = document.activeElement;
+      const el = getDeepActiveElement();
       if (!el || !isEditableFormField(el)) return;
 
       const keyCombo = normalizeEventToShortcut(e).toLowerCase();
@@ -639,6 +739,7 @@
         origin: location.origin,
         pathname: location.pathname,
         selector,
+        field: getFieldFingerprint(el),
       };
 
       if (isEntryShortcut) {
@@ -647,6 +748,8 @@
           (reply) => {
             if (reply?.ok && reply.entry) {
               setFieldValue(el, reply.entry.value ?? '');
+            } else if (reply?.locked) {
+              showVaultLockedNotice(el);
             }
           }
         )?.catch?.(() => { });
@@ -661,7 +764,7 @@
           { type: 'getFloatingMenuSections', pageInfo },
           (reply) => {
             if (!reply || !reply.ok) return;
-            showFloatingMenu(reply.sections || {}, position);
+            showFloatingMenu(reply.sections || {}, position, false, !!reply.vaultLocked);
           }
         )?.catch(() => { });
       } catch {
@@ -671,7 +774,21 @@
     true
   );
 
+  /**
+   * Selector for a field that survives re-renders: its id, its name in its form, or a tag:nth-of-type chain.
+   * A field inside a shadow root gets its host's selector, then SHADOW_SELECTOR_SEPARATOR and the selector within
+   * the root (resolved with querySelectorDeep).
+   */
   function getStableSelector(element) {
+    const root = element?.getRootNode?.();
+    if (root instanceof ShadowRoot) {
+      return `${getStableSelector(root.host)} ${SHADOW_SELECTOR_SEPARATOR} ${getSelectorInRoot(element).trim()}`;
+    }
+    return getSelectorInRoot(element);
+  }
+
+  /** Selector for an element within its own tree (document or shadow root). */
+  function getSelectorInRoot(element) {
     if (!element || !element.id) {
       const name = element.getAttribute?.('name');
       if (name) {
@@ -685,7 +802,7 @@
       const siblings = Array.from(parent.children).filter((n) => n.tagName === element.tagName);
       const idx = siblings.indexOf(element);
       if (idx >= 0) {
-        const base = parent === document.body ? 'body' : getStableSelector(parent);
+        const base = parent === document.body ? 'body' : getSelectorInRoot(parent);
         return `${base} > ${element.tagName}:nth-of-type(${idx + 1})`;
       }
       return element.tagName;
@@ -693,6 +810,71 @@
     return `#${element.id}`;
   }
 
+  const FIELD_TEXT_MAX = 120;
+
+  function fieldText(text) {
+    return String(text ?? '').replace(/\s+/g, ' ').trim().slice(0, FIELD_TEXT_MAX);
+  }
+
+  // Ancestors in a field's structural path (see getStructuralPath)
+  const FIELD_PATH_DEPTH = 4;
+  // Fields reported by getFieldCandidates
+  const MAX_FIELD_CANDIDATES = 200;
+
+  /**
+   * Where a field sits in its form (or the page), without ids: e.g. "form > div:nth-of-type(2) > input:nth-of-type(1)".
+   * Survives regenerated ids; changes when the form's layout does.
+   */
+  function getStructuralPath(el) {
+    const parts = [];
+    let node = el;
+    while (node?.parentElement && node.tagName !== 'FORM' && node !== document.body && parts.length < FIELD_PATH_DEPTH) {
+      const tag = node.tagName;
+      const index = Array.from(node.parentElement.children).filter((n) => n.tagName === tag).indexOf(node) + 1;
+      parts.unshift(`${tag.toLowerCase()}:nth-of-type(${index})`);
+      node = node.parentElement;
+    }
+    parts.unshift(node?.tagName === 'FORM' ? 'form' : '…');
+    return parts.join(' > ');
+  }
+
+  /**
+   * What a field is for: name, autocomplete, type, aria-label, associated <label> text and placeholder, plus its
+   * id and structural path (empty ones omitted). Sent as pageInfo.field, for "Similar fields" and as the fingerprint
+   * that lets field entries find their field after the page changes (lib/fingerprint.js).
+   */
+  function getFieldFingerprint(el) {
+    if (!el?.getAttribute) return {};
+    // Ids are scoped to the field's shadow root, if it is in one
+    const root = el.getRootNode?.() instanceof ShadowRoot ? el.getRootNode() : document;
+    const labelledBy = (el.getAttribute('aria-labelledby') || '')
+      .split(/\s+/)
+      .map((id) => id && root.getElementById(id)?.textContent)
+      .filter(Boolean)
+      .join(' ');
+    const labels = Array.from(el.labels || []).map((l) => l.innerText ?? l.textContent).join(' ');
+    const field = {
+      name: fieldText(el.getAttribute('name')),
+      autocomplete: fieldText(el.getAttribute('autocomplete')),
+      type: el.tagName === 'INPUT' ? fieldText(el.getAttribute('type') || 'text').toLowerCase() : el.tagName.toLowerCase(),
+      ariaLabel: fieldText(el.getAttribute('aria-label') || labelledBy),
+      label: fieldText(labels),
+      placeholder: fieldText(el.getAttribute('placeholder')),
+      id: fieldText(el.id),
+      path: getStructuralPath(el),
+    };
+    if (el.isContentEditable) field.type = 'contenteditable';
+    return Object.fromEntries(Object.entries(field).filter(([, v]) => v));
+  }
+
+  /** Editable fields on the page (shadow roots included), each with its selector and fingerprint. */
+  function getFieldCandidates() {
+    return querySelectorAllDeep('input, textarea, select, [contenteditable]')
+      .filter(isEditableFormField)
+      .slice(0, MAX_FIELD_CANDIDATES)
+      .map((el) => ({ selector: getStableSelector(el), field: getFieldFingerprint(el) }));
+  }
+
   chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
     if (message.type === 'getPageInfo') {
       if (!lastRightClickedElement) {
@@ -707,23 +889,38 @@
         origin: location.origin,
         pathname: location.pathname,
         selector,
+        field: getFieldFingerprint(lastRightClickedElement),
         value,
         position: { x: lastContextMenuX, y: lastContextMenuY },
       });
       return true;
     }
 
+    // Side panel: every editable field with its selector and fingerprint, to find a field whose selector changed
+    if (message.type === 'getFieldCandidates') {
+      sendResponse({ ok: true, fields: getFieldCandidates() });
+      return true;
+    }
+
+    // Background: field entries whose field this frame should hold, to check their selectors
+    if (message.type === 'checkFieldSelectors') {
+      scheduleFieldSelectorCheck(message.checks || []);
+      sendResponse({ ok: true });
+      return true;
+    }
+
     if (message.type === 'applyValue') {
       const v = message.value ?? '';
       let el = null;
       if (message.selector) {
         try {
-          const found = document.querySelector(message.selector);
+          const found = querySelectorDeep(message.selector);
           if (found && isEditableFormField(found)) el = found;
         } catch (_) { }
       }
-      if (!el && document.activeElement && isEditableFormField(document.activeElement)) {
-        el = document.activeElement;
+      if (!el) {
+        const active = getDeepActiveElement();
+        if (active && isEditableFormField(active)) el = active;
       }
       if (!el) el = lastRightClickedElement;
       if (!el) {
@@ -778,7 +975,7 @@
         hideFieldButton();
       } else {
         // If any icon setting is on, try to show icon for the current focused field (if any)
-        const el = document.activeElement;
+        const el = getDeepActiveElement();
         if (el && isEditableFormField(el)) {
           lastRightClickedElement = el;
           const selector = getStableSelector(el);
@@ -791,6 +988,7 @@
                   origin: location.origin,
                   pathname: location.pathname,
                   selector,
+                  field: getFieldFingerprint(el),
                 },
               },
               (reply) => {
@@ -823,6 +1021,7 @@
                   origin: location.origin,
                   pathname: location.pathname,
                   selector,
+                  field: getFieldFingerprint(el),
                 },
               },
               (reply) => {
@@ -864,7 +1063,7 @@
     // Check activeElement now and again after short delays to catch delayed autofocus.
     function checkAutofocusedField() {
       try {
-        const el = document.activeElement;
+        const el = getDeepActiveElement();
         if (el && isEditableFormField(el)) {
           onFieldInteraction({ type: 'autofocus', target: el });
         }
@@ -875,8 +1074,8 @@
   }
 
   function onFieldInteraction(e) {
-    const el = e.target;
-    if (!isEditableFormField(el)) return;
+    const el = getEventField(e);
+    if (!el) return;
 
     // Debounce: don't send if same selector as last time
     const selector = getStableSelector(el);
@@ -898,6 +1097,7 @@
             origin: location.origin,
             pathname: location.pathname,
             selector,
+            field: getFieldFingerprint(el),
           },
         })
         .catch(() => { });
@@ -911,6 +1111,7 @@
             origin: location.origin,
             pathname: location.pathname,
             selector,
+            field: getFieldFingerprint(el),
           },
         },
         (reply) => {
@@ -939,6 +1140,16 @@
   let pickModeOverlay = null;
   let pickModeHighlightEl = null;
   const PICK_HIGHLIGHT_CLASS = 'lazy-forms-pick-highlight';
+  const PICK_HIGHLIGHT_CSS = `
+    .${PICK_HIGHLIGHT_CLASS} {
+      outline: 2px solid #4a9eff !important;
+      outline-offset: 2px !important;
+      background: rgba(74, 158, 255, 0.08) !important;
+      cursor: crosshair !important;
+      overflow: visible !important;
+      overflow-clip-margin: 2px !important;
+    }
+  `;
 
   function enterPickElementMode() {
     exitPickElementMode();
@@ -946,6 +1157,7 @@
     overlay.id = 'lazy-forms-pick-overlay';
     overlay.setAttribute('aria-label', 'Click a form field to select it');
     const style = document.createElement('style');
+    style.setAttribute('data-lazy-forms-pick', '1');
     style.textContent = `
     #lazy-forms-pick-overlay {
       position: fixed;
@@ -957,14 +1169,7 @@
     body.lazy-forms-pick-mode {
       cursor: crosshair !important;
     }
-    .${PICK_HIGHLIGHT_CLASS} {
-      outline: 2px solid #4a9eff !important;
-      outline-offset: 2px !important;
-      background: rgba(74, 158, 255, 0.08) !important;
-      cursor: crosshair !important;
-      overflow: visible !important;
-      overflow-clip-margin: 2px !important;
-    }
+    ${PICK_HIGHLIGHT_CSS}
   `;
     document.head.appendChild(style);
     document.body.appendChild(overlay);
@@ -972,26 +1177,27 @@
     pickModeOverlay = overlay;
 
     function onMove(e) {
-      const el = document.elementFromPoint(e.clientX, e.clientY);
+      const el = getDeepElementFromPoint(e.clientX, e.clientY);
       if (pickModeHighlightEl) {
         pickModeHighlightEl.classList.remove(PICK_HIGHLIGHT_CLASS);
         pickModeHighlightEl = null;
       }
       if (el && isEditableFormField(el)) {
+        ensureStyleFor(el, 'data-lazy-forms-pick', PICK_HIGHLIGHT_CSS);
         el.classList.add(PICK_HIGHLIGHT_CLASS);
         pickModeHighlightEl = el;
       }
     }
 
     function onClick(e) {
-      const el = document.elementFromPoint(e.clientX, e.clientY);
+      const el = getDeepElementFromPoint(e.clientX, e.clientY);
       if (!el || !isEditableFormField(el)) return;
       e.preventDefault();
       e.stopPropagation();
       const selector = getStableSelector(el);
       const value = getFieldValue(el);
       try {
-        chrome.runtime.sendMessage({ type: 'pickElementResult', selector, value })?.catch(() => { });
+        chrome.runtime.sendMessage({ type: 'pickElementResult', selector, field: getFieldFingerprint(el), value })?.catch(() => { });
       } catch { }
       exitPickElementMode();
     }
@@ -1027,6 +1233,46 @@
     }
   }
 
+  // ============ BROKEN SELECTORS ============
+
+  // Give the page (and single-page apps) time to render their forms before checking
+  const SELECTOR_CHECK_DELAY_MS = 2000;
+  let selectorCheckTimer = null;
+
+  /**
+   * Check that the field entries background.js sent for this frame still find their field, and report those whose
+   * selector finds nothing (the site changed its markup), so the side panel can offer to re-pick the field.
+   */
+  function checkFieldSelectors(checks) {
+    let fields = null;
+    const found = [];
+    const missing = [];
+    for (const check of checks) {
+      let ok = false;
+      try {
+        if (check.selector) {
+          ok = !!querySelectorDeep(check.selector);
+        } else {
+          // A selector with * (lib/selectors.js) is matched against the selectors of the page's fields
+          const pattern = new RegExp(check.pattern);
+          fields ??= getFieldCandidates();
+          ok = fields.some((f) => pattern.test(f.selector));
+        }
+      } catch { }
+      (ok ? found : missing).push(check.id);
+    }
+    // The page's fields let background.js tell whether a missing entry's fingerprint still finds its field
+    const reportFields = missing.length ? fields ?? getFieldCandidates() : [];
+    try {
+      chrome.runtime.sendMessage({ type: 'fieldSelectorsChecked', found, missing, fields: reportFields })?.catch(() => { });
+    } catch { }
+  }
+
+  function scheduleFieldSelectorCheck(checks) {
+    clearTimeout(selectorCheckTimer);
+    selectorCheckTimer = setTimeout(() => checkFieldSelectors(checks), SELECTOR_CHECK_DELAY_MS);
+  }
+
   // ============ HOVER HIGHLIGHT (list item hover in sidepanel) ============
 
   const HOVER_HIGHLIGHT_CLASS = 'lazy-forms-hover-highlight';
@@ -1036,22 +1282,21 @@
     clearPageHighlight();
     let el = null;
     if (useFocused) {
-      el = document.activeElement;
+      el = getDeepActiveElement();
       if (!el || !isEditableFormField(el)) return;
     } else if (selector) {
       try {
-        el = document.querySelector(selector);
+        el = querySelectorDeep(selector);
       } catch { }
     }
     if (el) {
       el.classList.add(HOVER_HIGHLIGHT_CLASS);
       hoverHighlightEl = el;
-      if (!document.querySelector(`style[data-lazy-forms-hover]`)) {
-        const style = document.createElement('style');
-        style.setAttribute('data-lazy-forms-hover', '1');
-        style.textContent = `.${HOVER_HIGHLIGHT_CLASS} { outline: 2px solid #4a9eff !important; outline-offset: 2px; background: rgba(74, 158, 255, 0.08) !important; }`;
-        document.head.appendChild(style);
-      }
+      ensureStyleFor(
+        el,
+        'data-lazy-forms-hover',
+        `.${HOVER_HIGHLIGHT_CLASS} { outline: 2px solid #4a9eff !important; outline-offset: 2px; background: rgba(74, 158, 255, 0.08) !important; }`
+      );
     }
   }
 
@@ -1062,11 +1307,49 @@
     }
   }
 
+  /** Open the side panel, which prompts for the vault passphrase. */
+  function requestVaultUnlock() {
+    try {
+      chrome.runtime.sendMessage({ type: 'openSidePanelForUnlock' })?.catch(() => { });
+    } catch { }
+  }
+
+  /** Brief notice under a field when an entry shortcut was pressed while the vault is locked. */
+  function showVaultLockedNotice(el) {
+    document.getElementById('lazy-forms-vault-notice')?.remove();
+    const notice = document.createElement('div');
+    notice.id = 'lazy-forms-vault-notice';
+    notice.setAttribute('role', 'status');
+    notice.textContent = '🔒 Lazy forms vault is locked. Click to unlock.';
+    const rect = el.getBoundingClientRect();
+    Object.assign(notice.style, {
+      position: 'fixed',
+      zIndex: '2147483647',
+      left: `${Math.max(8, rect.left)}px`,
+      top: `${Math.min(window.innerHeight - 40, rect.bottom + 4)}px`,
+      padding: '6px 10px',
+      background: '#fff',
+      color: '#000',
+      border: '1px solid #ccc',
+      borderRadius: '6px',
+      boxShadow: '0 4px 12px rgba(0,0,0,0.15)',
+      font: '13px system-ui, sans-serif',
+      cursor: 'pointer',
+    });
+    notice.addEventListener('click', () => {
+      notice.remove();
+      requestVaultUnlock();
+    });
+    document.body.appendChild(notice);
+    setTimeout(() => notice.remove(), 4000);
+  }
+
   /**
    * @param {{ field?: unknown[], url?: unknown[], domain?: unknown[], custom?: unknown[], all?: unknown[] } | unknown[]} sectionsOrEntries
    * @param {{ x: number, y: number }} position
+   * @param {boolean} [vaultLocked] Vault is locked: encrypted entries are shown disabled, with an "Unlock vault…" link
    */
-  function showFloatingMenu(sectionsOrEntries, position, noFocus = false) {
+  function showFloatingMenu(sectionsOrEntries, position, noFocus = false, vaultLocked = false) {
     removeExistingFloatingMenu();
 
     const container = document.createElement('div');
@@ -1116,6 +1399,10 @@
     #lazy-forms-floating-menu [role="menuitem"]:hover {
       background: #f0f0f0;
     }
+    #lazy-forms-floating-menu [role="menuitem"][aria-disabled="true"] {
+      color: #888;
+      cursor: default;
+    }
     #lazy-forms-floating-menu [role="menuitem"]:focus,
     #lazy-forms-floating-menu .add-value-link:focus {
       outline: 2px solid #000;
@@ -1163,9 +1450,12 @@
       btn.setAttribute('role', 'menuitem');
       btn.type = 'button';
       const hasLabel = entry.label != null && String(entry.label).trim() !== '';
-      const displayText = hasLabel
+      const text = hasLabel
         ? entry.label
-        : (entry.value != null && String(entry.value) !== '' ? `"${entry.value}"` : '"(empty value)"');
+        : entry.locked
+          ? '(locked value)'
+          : (entry.value != null && String(entry.value) !== '' ? `"${entry.value}"` : '"(empty value)"');
+      const displayText = entry.locked ? `🔒 ${text}` : text;
       const hasShortcut = entry.shortcut && String(entry.shortcut).trim();
       if (hasShortcut) {
         btn.style.display = 'flex';
@@ -1183,11 +1473,23 @@
       } else {
         btn.textContent = displayText.length > 48 ? displayText.slice(0, 45) + '…' : displayText;
       }
-      btn.title = entry.value;
+      btn.title = entry.locked ? 'Vault is locked' : entry.value;
+
+      if (entry.locked) {
+        btn.setAttribute('aria-disabled', 'true');
+        attachClickNoFocus(btn, lastRightClickedElement, () => {
+          close();
+          requestVaultUnlock();
+        });
+        container.appendChild(btn);
+        items.push(btn);
+        return;
+      }
 
       attachClickNoFocus(btn, lastRightClickedElement, () => {
         if (lastRightClickedElement) {
           setFieldValue(lastRightClickedElement, entry.value ?? '');
+          chrome.runtime.sendMessage({ type: 'entryApplied', entryId: entry.id })?.catch(() => { });
         }
         close();
       });
@@ -1225,6 +1527,18 @@
     }
 
     container.appendChild(document.createElement('hr'));
+    if (vaultLocked) {
+      const unlockLink = document.createElement('a');
+      unlockLink.className = 'add-value-link';
+      unlockLink.href = '#';
+      unlockLink.textContent = '🔒 Unlock vault…';
+      attachClickNoFocus(unlockLink, lastRightClickedElement, () => {
+        close();
+        requestVaultUnlock();
+      });
+      container.appendChild(unlockLink);
+      items.push(unlockLink);
+    }
     const addLink = document.createElement('a');
     addLink.className = 'add-value-link';
     addLink.href = '#';
@@ -1240,6 +1554,7 @@
               origin: location.origin,
               pathname: location.pathname,
               selector: getStableSelector(lastRightClickedElement),
+              field: getFieldFingerprint(lastRightClickedElement),
               value: getFieldValue(lastRightClickedElement),
             },
           })?.catch(() => { });
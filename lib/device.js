@@ -0,0 +1,43 @@
+/**
+ * Identity of this browser install, recorded with revisions so history can show which device made a change.
+ * Kept in chrome.storage.local (never synced): { id, name }.
+ */
+
+const DEVICE_KEY = 'lazy-forms-device';
+
+function defaultDeviceName() {
+  const ua = navigator.userAgent || '';
+  const browserName = /Firefox\//.test(ua) ? 'Firefox' : /Edg\//.test(ua) ? 'Edge' : 'Chrome';
+  const platform = navigator.userAgentData?.platform || navigator.platform || '';
+  const os = /win/i.test(platform)
+    ? 'Windows'
+    : /mac/i.test(platform)
+      ? 'macOS'
+      : /cros/i.test(platform) || /CrOS/.test(ua)
+        ? 'ChromeOS'
+        : /android/i.test(platform) || /Android/.test(ua)
+          ? 'Android'
+          : /linux/i.test(platform)
+            ? 'Linux'
+            : '';
+  return os ? `${browserName} on ${os}` : browserName;
+}
+
+let cached = null;
+
+/**
+ * This device's id and display name; created on first use.
+ * @returns {Promise<{ id: string, name: string }>}
+ */
+export async function getDevice() {
+  if (cached) return cached;
+  const result = await chrome.storage.local.get(DEVICE_KEY);
+  const stored = result[DEVICE_KEY];
+  if (stored?.id) {
+    cached = stored;
+    return cached;
+  }
+  cached = { id: crypto.randomUUID(), name: defaultDeviceName() };
+  await chrome.storage.local.set({ [DEVICE_KEY]: cached });
+  return cached;
+}
@@ -0,0 +1,56 @@
+/**
+ * Small word-level text diff (LCS) for showing value changes in the side panel.
+ */
+
+// Above this many token pairs the LCS table gets too large; the diff falls back to "all removed, all added".
+const MAX_CELLS = 250000;
+
+function tokenize(text) {
+  return String(text ?? '').split(/(\s+)/).filter((t) => t !== '');
+}
+
+function pushPart(parts, type, text) {
+  const last = parts[parts.length - 1];
+  if (last && last.type === type) last.text += text;
+  else parts.push({ type, text });
+}
+
+/**
+ * Diff two strings by words (whitespace kept as its own tokens).
+ * @param {string} before
+ * @param {string} after
+ * @returns {Array<{ type: 'same' | 'add' | 'del', text: string }>}
+ */
+export function diffWords(before, after) {
+  const a = tokenize(before);
+  const b = tokenize(after);
+  const parts = [];
+  if (a.length * b.length > MAX_CELLS) {
+    if (a.length) pushPart(parts, 'del', a.join(''));
+    if (b.length) pushPart(parts, 'add', b.join(''));
+    return parts;
+  }
+  // lcs[i][j] = LCS length of a[i..] and b[j..]
+  const lcs = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      pushPart(parts, 'same', a[i]);
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      pushPart(parts, 'del', a[i++]);
+    } else {
+      pushPart(parts, 'add', b[j++]);
+    }
+  }
+  while (i < a.length) pushPart(parts, 'del', a[i++]);
+  while (j < b.length) pushPart(parts, 'add', b[j++]);
+  return parts;
+}
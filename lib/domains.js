@@ -0,0 +1,70 @@
+/**
+ * Registrable domains ("eTLD+1": example.co.uk for eu.app.example.co.uk), using the bundled Public Suffix List
+ * (lib/public-suffix-list.js; regenerate with scripts/update-public-suffix-list.js). Hostnames are expected in
+ * the ASCII form URLs use.
+ */
+
+import { PUBLIC_SUFFIX_RULES } from './public-suffix-list.js';
+
+/** @type {{ exact: Set<string>, wildcard: Set<string>, exception: Set<string> } | null} */
+let rules = null;
+
+function getRules() {
+  if (rules) return rules;
+  rules = { exact: new Set(), wildcard: new Set(), exception: new Set() };
+  for (const rule of PUBLIC_SUFFIX_RULES.split('\n')) {
+    if (!rule) continue;
+    if (rule.startsWith('!')) rules.exception.add(rule.slice(1));
+    else if (rule.startsWith('*.')) rules.wildcard.add(rule.slice(2));
+    else rules.exact.add(rule);
+  }
+  return rules;
+}
+
+/** IP addresses and single-label hosts (localhost) have no public suffix; they are their own site. */
+function isHostWithoutSuffix(hostname) {
+  return !hostname.includes('.') || /^\d+(\.\d+){3}$/.test(hostname) || hostname.startsWith('[');
+}
+
+/**
+ * The public suffix of a hostname (com, co.uk, github.io …); the last label if no rule applies.
+ * @param {string} hostname
+ * @returns {string}
+ */
+export function publicSuffix(hostname) {
+  const labels = String(hostname).toLowerCase().replace(/\.$/, '').split('.');
+  const { exact, wildcard, exception } = getRules();
+  // Longest candidate first, so the rule with the most labels wins; exceptions beat their wildcard
+  for (let i = 0; i < labels.length; i++) {
+    const candidate = labels.slice(i).join('.');
+    if (exception.has(candidate)) return labels.slice(i + 1).join('.');
+    if (exact.has(candidate)) return candidate;
+    if (i + 1 < labels.length && wildcard.has(labels.slice(i + 1).join('.'))) return candidate;
+  }
+  return labels[labels.length - 1];
+}
+
+/**
+ * The registrable domain of a hostname: its public suffix plus one label. IP addresses and single-label hosts
+ * are returned as they are; a hostname that is itself a public suffix has none (null).
+ * @param {string} hostname
+ * @returns {string | null}
+ */
+export function registrableDomain(hostname) {
+  const host = String(hostname || '').toLowerCase().replace(/\.$/, '');
+  if (!host) return null;
+  if (isHostWithoutSuffix(host)) return host;
+  const suffix = publicSuffix(host);
+  if (host === suffix) return null;
+  const rest = host.slice(0, -suffix.length - 1).split('.');
+  return `${rest[rest.length - 1]}.${suffix}`;
+}
+
+/**
+ * True if the hostname is a public suffix (e.g. co.uk), which unrelated sites share.
+ * @param {string} hostname
+ */
+export function isPublicSuffix(hostname) {
+  const host = String(hostname || '').toLowerCase().replace(/\.$/, '');
+  return !!host && !isHostWithoutSuffix(host) && publicSuffix(host) === host;
+}
@@ -0,0 +1,118 @@
+/**
+ * Field fingerprints: what identifies a form field besides its selector, so an entry saved for a field still finds
+ * that field after the page changes (a redesign, auto-generated ids). Pure helpers for matching and the side panel.
+ *
+ * A fingerprint is pageInfo.field as content.js reports it, stored with field entries as entry.fingerprint:
+ *   { id?, name?, label?, ariaLabel?, placeholder?, autocomplete?, type?, path? }
+ * path is the field's position in its form (or the page): a tag:nth-of-type chain without ids.
+ *
+ * Each property is a strategy, ranked by how reliably it identifies a field. The confidence that two fingerprints
+ * describe the same field combines the strategies that agree (1 − Π(1 − weight)) and is lowered by each one that
+ * disagrees; a different input type rules the field out. At least two strategies must agree: one alone (a
+ * placeholder like "Search", a common name) is shared by too many unrelated fields.
+ */
+
+export const FINGERPRINT_STRATEGIES = [
+  { property: 'id', label: 'id', weight: 0.95 },
+  { property: 'name', label: 'name', weight: 0.9 },
+  { property: 'label', label: 'label text', weight: 0.85 },
+  { property: 'ariaLabel', label: 'aria-label', weight: 0.85 },
+  { property: 'placeholder', label: 'placeholder', weight: 0.7 },
+  { property: 'autocomplete', label: 'autocomplete', weight: 0.6 },
+  { property: 'path', label: 'position', weight: 0.5 },
+];
+
+// Ids that frameworks generate (React's :r1:, ember123, hashes) say little, as they change between builds or loads
+const GENERATED_ID_WEIGHT = 0.3;
+const GENERATED_ID = /\d{3,}|^:|^(?:ember|react|ext-gen|mui|radix|headlessui|uid)[-_:]?/i;
+const HASH_LIKE = /[0-9a-f]{8,}/i;
+
+// Confidence needed to treat a field as the fingerprinted one
+export const MIN_FINGERPRINT_CONFIDENCE = 0.7;
+// Strategies that must agree for that, whatever the confidence
+export const MIN_AGREEING_STRATEGIES = 2;
+// Resolving among a page's fields: the best candidate must beat the runner-up by this much
+const MIN_CONFIDENCE_LEAD = 0.05;
+
+/** True if an id looks generated rather than chosen by the page's authors. */
+export function isGeneratedId(id) {
+  const text = String(id ?? '');
+  return GENERATED_ID.test(text) || (HASH_LIKE.test(text) && /\d/.test(text));
+}
+
+/** Comparable text: lowercase words, without the "*" or ":" that labels often end with. */
+function normalize(text) {
+  return String(text ?? '').toLowerCase().replace(/[\s*:]+$/, '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * True if a fingerprint has anything to compare (at least one strategy's property).
+ * @param {object} [fingerprint]
+ */
+export function hasFingerprint(fingerprint) {
+  return !!fingerprint && FINGERPRINT_STRATEGIES.some(({ property }) => normalize(fingerprint[property]));
+}
+
+/**
+ * How confident we are that a field is the one a fingerprint was taken from.
+ * @param {object} [stored] Fingerprint saved with the entry
+ * @param {object} [field] Fingerprint of a field on the page
+ * @returns {{ confidence: number, agreeing: string[], disagreeing: string[] }} Strategy labels, in rank order
+ */
+export function fingerprintConfidence(stored, field) {
+  const result = { confidence: 0, agreeing: [], disagreeing: [] };
+  if (!stored || !field) return result;
+  const storedType = normalize(stored.type);
+  const fieldType = normalize(field.type);
+  if (storedType && fieldType && storedType !== fieldType) {
+    result.disagreeing.push('type');
+    return result;
+  }
+  let missing = 1;
+  let penalty = 1;
+  for (const { property, label, weight } of FINGERPRINT_STRATEGIES) {
+    const a = normalize(stored[property]);
+    const b = normalize(field[property]);
+    if (!a || !b) continue;
+    const w = property === 'id' && isGeneratedId(stored[property]) ? GENERATED_ID_WEIGHT : weight;
+    if (a === b) {
+      missing *= 1 - w;
+      result.agreeing.push(label);
+    } else {
+      penalty *= 1 - w / 4;
+      result.disagreeing.push(label);
+    }
+  }
+  result.confidence = (1 - missing) * penalty;
+  return result;
+}
+
+/** True if a fingerprintConfidence result is enough to treat the field as the fingerprinted one. */
+function isConfident({ confidence, agreeing }) {
+  return confidence >= MIN_FINGERPRINT_CONFIDENCE && agreeing.length >= MIN_AGREEING_STRATEGIES;
+}
+
+/**
+ * True if the field is, with enough confidence, the fingerprinted one.
+ * @param {object} [stored]
+ * @param {object} [field]
+ */
+export function fingerprintMatches(stored, field) {
+  return isConfident(fingerprintConfidence(stored, field));
+}
+
+/**
+ * The page field that best fits a fingerprint, or null if none is confident enough or two fit about equally well.
+ * @param {object} stored
+ * @param {Array<{ selector: string, field: object }>} candidates Fields on the page (content.js getFieldCandidates)
+ * @returns {{ selector: string, confidence: number, agreeing: string[] } | null}
+ */
+export function resolveFingerprint(stored, candidates) {
+  const ranked = (candidates || [])
+    .map(({ selector, field }) => ({ selector, ...fingerprintConfidence(stored, field) }))
+    .sort((a, b) => b.confidence - a.confidence);
+  const [best, runnerUp] = ranked;
+  if (!best || !isConfident(best)) return null;
+  if (runnerUp && best.confidence - runnerUp.confidence < MIN_CONFIDENCE_LEAD) return null;
+  return { selector: best.selector, confidence: best.confidence, agreeing: best.agreeing };
+}
@@ -0,0 +1,32 @@
+/**
+ * Finding a tab's frames by URL: a field entry picked inside an iframe keeps the frame's URL (entry.frameUrl), and
+ * messages about its field go to the frame that now shows that URL. The background also asks only the frames whose
+ * URL has field entries to check their selectors.
+ */
+
+import { isSameFrameUrl } from './matching.js';
+
+/**
+ * The tab's frames and the URL each shows (none if the tab cannot be scripted).
+ * @param {number} tabId
+ * @returns {Promise<Array<{ frameId: number, url: string }>>}
+ */
+export async function tabFrames(tabId) {
+  const frames = await chrome.scripting
+    .executeScript({ target: { tabId, allFrames: true }, func: () => location.href })
+    .catch(() => []);
+  return frames.map((f) => ({ frameId: f.frameId, url: f.result }));
+}
+
+/**
+ * frameId of the tab's frame showing frameUrl (an exact match preferred over one differing in ?query or #hash),
+ * or null if no frame does.
+ * @param {number} tabId
+ * @param {string} frameUrl
+ * @returns {Promise<number | null>}
+ */
+export async function frameIdForUrl(tabId, frameUrl) {
+  const frames = await tabFrames(tabId);
+  const frame = frames.find((f) => f.url === frameUrl) ?? frames.find((f) => isSameFrameUrl(f.url, frameUrl));
+  return frame?.frameId ?? null;
+}
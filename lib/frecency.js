@@ -0,0 +1,33 @@
+/**
+ * Frecency: ranking entries by how often and how recently their value was applied on this device
+ * (entry.useCount / entry.lastUsedAt, attached by background from storage.getUsage).
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A use counts half as much after this many days, so a burst of old uses fades behind today's habits
+const HALF_LIFE_DAYS = 14;
+
+/**
+ * @param {{ useCount?: number, lastUsedAt?: number }} entry
+ * @param {number} [now]
+ * @returns {number} 0 for entries never used
+ */
+export function frecencyScore(entry, now = Date.now()) {
+  if (!entry?.useCount) return 0;
+  const ageDays = Math.max(0, now - (entry.lastUsedAt || 0)) / DAY_MS;
+  return entry.useCount * 0.5 ** (ageDays / HALF_LIFE_DAYS);
+}
+
+/**
+ * Entries sorted by frecency, highest first; ties (e.g. never used) keep the order given by `tieBreak`.
+ * @template {{ id: string }} T
+ * @param {T[]} entries
+ * @param {(a: T, b: T) => number} tieBreak
+ * @param {number} [now]
+ * @returns {T[]}
+ */
+export function sortByFrecency(entries, tieBreak, now = Date.now()) {
+  const scores = new Map(entries.map((e) => [e.id, frecencyScore(e, now)]));
+  return [...entries].sort((a, b) => scores.get(b.id) - scores.get(a.id) || tieBreak(a, b));
+}
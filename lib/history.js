@@ -0,0 +1,83 @@
+/**
+ * Per-entry revision history (pure helpers; storage.reviseEntry records revisions).
+ *
+ * entry.history is a list of revisions, oldest first, at most MAX_HISTORY long:
+ *   { at, device: { id, name }, prev }
+ * prev holds the fields that edit changed, as they were before it (stored form, so `enc` when the
+ * vault is on; null = the field was unset). The entry as it was before revision i is the current entry
+ * with the prev of revisions newest..i applied in turn.
+ * Fields history does not record (TIMED_FIELDS) carry the time of their last change in entry.changedAt instead
+ * (fieldChangeTimes); lib/merge.js merges them by it.
+ */
+
+export const MAX_HISTORY = 10;
+
+/** Fields not recorded in history, whose changes are timed in entry.changedAt instead. */
+export const TIMED_FIELDS = ['deletedAt', 'expiresAt', 'usesLeft', 'order', 'storageArea'];
+
+/** Fields whose changes are recorded (order is used for display). */
+export const HISTORY_FIELDS = ['value', 'enc', 'label', 'contextType', 'contextKey', 'fingerprint', 'frameUrl', 'ignoreQuery', 'exclude', 'profileId', 'shortcut'];
+
+function sameField(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+/**
+ * Entry with updates applied and, if a recorded field changed, a revision appended.
+ * @param {Entry} entry Stored entry
+ * @param {Partial<Entry>} updates
+ * @param {{ id: string, name: string }} device
+ * @param {number} [at]
+ */
+export function withRevision(entry, updates, device, at = Date.now()) {
+  const prev = {};
+  for (const field of HISTORY_FIELDS) {
+    if (field in updates && !sameField(updates[field], entry[field])) prev[field] = entry[field] ?? null;
+  }
+  const history = Array.isArray(entry.history) ? entry.history : [];
+  const nextHistory = Object.keys(prev).length ? [...history, { at, device, prev }].slice(-MAX_HISTORY) : history;
+  return { ...entry, ...updates, history: nextHistory.length ? nextHistory : undefined };
+}
+
+/**
+ * Recorded fields of the entry as they were before revision `index` (stored form; unset fields are undefined).
+ * @param {Entry} entry
+ * @param {number} index
+ * @returns {Partial<Entry>}
+ */
+export function fieldsBeforeRevision(entry, index) {
+  const state = {};
+  for (const field of HISTORY_FIELDS) state[field] = entry[field];
+  const history = entry.history || [];
+  for (let i = history.length - 1; i >= index; i--) {
+    for (const [field, value] of Object.entries(history[i].prev || {})) state[field] = value ?? undefined;
+  }
+  return state;
+}
+
+/**
+ * Display names of the fields a revision changed ('enc' counts as the value).
+ * @param {{ prev?: object }} revision
+ * @returns {string[]}
+ */
+export function changedFields(revision) {
+  const names = { value: 'value', enc: 'value', label: 'label', contextType: 'context', contextKey: 'context', fingerprint: 'context', frameUrl: 'context', ignoreQuery: 'context', exclude: 'context', profileId: 'profile', shortcut: 'shortcut' };
+  return [...new Set(Object.keys(revision?.prev || {}).map((f) => names[f] ?? f))];
+}
+
+/**
+ * entry.changedAt for a write of entry over the stored version base: timed fields that differ from base get the
+ * write's time. Undefined if no timed field ever changed (e.g. a new entry).
+ * @param {Entry} entry
+ * @param {Entry | undefined} base
+ * @param {number} [at]
+ */
+export function fieldChangeTimes(entry, base, at = Date.now()) {
+  const times = { ...(entry.changedAt || {}) };
+  if (base) {
+    for (const field of TIMED_FIELDS) {
+      if (JSON.stringify(entry[field] ?? null) !== JSON.stringify(base[field] ?? null)) times[field] = at;
+    }
+  }
+  return Object.keys(times).length ? times : undefined;
+}
@@ -0,0 +1,751 @@
+/**
+ * Matching entries to a page/field (pure functions; background keeps one index per loaded entry list).
+ *
+ * pageInfo: { url, origin, pathname, selector, field? } — selector is the focused/right-clicked field, '' if none;
+ * field is what that field is for and where it sits: { name?, autocomplete?, type?, ariaLabel?, label?, placeholder?,
+ * id?, path? } (its fingerprint; see lib/fingerprint.js). For a field inside an iframe, url/origin/pathname are the
+ * tab's page and frameUrl is the frame's own URL: entries match if their context fits either page (framePageInfo),
+ * and an exclusion of either page applies.
+ * Context keys: url = exact URL, domain = exact origin, all = everything, fieldOnly = origin|pathname|selector
+ * or a bare selector, urlPattern = origin|pathname|selector, a bare selector or a URL glob, regex = a regular
+ * expression tested against the URL, urlParts = a URLPattern (protocol, host, path, search and hash components).
+ * site = a domain and all its subdomains, optionally limited to a scheme and port ([scheme://]domain[:port]).
+ * A url entry with ignoreQuery matches its page whatever the ?query and #hash. Origin, pathname and selector parts may use * and ? wildcards, or be a
+ * regular expression written as re:<pattern>; an empty or '*' pathname/selector part matches anything.
+ * fieldSemantic = terms separated by ';', each property=pattern (see SEMANTIC_PROPERTIES) or a bare pattern for
+ * any property, all of which must match the field on any site: e.g. "label=invoice ref*; type=text".
+ * entry.exclude lists pages and fields the entry never matches, even where its context does (exclusionTest).
+ * A fieldOnly entry with a fingerprint also matches a field whose selector changed, if the fingerprint fits it and
+ * the page's check of field selectors found its selector missing (pageInfo.missingSelectors: entry ids).
+ *
+ * buildMatchIndex compiles every entry once (globs to regexes, key parsing) and buckets the exact ones by URL
+ * (with or without query), origin, registrable domain and selector, so a lookup only tests entries that can match. matchesContext is the same rule for a
+ * single entry, uncompiled.
+ */
+
+import { registrableDomain, isPublicSuffix } from './domains.js';
+import { hasFingerprint, fingerprintConfidence, fingerprintMatches, MIN_FINGERPRINT_CONFIDENCE, MIN_AGREEING_STRATEGIES } from './fingerprint.js';
+import { compileRegex } from './regex.js';
+
+export const REGEX_PREFIX = 're:';
+
+// Limits for user regexes. They run on lib/regex.js (linear time, with a work budget), not RegExp, so no pattern
+// can freeze the background; long inputs are not tested at all.
+const MAX_REGEX_LENGTH = 500;
+const MAX_REGEX_INPUT = 2048;
+
+/**
+ * Why a pattern cannot be used as a regex context or key part, or null if it is fine.
+ * @param {string} source
+ * @returns {string | null}
+ */
+export function regexError(source) {
+  if (!source) return 'Enter a regular expression.';
+  if (source.length > MAX_REGEX_LENGTH) return `Regular expressions are limited to ${MAX_REGEX_LENGTH} characters.`;
+  try {
+    new RegExp(source);
+  } catch (err) {
+    return `Invalid regular expression: ${err.message.replace(/^Invalid regular expression: /, '')}`;
+  }
+  try {
+    compileRegex(source);
+  } catch (err) {
+    return err.message;
+  }
+  return null;
+}
+
+/** Test for a user regex; never matches if the pattern is refused by regexError. */
+function regexTest(source) {
+  if (regexError(source)) return never;
+  const re = compileRegex(source);
+  return (s) => typeof s === 'string' && s.length <= MAX_REGEX_INPUT && re.test(s);
+}
+
+/**
+ * Split an origin|pathname|selector key. Within re: parts, | inside (…) or […] belongs to the pattern,
+ * so write alternatives as re:(a|b).
+ * @param {string} key
+ * @returns {string[]}
+ */
+export function splitContextKey(key) {
+  if (!key.includes(REGEX_PREFIX)) return key.split('|');
+  const parts = [];
+  let current = '';
+  let depth = 0;
+  let inClass = false;
+  for (let i = 0; i < key.length; i++) {
+    const c = key[i];
+    const inRegex = current.startsWith(REGEX_PREFIX);
+    if (inRegex && c === '\\') {
+      current += c + (key[i + 1] ?? '');
+      i++;
+      continue;
+    }
+    if (c === '|' && !(inRegex && (depth > 0 || inClass))) {
+      parts.push(current);
+      current = '';
+      depth = 0;
+      inClass = false;
+      continue;
+    }
+    if (inRegex) {
+      if (inClass) inClass = c !== ']';
+      else if (c === '[') inClass = true;
+      else if (c === '(') depth++;
+      else if (c === ')') depth = Math.max(0, depth - 1);
+    }
+    current += c;
+  }
+  parts.push(current);
+  return parts;
+}
+
+/**
+ * Why a context key cannot be saved, or null: regex keys and re: parts must pass regexError, fieldSemantic
+ * keys must name known properties, urlParts keys must be valid URLPatterns and site keys domains below a public suffix.
+ * @param {string} contextType
+ * @param {string} contextKey
+ * @returns {string | null}
+ */
+export function contextKeyError(contextType, contextKey) {
+  const key = (contextKey || '').trim();
+  if (contextType === 'regex') return regexError(key);
+  if (contextType === 'fieldSemantic') return semanticKeyError(key);
+  if (contextType === 'urlParts') return urlPatternError(key);
+  if (contextType === 'site') return siteKeyError(key);
+  if (contextType !== 'fieldOnly' && contextType !== 'urlPattern') return null;
+  const parts = splitContextKey(key);
+  if (parts.length !== 3) return null;
+  const names = ['origin', 'path', 'selector'];
+  for (let i = 0; i < parts.length; i++) {
+    if (!parts[i].startsWith(REGEX_PREFIX)) continue;
+    const error = regexError(parts[i].slice(REGEX_PREFIX.length));
+    if (error) return `In the ${names[i]} part: ${error}`;
+  }
+  return null;
+}
+
+// Key property → pageInfo.field properties it is tested against
+const SEMANTIC_PROPERTIES = {
+  name: ['name'],
+  autocomplete: ['autocomplete'],
+  type: ['type'],
+  label: ['label', 'ariaLabel'],
+  placeholder: ['placeholder'],
+};
+const ANY_SEMANTIC_PROPERTY = ['name', 'autocomplete', 'label', 'ariaLabel', 'placeholder'];
+
+/** Lowercase words: "Invoice ref.:" and "invoice_ref" both become "invoice ref". */
+function normalizeFieldText(text, keepWildcards = false) {
+  const separators = keepWildcards ? /[^\p{L}\p{N}*?]+/gu : /[^\p{L}\p{N}]+/gu;
+  return String(text ?? '').toLowerCase().replace(separators, ' ').trim();
+}
+
+/** Parse a fieldSemantic key into [{ property, pattern }] (property null = any). */
+function parseSemanticKey(key) {
+  return key
+    .split(';')
+    .map((term) => term.trim())
+    .filter(Boolean)
+    .map((term) => {
+      const match = /^([a-z]+)\s*=\s*(.*)$/i.exec(term);
+      return match ? { property: match[1].toLowerCase(), pattern: match[2].trim() } : { property: null, pattern: term };
+    });
+}
+
+function semanticKeyError(key) {
+  const terms = parseSemanticKey(key);
+  if (!terms.length) return 'Describe the field, e.g. label=invoice reference';
+  for (const { property, pattern } of terms) {
+    if (property && !SEMANTIC_PROPERTIES[property]) {
+      return `Unknown field property "${property}". Use ${Object.keys(SEMANTIC_PROPERTIES).join(', ')}.`;
+    }
+    if (!pattern) return `Enter what ${property || 'the field'} should look like.`;
+    if (pattern.startsWith(REGEX_PREFIX)) {
+      const error = regexError(pattern.slice(REGEX_PREFIX.length));
+      if (error) return error;
+    }
+  }
+  return null;
+}
+
+/** Test for a semantic key: every term must match one of its field properties (normalized, case-insensitive). */
+function semanticTest(key) {
+  const terms = parseSemanticKey(key).map(({ property, pattern }) => {
+    const properties = property ? SEMANTIC_PROPERTIES[property] : ANY_SEMANTIC_PROPERTY;
+    if (!properties) return never;
+    const test = pattern.startsWith(REGEX_PREFIX)
+      ? regexTest(pattern.slice(REGEX_PREFIX.length))
+      : globOrExact(normalizeFieldText(pattern, true));
+    return (field) => properties.some((name) => !!field[name] && test(normalizeFieldText(field[name])));
+  });
+  if (!terms.length) return never;
+  return (p) => !!p.selector && !!p.field && terms.every((term) => term(p.field));
+}
+
+/**
+ * A fieldSemantic key describing a field by its most telling property, or '' if it has none.
+ * @param {{ name?: string, autocomplete?: string, type?: string, ariaLabel?: string, label?: string, placeholder?: string } | undefined} field
+ */
+export function semanticKeyForField(field) {
+  if (!field) return '';
+  const autocomplete = normalizeFieldText(field.autocomplete);
+  if (autocomplete && autocomplete !== 'on' && autocomplete !== 'off') return `autocomplete=${autocomplete}`;
+  for (const property of ['label', 'ariaLabel', 'name', 'placeholder']) {
+    const text = normalizeFieldText(field[property]);
+    if (text) return `${property === 'ariaLabel' ? 'label' : property}=${text}`;
+  }
+  const type = normalizeFieldText(field.type);
+  return type && type !== 'text' ? `type=${type}` : '';
+}
+
+/**
+ * Why an exclusion pattern cannot be saved, or null.
+ * @param {string} pattern
+ * @returns {string | null}
+ */
+export function exclusionError(pattern) {
+  const trimmed = (pattern || '').trim();
+  if (!trimmed.startsWith(REGEX_PREFIX)) return null;
+  const error = regexError(trimmed.slice(REGEX_PREFIX.length));
+  return error && `${trimmed}: ${error}`;
+}
+
+/**
+ * Test for one exclusion: re:<regex> against the URL, an origin (scheme://host, no path), a URL glob (anything
+ * else with ://) or a field selector. Origins, URLs and selectors may use * and ? wildcards.
+ */
+function exclusionTest(pattern) {
+  const trimmed = pattern.trim();
+  if (!trimmed) return never;
+  if (trimmed.startsWith(REGEX_PREFIX)) {
+    const test = regexTest(trimmed.slice(REGEX_PREFIX.length));
+    return (p) => test(p.url);
+  }
+  const test = globOrExact(trimmed);
+  if (/^[^/]*:\/\/[^/]*$/.test(trimmed)) return (p) => !!p.origin && test(p.origin);
+  if (trimmed.includes('://')) return (p) => test(p.url);
+  return (p) => !!p.selector && test(p.selector);
+}
+
+/** Compiled URLPattern for a urlParts key, or null if it is invalid or the browser has no URLPattern. */
+function compileUrlPattern(key) {
+  if (typeof URLPattern !== 'function') return null;
+  try {
+    return new URLPattern(key);
+  } catch {
+    return null;
+  }
+}
+
+function urlPatternError(key) {
+  if (!key) return 'Enter a URL pattern, e.g. https://*.example.com/tickets/:id?*status=open*';
+  if (typeof URLPattern !== 'function') return 'URL parts patterns are not supported in this browser.';
+  try {
+    new URLPattern(key);
+    return null;
+  } catch (err) {
+    return `Invalid URL pattern: ${err.message}`;
+  }
+}
+
+/**
+ * Parse a site key: [scheme://]domain[:port], domain in lowercase ASCII; null if it is not one.
+ * @param {string} key
+ * @returns {{ protocol: string | null, domain: string, port: string | null } | null}
+ */
+export function parseSiteKey(key) {
+  const match = /^(?:([a-z][a-z0-9+.-]*):\/\/)?([^/:?#\s]+)(?::(\d+))?\/?$/i.exec((key || '').trim());
+  if (!match) return null;
+  let domain;
+  try {
+    domain = new URL(`http://${match[2]}`).hostname;
+  } catch {
+    return null;
+  }
+  return { protocol: match[1] ? `${match[1].toLowerCase()}:` : null, domain, port: match[3] ?? null };
+}
+
+function siteKeyError(key) {
+  const site = parseSiteKey(key);
+  if (!site) return 'Enter a domain, e.g. example.com (optionally with https:// or a :port).';
+  if (isPublicSuffix(site.domain)) {
+    return `${site.domain} is shared by unrelated sites (a public suffix). Enter a domain under it, e.g. example.${site.domain}.`;
+  }
+  return null;
+}
+
+/** Scheme, hostname and port of a page's origin (port '' for the scheme's default), or null. */
+function originParts(origin) {
+  try {
+    const u = new URL(origin);
+    return { protocol: u.protocol, hostname: u.hostname, port: u.port };
+  } catch {
+    return null;
+  }
+}
+
+/** Per site key part, whether a page's origin passes. */
+function siteChecks(site, origin) {
+  const page = originParts(origin);
+  const host = page?.hostname ?? '';
+  return {
+    page,
+    domain: !!page && (host === site.domain || host.endsWith(`.${site.domain}`)),
+    protocol: !site.protocol || page?.protocol === site.protocol,
+    port: site.port == null || page?.port === (site.port === defaultPort(page?.protocol) ? '' : site.port),
+  };
+}
+
+function defaultPort(protocol) {
+  return protocol === 'https:' ? '443' : protocol === 'http:' ? '80' : null;
+}
+
+/** The URL without its ?query and #hash. */
+export function urlWithoutQuery(url) {
+  return String(url ?? '').split(/[?#]/)[0];
+}
+
+export function globToRegex(glob) {
+  const escaped = glob.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+  return new RegExp(`^${escaped}$`);
+}
+
+function hasWildcard(pattern) {
+  return pattern.includes('*') || pattern.includes('?');
+}
+
+function isPattern(part) {
+  return hasWildcard(part) || part.startsWith(REGEX_PREFIX);
+}
+
+const never = () => false;
+const always = () => true;
+
+/** Test for a glob (when it has wildcards) or an exact string. */
+function globOrExact(pattern) {
+  if (!hasWildcard(pattern)) return (s) => s === pattern;
+  try {
+    const re = globToRegex(pattern);
+    return (s) => re.test(s);
+  } catch {
+    return never;
+  }
+}
+
+/** Test for one part of an origin|pathname|selector key: re:<regex>, glob or exact. */
+function partTest(part) {
+  return part.startsWith(REGEX_PREFIX) ? regexTest(part.slice(REGEX_PREFIX.length)) : globOrExact(part);
+}
+
+/** Like partTest, but empty or '*' matches anything (pathname and selector parts). */
+function anyOrPart(part) {
+  return !part || part === '*' ? always : partTest(part);
+}
+
+function originTest(keyOrigin) {
+  const test = partTest(keyOrigin || '');
+  return (origin) => (!keyOrigin || !origin ? keyOrigin === origin : test(origin));
+}
+
+export function originMatches(keyOrigin, origin) {
+  return originTest(keyOrigin)(origin);
+}
+
+/** True if a key's pathname part matches (empty or '*' = any path). */
+export function pathnameMatches(keyPathname, pathname) {
+  return anyOrPart(keyPathname)(pathname);
+}
+
+/**
+ * origin|pathname|selector test (the page must have a selector). With a fingerprint (entry given), a field whose
+ * selector does not match is still accepted if the fingerprint fits it and the selector is missing from the page.
+ */
+function fieldKeyTest(parts, entry) {
+  const [keyOrigin, keyPathname, keySelector] = parts;
+  const origin = originTest(keyOrigin);
+  const pathname = anyOrPart(keyPathname);
+  const selector = fingerprintFallback(anyOrPart(keySelector), entry);
+  return (p) => !!p.selector && origin(p.origin) && pathname(p.pathname) && selector(p);
+}
+
+/** True if the page's check of field selectors found nothing for the entry's selector (see selectorChecks). */
+function isSelectorMissing(entry, p) {
+  return Array.isArray(p.missingSelectors) && p.missingSelectors.includes(entry.id);
+}
+
+/**
+ * Selector test on pageInfo, falling back to the entry's field fingerprint (if it has one) where its selector is
+ * missing: while the selector still finds its field, another field that merely looks alike is not the entry's.
+ */
+function fingerprintFallback(selectorTest, entry) {
+  if (!hasFingerprint(entry?.fingerprint)) return (p) => selectorTest(p.selector);
+  return (p) => selectorTest(p.selector) || (isSelectorMissing(entry, p) && fingerprintMatches(entry.fingerprint, p.field));
+}
+
+/**
+ * Compile one entry's context into a test and the bucket it can be found through.
+ * @returns {{ test: (pageInfo: object) => boolean, bucket: 'url' | 'page' | 'origin' | 'site' | 'selector' | 'always' | 'scan' | 'never', bucketKey?: string }}
+ */
+function compileEntry(entry) {
+  const compiled = compileContext(entry);
+  const exclusions = Array.isArray(entry.exclude) ? entry.exclude.map((pattern) => exclusionTest(String(pattern))) : [];
+  if (!exclusions.length || compiled.bucket === 'never') return compiled;
+  const { test } = compiled;
+  return { ...compiled, test: (p) => test(p) && !exclusions.some((excluded) => excluded(p)), exclusions };
+}
+
+/**
+ * The pageInfo of the iframe a field is in: the frame's URL, origin and pathname with the same field; null for a
+ * field in the top frame (or a frame URL that cannot be parsed).
+ * @param {{ url: string, frameUrl?: string } | null} pageInfo
+ */
+export function framePageInfo(pageInfo) {
+  if (!pageInfo?.frameUrl || pageInfo.frameUrl === pageInfo.url) return null;
+  try {
+    const { origin, pathname } = new URL(pageInfo.frameUrl);
+    return { ...pageInfo, url: pageInfo.frameUrl, origin, pathname };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * True if two frame URLs show the same document, whatever their ?query and #hash (often session tokens).
+ * @param {string | undefined} a
+ * @param {string | undefined} b
+ */
+export function isSameFrameUrl(a, b) {
+  return !!a && !!b && urlWithoutQuery(a) === urlWithoutQuery(b);
+}
+
+/** The pages a pageInfo stands for: the tab's page, and the frame's if the field is in an iframe. */
+function pageVariants(pageInfo) {
+  const frame = framePageInfo(pageInfo);
+  return frame ? [pageInfo, frame] : [pageInfo];
+}
+
+/** True if a compiled entry matches one of the pages and is excluded on none. */
+function matchesAnyPage(compiled, pages) {
+  if (pages.length === 1) return compiled.test(pages[0]);
+  const excluded = (p) => !!compiled.exclusions?.some((test) => test(p));
+  return pages.some((p) => compiled.test(p)) && !pages.some(excluded);
+}
+
+function compileContext(entry) {
+  switch (entry.contextType) {
+    case 'fieldOnly': {
+      const key = (entry.contextKey || '').trim();
+      if (!key) return { test: never, bucket: 'never' };
+      if (key.includes('|')) {
+        const parts = splitContextKey(key);
+        if (parts.length === 3) {
+          const test = fieldKeyTest(parts, entry);
+          // An exact origin can only match pages on that origin
+          return parts[0] && !isPattern(parts[0])
+            ? { test, bucket: 'origin', bucketKey: parts[0] }
+            : { test, bucket: 'scan' };
+        }
+        // Unexpected key shapes: exact match on the whole key
+        return { test: (p) => !!p.selector && key === `${p.origin}|${p.pathname}|${p.selector}`, bucket: 'scan' };
+      }
+      // Selector-only: this field on any site
+      if (!key.includes('://')) {
+        const selector = fingerprintFallback(globOrExact(key), entry);
+        const test = (p) => !!p.selector && selector(p);
+        // A fingerprint can match fields with any selector
+        return hasWildcard(key) || hasFingerprint(entry.fingerprint)
+          ? { test, bucket: 'scan' }
+          : { test, bucket: 'selector', bucketKey: key };
+      }
+      return { test: never, bucket: 'never' };
+    }
+    case 'url': {
+      if (!entry.ignoreQuery) return { test: (p) => entry.contextKey === p.url, bucket: 'url', bucketKey: entry.contextKey };
+      const page = urlWithoutQuery(entry.contextKey);
+      return { test: (p) => page === urlWithoutQuery(p.url), bucket: 'page', bucketKey: page };
+    }
+    case 'domain':
+      return { test: (p) => entry.contextKey === p.origin, bucket: 'origin', bucketKey: entry.contextKey };
+    case 'site': {
+      const site = parseSiteKey(entry.contextKey);
+      if (!site) return { test: never, bucket: 'never' };
+      const test = (p) => {
+        const checks = siteChecks(site, p.origin);
+        return checks.domain && checks.protocol && checks.port;
+      };
+      // A registrable domain key can only match pages whose registrable domain it is
+      return registrableDomain(site.domain) === site.domain
+        ? { test, bucket: 'site', bucketKey: site.domain }
+        : { test, bucket: 'scan' };
+    }
+    case 'all':
+      return { test: always, bucket: 'always' };
+    case 'urlPattern': {
+      const key = entry.contextKey || '';
+      const parts = splitContextKey(key);
+      // 1) origin|pathname|selector, 2) a bare selector on any site, 3) otherwise a URL glob
+      const fieldKey = parts.length === 3 ? fieldKeyTest(parts) : never;
+      const bareSelector = !key.includes('|') && !key.includes('://') && key.trim() !== '' ? key.trim() : null;
+      let urlRe = null;
+      try {
+        urlRe = globToRegex(key);
+      } catch {
+        urlRe = null;
+      }
+      const test = (p) =>
+        fieldKey(p) || (bareSelector !== null && !!p.selector && p.selector === bareSelector) || (!!urlRe && urlRe.test(p.url));
+      return { test, bucket: 'scan' };
+    }
+    case 'regex': {
+      const test = regexTest((entry.contextKey || '').trim());
+      return { test: (p) => test(p.url), bucket: 'scan' };
+    }
+    case 'urlParts': {
+      const pattern = compileUrlPattern((entry.contextKey || '').trim());
+      if (!pattern) return { test: never, bucket: 'never' };
+      return { test: (p) => typeof p.url === 'string' && p.url.length <= MAX_REGEX_INPUT && pattern.test(p.url), bucket: 'scan' };
+    }
+    case 'fieldSemantic':
+      return { test: semanticTest(entry.contextKey || ''), bucket: 'scan' };
+    default:
+      return { test: never, bucket: 'never' };
+  }
+}
+
+function explainStep(label, pattern, actual, ok) {
+  return { label, pattern: pattern ?? '', actual: actual ?? '', ok: !!ok };
+}
+
+function explainFieldKey(parts, p) {
+  const [keyOrigin, keyPathname, keySelector] = parts;
+  return [
+    explainStep('Field', 'a focused field', p.selector || '(none)', !!p.selector),
+    explainStep('Origin', keyOrigin, p.origin, originTest(keyOrigin)(p.origin)),
+    explainStep('Path', keyPathname || '*', p.pathname, anyOrPart(keyPathname)(p.pathname)),
+    explainStep('Selector', keySelector || '*', p.selector, !!p.selector && anyOrPart(keySelector)(p.selector)),
+  ];
+}
+
+/**
+ * Steps of the fingerprint fallback: the entry's selector is missing from the page, and its field fingerprint
+ * compared with the focused field (confidence and what agreed).
+ */
+function explainFingerprint(entry, p) {
+  const missing = isSelectorMissing(entry, p);
+  const { confidence, agreeing, disagreeing } = fingerprintConfidence(entry.fingerprint, p.field);
+  const details = [
+    `${Math.round(confidence * 100)}%`,
+    agreeing.length ? `same ${agreeing.join(', ')}` : '',
+    disagreeing.length ? `different ${disagreeing.join(', ')}` : '',
+  ].filter(Boolean).join('; ');
+  return [
+    explainStep('Selector on the page', 'not found', missing ? 'not found' : 'found or not checked', missing),
+    explainStep(
+      'Field fingerprint',
+      `confidence ≥ ${Math.round(MIN_FINGERPRINT_CONFIDENCE * 100)}%, ${MIN_AGREEING_STRATEGIES}+ agreeing`,
+      p.selector ? details : '(no focused field)',
+      !!p.selector && fingerprintMatches(entry.fingerprint, p.field)
+    ),
+  ];
+}
+
+function explainBranches(entry, p) {
+  const key = entry.contextKey || '';
+  switch (entry.contextType) {
+    case 'fieldOnly': {
+      const trimmed = key.trim();
+      if (!trimmed) return [{ name: 'Empty key', steps: [] }];
+      if (trimmed.includes('|')) {
+        const parts = splitContextKey(trimmed);
+        if (parts.length === 3) {
+          const branches = [{ name: 'origin|path|selector', steps: explainFieldKey(parts, p) }];
+          if (hasFingerprint(entry.fingerprint)) {
+            branches.push({ name: 'origin|path and a similar field', steps: [...explainFieldKey(parts, p).slice(0, 3), ...explainFingerprint(entry, p)] });
+          }
+          return branches;
+        }
+        const pageKey = p.selector ? `${p.origin}|${p.pathname}|${p.selector}` : '(no focused field)';
+        return [{ name: 'Whole key', steps: [explainStep('Key', trimmed, pageKey, !!p.selector && trimmed === pageKey)] }];
+      }
+      if (!trimmed.includes('://')) {
+        const branches = [{ name: 'Selector on any site', steps: [explainStep('Selector', trimmed, p.selector || '(none)', !!p.selector && globOrExact(trimmed)(p.selector))] }];
+        if (hasFingerprint(entry.fingerprint)) branches.push({ name: 'A similar field on any site', steps: explainFingerprint(entry, p) });
+        return branches;
+      }
+      return [{ name: 'URL in a field key (never matches)', steps: [explainStep('Key', trimmed, p.url, false)] }];
+    }
+    case 'url':
+      return entry.ignoreQuery
+        ? [{ name: 'This URL, ignoring ?query and #hash', steps: [explainStep('URL', urlWithoutQuery(key), urlWithoutQuery(p.url), urlWithoutQuery(key) === urlWithoutQuery(p.url))] }]
+        : [{ name: 'This URL', steps: [explainStep('URL', key, p.url, entry.contextKey === p.url)] }];
+    case 'domain':
+      return [{ name: 'This domain', steps: [explainStep('Origin', key, p.origin, entry.contextKey === p.origin)] }];
+    case 'site': {
+      const site = parseSiteKey(key);
+      if (!site) return [{ name: 'This site', steps: [explainStep('Domain', key, p.origin, false)] }];
+      const checks = siteChecks(site, p.origin);
+      const steps = [explainStep('Domain or subdomain', site.domain, checks.page?.hostname, checks.domain)];
+      if (site.protocol) steps.push(explainStep('Scheme', site.protocol, checks.page?.protocol, checks.protocol));
+      if (site.port != null) steps.push(explainStep('Port', site.port, checks.page?.port || defaultPort(checks.page?.protocol), checks.port));
+      return [{ name: 'This site and its subdomains', steps }];
+    }
+    case 'all':
+      return [{ name: 'All sites', steps: [], always: true }];
+    case 'urlPattern': {
+      const parts = splitContextKey(key);
+      const branches = [];
+      if (parts.length === 3) branches.push({ name: 'origin|path|selector', steps: explainFieldKey(parts, p) });
+      if (!key.includes('|') && !key.includes('://') && key.trim() !== '') {
+        branches.push({ name: 'Selector on any site', steps: [explainStep('Selector', key.trim(), p.selector || '(none)', !!p.selector && p.selector === key.trim())] });
+      }
+      let urlOk = false;
+      try {
+        urlOk = globToRegex(key).test(p.url);
+      } catch {
+        urlOk = false;
+      }
+      branches.push({ name: 'URL glob', steps: [explainStep('URL', key, p.url, urlOk)] });
+      return branches;
+    }
+    case 'urlParts': {
+      const pattern = compileUrlPattern(key.trim());
+      return [{ name: 'URL parts', steps: [explainStep('URL', key.trim(), p.url, !!pattern && pattern.test(p.url))] }];
+    }
+    case 'regex':
+      return [{ name: 'Regular expression', steps: [explainStep('URL', key.trim(), p.url, regexTest(key.trim())(p.url))] }];
+    case 'fieldSemantic': {
+      const field = p.field || {};
+      const steps = [explainStep('Field', 'a focused field', p.selector || '(none)', !!p.selector && !!p.field)];
+      const terms = parseSemanticKey(key);
+      if (!terms.length) steps.push(explainStep('Key', '(no terms)', '', false));
+      for (const { property, pattern } of terms) {
+        const properties = (property ? SEMANTIC_PROPERTIES[property] : ANY_SEMANTIC_PROPERTY) || [];
+        const actual = properties.map((name) => field[name]).filter(Boolean).join(' / ') || '(none)';
+        const term = semanticTest(property ? `${property}=${pattern}` : pattern);
+        steps.push(explainStep(property || 'Any property', pattern, actual, term(p)));
+      }
+      return [{ name: 'Similar fields', steps }];
+    }
+    default:
+      return [{ name: `Unknown context type "${entry.contextType}"`, steps: [] }];
+  }
+}
+
+/**
+ * Why an entry does or does not match the page/field (for the side panel's explainer). An entry matches if any of
+ * its branches does, i.e. all of that branch's steps pass, and no exclusion applies.
+ * @param {Entry} entry
+ * @param {{ url: string, origin: string, pathname: string, selector?: string, field?: object } | null} pageInfo
+ * @returns {{
+ *   matched: boolean,
+ *   branches: Array<{ name: string, matched: boolean, steps: Array<{ label: string, pattern: string, actual: string, ok: boolean }> }>,
+ *   exclusions: Array<{ pattern: string, excluded: boolean }>,
+ * }}
+ */
+export function explainMatch(entry, pageInfo) {
+  const p = pageInfo || { url: '', origin: '', pathname: '', selector: '' };
+  const frame = framePageInfo(p);
+  const frameBranches = frame
+    ? explainBranches(entry, frame).filter((b) => !b.always).map((b) => ({ ...b, name: `${b.name}, in the frame` }))
+    : [];
+  const branches = [...explainBranches(entry, p), ...frameBranches].map((branch) => ({
+    ...branch,
+    matched: !!branch.always || (branch.steps.length > 0 && branch.steps.every((s) => s.ok)),
+  }));
+  const pages = pageVariants(p);
+  const exclusions = (Array.isArray(entry.exclude) ? entry.exclude : []).map((pattern) => ({
+    pattern: String(pattern),
+    excluded: pages.some(exclusionTest(String(pattern))),
+  }));
+  const matched = !!pageInfo && branches.some((b) => b.matched) && !exclusions.some((x) => x.excluded);
+  return { matched, branches, exclusions };
+}
+
+/**
+ * True if an entry's context matches the page/field.
+ * @param {Entry} entry
+ * @param {{ url: string, origin: string, pathname: string, selector?: string } | null} pageInfo
+ */
+export function matchesContext(entry, pageInfo) {
+  if (!pageInfo) return false;
+  return matchesAnyPage(compileEntry(entry), pageVariants(pageInfo));
+}
+
+/**
+ * What a page must contain for its field entries to find their field, to spot entries that a change of markup
+ * broke: for each entry with an origin|pathname|selector key whose field this frame should hold, the selector to
+ * query, or for a glob the regex its fields' selectors must match. A frame holds the fields picked in it (entries
+ * with its frameUrl, keyed on the tab's page) and those keyed on its own document; other frames of the page (ads,
+ * about:blank) would only report them missing. Selectors that are re: patterns or any field ('' or '*') cannot go
+ * missing and are left out.
+ * @param {Entry[]} entries
+ * @param {{ url: string, origin: string, pathname: string, frameUrl?: string } | null} pageInfo
+ * @returns {Array<{ id: string, selector?: string, pattern?: string }>}
+ */
+export function selectorChecks(entries, pageInfo) {
+  if (!pageInfo) return [];
+  const ownPage = framePageInfo(pageInfo) ?? pageInfo;
+  return (entries || []).flatMap((entry) => {
+    if (entry.contextType !== 'fieldOnly' && entry.contextType !== 'urlPattern') return [];
+    const parts = splitContextKey((entry.contextKey || '').trim());
+    if (parts.length !== 3) return [];
+    const [keyOrigin, keyPathname, keySelector] = parts;
+    if (!keySelector || keySelector === '*' || keySelector.startsWith(REGEX_PREFIX)) return [];
+    if (entry.frameUrl && !isSameFrameUrl(entry.frameUrl, pageInfo.frameUrl)) return [];
+    const origin = originTest(keyOrigin);
+    const pathname = anyOrPart(keyPathname);
+    const pages = entry.frameUrl ? pageVariants(pageInfo) : [ownPage];
+    if (!pages.some((p) => origin(p.origin) && pathname(p.pathname))) return [];
+    return [hasWildcard(keySelector) ? { id: entry.id, pattern: globToRegex(keySelector).source } : { id: entry.id, selector: keySelector }];
+  });
+}
+
+/**
+ * Compile entries for repeated matching.
+ * @param {Entry[]} entries
+ */
+export function buildMatchIndex(entries) {
+  const index = { url: new Map(), page: new Map(), origin: new Map(), site: new Map(), selector: new Map(), always: [], scan: [] };
+  entries.forEach((entry, position) => {
+    const compiled = compileEntry(entry);
+    const { bucket, bucketKey } = compiled;
+    if (bucket === 'never') return;
+    const item = { position, entry, compiled };
+    if (bucket === 'always' || bucket === 'scan') {
+      index[bucket].push(item);
+      return;
+    }
+    const list = index[bucket].get(bucketKey);
+    if (list) list.push(item);
+    else index[bucket].set(bucketKey, [item]);
+  });
+  return index;
+}
+
+/**
+ * Entries in the index that match the page/field, in their original order.
+ * @param {ReturnType<typeof buildMatchIndex>} index
+ * @param {{ url: string, origin: string, pathname: string, selector?: string } | null} pageInfo
+ * @returns {Entry[]}
+ */
+export function findMatches(index, pageInfo) {
+  if (!pageInfo) return [];
+  const pages = pageVariants(pageInfo);
+  const candidates = new Set([
+    ...pages.flatMap((p) => [
+      ...(index.url.get(p.url) || []),
+      ...(index.page.get(urlWithoutQuery(p.url)) || []),
+      ...(index.origin.get(p.origin) || []),
+      ...(index.site.size ? index.site.get(registrableDomain(originParts(p.origin)?.hostname)) || [] : []),
+    ]),
+    ...(pageInfo.selector ? index.selector.get(pageInfo.selector) || [] : []),
+    ...index.always,
+    ...index.scan,
+  ]);
+  return [...candidates]
+    .filter((item) => matchesAnyPage(item.compiled, pages))
+    .sort((a, b) => a.position - b.position)
+    .map((item) => item.entry);
+}
@@ -0,0 +1,149 @@
+/**
+ * Merging an entry edited on two devices at once (pure helpers; background runs them on sync changes).
+ *
+ * chrome.storage.sync keeps the last write per item, so when another device's version of an entry replaces one
+ * this device wrote and the other device never saw (its baseAt is not our updatedAt), our edit would be lost.
+ * The common ancestor is found through history: revisions in our version that the other one lacks are ours alone
+ * (lib/history.js), and undoing them gives the version both edits started from. Per field group, a side that
+ * changed it wins over one that did not; if both changed it differently, the other device's version stays
+ * and the group is reported as a conflict for the user to resolve.
+ *
+ * Fields that history does not record (trash, expiry, order, storage area) carry the time of their last change in
+ * entry.changedAt (see fieldChangeTimes in lib/history.js). A side changed such a field concurrently if it did so
+ * after the version the other side started from (its baseAt). Order and storage area never conflict: the later
+ * change wins. Nor do uses left: when both sides changed them (a value used on each device), the lower count stays.
+ */
+
+import { MAX_HISTORY, TIMED_FIELDS, fieldsBeforeRevision } from './history.js';
+
+/** Fields merged together (a value and its ciphertext, a context type, its key and exclusions). */
+export const FIELD_GROUPS = {
+  value: ['value', 'enc'],
+  label: ['label'],
+  context: ['contextType', 'contextKey', 'fingerprint', 'frameUrl', 'ignoreQuery', 'exclude'],
+  profile: ['profileId'],
+  shortcut: ['shortcut'],
+  trash: ['deletedAt'],
+  expiry: ['expiresAt'],
+};
+
+// Timed fields outside FIELD_GROUPS: the side that changed them last wins
+const LAST_WRITER_FIELDS = ['order', 'storageArea'];
+
+// Timed fields outside FIELD_GROUPS: of two changes the lower number wins (unset means no limit)
+const LOWEST_FIELDS = ['usesLeft'];
+
+function pick(entry, fields) {
+  return Object.fromEntries(fields.map((f) => [f, entry?.[f] ?? undefined]));
+}
+
+function same(a, b) {
+  const norm = (o) => JSON.stringify(Object.entries(o).map(([k, v]) => [k, v ?? null]));
+  return norm(a) === norm(b);
+}
+
+function revisionKey(rev) {
+  return `${rev?.at}|${rev?.device?.id ?? ''}`;
+}
+
+function changeTime(entry, field) {
+  return entry?.changedAt?.[field] ?? 0;
+}
+
+/**
+ * Whether each side changed a field group since the version both started from: through history for recorded
+ * fields (ancestor), through change times for timed ones.
+ */
+function groupChanges(fields, local, remote, ancestor) {
+  if (!fields.some((f) => TIMED_FIELDS.includes(f))) {
+    const base = pick(ancestor, fields);
+    return { mine: !same(pick(local, fields), base), theirs: !same(pick(remote, fields), base) };
+  }
+  return {
+    mine: fields.some((f) => changeTime(local, f) > (remote.baseAt ?? 0)),
+    theirs: fields.some((f) => changeTime(remote, f) > (local.baseAt ?? 0)),
+  };
+}
+
+/**
+ * True if `remote` (just synced in) replaced a version this device wrote without having seen it.
+ * @param {Entry | undefined} local Previous stored value (onChanged oldValue)
+ * @param {Entry | undefined} remote New stored value (onChanged newValue)
+ * @param {string} deviceId This device
+ */
+export function isConcurrentEdit(local, remote, deviceId) {
+  if (!local || !remote || local.id !== remote.id) return false;
+  if (remote.updatedBy === deviceId || local.updatedBy !== deviceId) return false;
+  return remote.baseAt !== local.updatedAt;
+}
+
+/**
+ * Merge this device's version with the other device's.
+ * @param {Entry} local
+ * @param {Entry} remote
+ * @param {string} deviceId
+ * @returns {{ merged: Entry, conflicts: Record<string, { local: Partial<Entry>, remote: Partial<Entry> }> | null } | null}
+ *   null if this device made no change the other version lacks (the other version simply stands).
+ */
+export function mergeEntries(local, remote, deviceId) {
+  const localHistory = local.history || [];
+  const remoteKeys = new Set((remote.history || []).map(revisionKey));
+  const firstOwn = localHistory.findIndex((rev) => !remoteKeys.has(revisionKey(rev)));
+  // Without revisions of our own, recorded fields are as both versions started
+  const ancestor = fieldsBeforeRevision(local, firstOwn === -1 ? localHistory.length : firstOwn);
+
+  const merged = { ...remote };
+  const conflicts = {};
+  const kept = [];
+  for (const [group, fields] of Object.entries(FIELD_GROUPS)) {
+    const mine = pick(local, fields);
+    const theirs = pick(remote, fields);
+    if (same(mine, theirs)) continue;
+    const changed = groupChanges(fields, local, remote, ancestor);
+    if (!changed.mine) continue;
+    if (changed.theirs) {
+      conflicts[group] = { local: mine, remote: theirs };
+    } else {
+      Object.assign(merged, mine);
+      kept.push(...fields);
+    }
+  }
+  for (const field of LAST_WRITER_FIELDS) {
+    if (same(pick(local, [field]), pick(remote, [field])) || changeTime(local, field) <= changeTime(remote, field)) continue;
+    merged[field] = local[field];
+    kept.push(field);
+  }
+  for (const field of LOWEST_FIELDS) {
+    if (same(pick(local, [field]), pick(remote, [field]))) continue;
+    const changed = groupChanges([field], local, remote, ancestor);
+    if (!changed.mine) continue;
+    const value = changed.theirs ? Math.min(local[field] ?? Infinity, remote[field] ?? Infinity) : local[field];
+    if (value === remote[field]) continue;
+    merged[field] = value;
+    kept.push(field);
+  }
+  if (firstOwn === -1 && !kept.length && !Object.keys(conflicts).length) return null;
+  const times = { ...(remote.changedAt || {}) };
+  for (const field of kept.filter((f) => TIMED_FIELDS.includes(f))) {
+    if (local.changedAt?.[field] != null) times[field] = local.changedAt[field];
+  }
+  merged.changedAt = Object.keys(times).length ? times : undefined;
+
+  // Keep both sides' revisions so the history shows every edit
+  const byKey = new Map([...(remote.history || []), ...localHistory].map((rev) => [revisionKey(rev), rev]));
+  const history = [...byKey.values()].sort((a, b) => a.at - b.at).slice(-MAX_HISTORY);
+  merged.history = history.length ? history : undefined;
+  merged.updatedAt = Date.now();
+  merged.updatedBy = deviceId;
+  merged.baseAt = remote.updatedAt;
+  return { merged, conflicts: Object.keys(conflicts).length ? conflicts : null };
+}
+
+/**
+ * Display name of the device that wrote an entry version, from its newest revision by that device.
+ * @param {Entry} entry
+ */
+export function writerName(entry) {
+  const rev = [...(entry.history || [])].reverse().find((r) => r.device?.id === entry.updatedBy);
+  return rev?.device?.name || 'another device';
+}
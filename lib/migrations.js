@@ -0,0 +1,56 @@
+/**
+ * Schema migrations for stored data ({ version, entries, settings? }).
+ *
+ * MIGRATIONS[n] upgrades data from version n to n + 1. To change the Entry shape:
+ * add a step here, bump VERSION, and keep the step pure (no storage access) so it can run on load,
+ * on import and when another device syncs older data. Steps must keep fields they do not know about,
+ * so data written by a newer build survives a round trip through an older one.
+ */
+
+export const VERSION = 2;
+
+function optionalTrimmed(v) {
+  const s = v == null ? '' : String(v).trim();
+  return s === '' ? undefined : s;
+}
+
+/** v2: every entry has an id, string value/key, a context type and a numeric createdAt. */
+function normalizeEntryV2(entry, index) {
+  const createdAt = Number.isFinite(entry.createdAt) ? entry.createdAt : Date.now() + index;
+  return {
+    ...entry,
+    id: entry.id ? String(entry.id) : crypto.randomUUID(),
+    value: entry.value == null ? '' : String(entry.value),
+    label: optionalTrimmed(entry.label),
+    shortcut: optionalTrimmed(entry.shortcut),
+    contextType: entry.contextType ? String(entry.contextType) : 'urlPattern',
+    contextKey: entry.contextKey == null || String(entry.contextKey).trim() === '' ? '*' : String(entry.contextKey),
+    createdAt,
+  };
+}
+
+const MIGRATIONS = {
+  // v1 → v2: clean up entries from older builds and hand-written import files
+  1: (data) => ({
+    ...data,
+    entries: data.entries.filter((e) => e && typeof e === 'object').map(normalizeEntryV2),
+  }),
+};
+
+/**
+ * Run all migrations needed to bring data up to VERSION. Data from a newer build is returned unchanged
+ * (with its higher version) so it is never downgraded.
+ * @param {{ version?: number, entries?: unknown[], settings?: object }} data
+ * @returns {{ version: number, entries: Entry[], settings?: object }}
+ */
+export function migrate(data) {
+  let version = Number(data?.version) || 1;
+  let next = { ...data, entries: Array.isArray(data?.entries) ? data.entries : [] };
+  while (version < VERSION) {
+    const step = MIGRATIONS[version];
+    if (!step) throw new Error(`No migration registered from version ${version}`);
+    next = step(next);
+    version++;
+  }
+  return { ...next, version };
+}
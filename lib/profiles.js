@@ -0,0 +1,87 @@
+/**
+ * Profiles (personas): named groups of entries that are switched on together, e.g. "Staging users" and
+ * "Production users". Pure helpers; profiles live in the synced settings:
+ *
+ *   settings.profiles        [{ id, name }]
+ *   settings.activeProfileId profile in use everywhere (unset = all entries)
+ *   settings.siteProfiles    { [registrable domain]: profileId | '' } overrides for one site ('' = all entries)
+ *
+ * entry.profileId is the profile an entry belongs to. Entries without one, or whose profile no longer
+ * exists (deleted, or imported from another browser), are always active.
+ */
+
+import { registrableDomain } from './domains.js';
+
+/**
+ * Valid profiles from settings (synced or imported settings may hold anything).
+ * @param {object} [settings]
+ * @returns {{ id: string, name: string }[]}
+ */
+export function getProfiles(settings) {
+  const profiles = Array.isArray(settings?.profiles) ? settings.profiles : [];
+  return profiles.filter((p) => p && typeof p.id === 'string' && p.id && typeof p.name === 'string');
+}
+
+/**
+ * The key of a page in settings.siteProfiles: its registrable domain (null for non-web pages).
+ * @param {string} [url]
+ * @returns {string | null}
+ */
+export function profileSiteKey(url) {
+  try {
+    const { protocol, hostname } = new URL(url);
+    return protocol === 'http:' || protocol === 'https:' ? registrableDomain(hostname) : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * The profile in use on a page: the site's override if it has one, else the global profile.
+ * @param {object} [settings]
+ * @param {string} [url] Page URL (omit for the global profile)
+ * @returns {{ profileId: string | null, siteOverride: boolean }} profileId null = all entries
+ */
+export function activeProfile(settings, url) {
+  const ids = new Set(getProfiles(settings).map((p) => p.id));
+  const site = url ? profileSiteKey(url) : null;
+  const siteProfiles = settings?.siteProfiles && typeof settings.siteProfiles === 'object' ? settings.siteProfiles : {};
+  if (site && Object.prototype.hasOwnProperty.call(siteProfiles, site)) {
+    const id = siteProfiles[site];
+    return { profileId: ids.has(id) ? id : null, siteOverride: true };
+  }
+  const id = settings?.activeProfileId;
+  return { profileId: ids.has(id) ? id : null, siteOverride: false };
+}
+
+/**
+ * True if the entry is active while profileId is in use.
+ * @param {Entry} entry
+ * @param {string | null} profileId From activeProfile()
+ * @param {object} [settings] To treat entries of deleted profiles as always active
+ */
+export function isEntryInProfile(entry, profileId, settings) {
+  if (!profileId || !entry?.profileId || entry.profileId === profileId) return true;
+  return !getProfiles(settings).some((p) => p.id === entry.profileId);
+}
+
+/**
+ * Settings changes that switch the profile used on a page: the site's override when it has one (or when
+ * siteOnly is true), else the global profile. siteOnly false removes the site's override.
+ * @param {object} settings
+ * @param {string} [url]
+ * @param {string | null} profileId null = all entries
+ * @param {boolean} [siteOnly] Default: keep the page's current override state
+ * @returns {object} Partial settings
+ */
+export function profileSwitchSettings(settings, url, profileId, siteOnly) {
+  const site = url ? profileSiteKey(url) : null;
+  const siteProfiles = { ...(settings?.siteProfiles && typeof settings.siteProfiles === 'object' ? settings.siteProfiles : {}) };
+  const useSite = site && (siteOnly ?? activeProfile(settings, url).siteOverride);
+  if (useSite) {
+    siteProfiles[site] = profileId || '';
+    return { siteProfiles };
+  }
+  if (site && siteOnly === false) delete siteProfiles[site];
+  return { activeProfileId: profileId || null, siteProfiles };
+}
@@ -0,0 +1,241 @@
+/**
+ * Linear-time matching for user regular expressions (regex contexts, re: key parts and exclusions).
+ *
+ * JavaScript's RegExp backtracks and cannot be interrupted, so a pattern like (a|aa)+$ can take seconds on a long
+ * URL and freeze the background service worker. compileRegex parses the pattern (JavaScript syntax, no flags) into
+ * a small program run as a Thompson NFA: every position of the input is visited once with the set of states alive
+ * there, so time grows with input length × pattern size, never exponentially. Lookarounds and backreferences
+ * cannot be run that way and are refused.
+ */
+
+// Above this many instructions (e.g. large {n,m} repeats) a pattern is refused as too complex
+const MAX_PROGRAM_LENGTH = 2000;
+// Work budget per test; past it the test gives up and reports no match
+const MAX_STEPS = 500000;
+
+const ESCAPE = /\\(?:x[0-9a-fA-F]{2}|u[0-9a-fA-F]{4}|c[a-zA-Z]|0[0-7]{0,2}|[^c])/y;
+const COUNTED = /\{(\d+)(?:(,)(\d*))?\}/y;
+const CLASS = /\[(?:[^\]\\]|\\[\s\S])*\]/y;
+const WORD = /\w/;
+
+/** Test for a single character, from the source of one RegExp atom (class, escape or literal). */
+function charTest(source) {
+  const re = new RegExp(`^(?:${source})$`);
+  return (c) => re.test(c);
+}
+
+const ANY_BUT_NEWLINE = (c) => c !== '\n' && c !== '\r' && c !== '\u2028' && c !== '\u2029';
+
+/** Parse a pattern (already accepted by new RegExp) into a tree of char, assert, seq, alt and repeat nodes. */
+function parse(source) {
+  let pos = 0;
+
+  function unsupported(what) {
+    throw new Error(`${what} are not supported.`);
+  }
+
+  function sticky(re) {
+    re.lastIndex = pos;
+    const match = re.exec(source);
+    if (match) pos = re.lastIndex;
+    return match;
+  }
+
+  function parseAlternation() {
+    const branches = [parseSequence()];
+    while (source[pos] === '|') {
+      pos++;
+      branches.push(parseSequence());
+    }
+    return branches.length === 1 ? branches[0] : { type: 'alt', branches };
+  }
+
+  function parseSequence() {
+    const items = [];
+    while (pos < source.length && source[pos] !== '|' && source[pos] !== ')') {
+      const atom = parseAtom();
+      items.push(atom.type === 'assert' ? atom : parseQuantifier(atom));
+    }
+    return { type: 'seq', items };
+  }
+
+  function parseQuantifier(atom) {
+    let min;
+    let max;
+    const c = source[pos];
+    if (c === '*' || c === '+' || c === '?') {
+      pos++;
+      min = c === '+' ? 1 : 0;
+      max = c === '?' ? 1 : Infinity;
+    } else if (c === '{') {
+      const counted = sticky(COUNTED);
+      if (!counted) return atom;
+      min = Number(counted[1]);
+      max = counted[2] ? (counted[3] ? Number(counted[3]) : Infinity) : min;
+    } else {
+      return atom;
+    }
+    // Lazy or greedy makes no difference to whether a match exists
+    if (source[pos] === '?') pos++;
+    return parseQuantifier({ type: 'repeat', node: atom, min, max });
+  }
+
+  function parseAtom() {
+    const c = source[pos];
+    if (c === '^' || c === '$') {
+      pos++;
+      return { type: 'assert', kind: c };
+    }
+    if (c === '.') {
+      pos++;
+      return { type: 'char', test: ANY_BUT_NEWLINE };
+    }
+    if (c === '(') {
+      pos++;
+      if (source[pos] === '?') {
+        if (source.startsWith('?:', pos)) pos += 2;
+        else if (/^\?<[^=!]/.test(source.slice(pos, pos + 3))) pos = source.indexOf('>', pos) + 1;
+        else unsupported('Lookarounds ((?=…), (?!…), (?<=…), (?<!…))');
+      }
+      const inner = parseAlternation();
+      pos++; // )
+      return inner;
+    }
+    if (c === '[') return { type: 'char', test: charTest(sticky(CLASS)[0]) };
+    if (c === '\\') {
+      const next = source[pos + 1];
+      if (next === 'b' || next === 'B') {
+        pos += 2;
+        return { type: 'assert', kind: next };
+      }
+      if (/[1-9]/.test(next) || next === 'k') unsupported('Backreferences (\\1, \\k<name>)');
+      const escape = sticky(ESCAPE);
+      // \c not followed by a letter is a literal backslash
+      if (!escape) {
+        pos++;
+        return { type: 'char', test: (ch) => ch === '\\' };
+      }
+      return { type: 'char', test: charTest(escape[0]) };
+    }
+    pos++;
+    return { type: 'char', test: (ch) => ch === c };
+  }
+
+  return parseAlternation();
+}
+
+/** Compile a parse tree into NFA instructions: char, split (two targets), jmp, assert and match. */
+function emitProgram(tree) {
+  const program = [];
+  const push = (op) => {
+    if (program.length >= MAX_PROGRAM_LENGTH) throw new Error('The pattern is too complex. Use fewer or smaller {n,m} repeats.');
+    program.push(op);
+    return program.length - 1;
+  };
+
+  function emit(node) {
+    switch (node.type) {
+      case 'char':
+        push({ op: 'char', test: node.test });
+        break;
+      case 'assert':
+        push({ op: 'assert', kind: node.kind });
+        break;
+      case 'seq':
+        node.items.forEach(emit);
+        break;
+      case 'alt': {
+        const jumps = [];
+        node.branches.forEach((branch, i) => {
+          if (i === node.branches.length - 1) {
+            emit(branch);
+            return;
+          }
+          const split = push({ op: 'split', x: program.length + 1, y: 0 });
+          emit(branch);
+          jumps.push(push({ op: 'jmp', x: 0 }));
+          program[split].y = program.length;
+        });
+        for (const jump of jumps) program[jump].x = program.length;
+        break;
+      }
+      case 'repeat': {
+        for (let i = 0; i < node.min; i++) emit(node.node);
+        if (node.max === Infinity) {
+          const split = push({ op: 'split', x: program.length + 1, y: 0 });
+          emit(node.node);
+          push({ op: 'jmp', x: split });
+          program[split].y = program.length;
+          break;
+        }
+        const splits = [];
+        for (let i = node.min; i < node.max; i++) {
+          splits.push(push({ op: 'split', x: program.length + 1, y: 0 }));
+          emit(node.node);
+        }
+        for (const split of splits) program[split].y = program.length;
+        break;
+      }
+    }
+  }
+
+  emit(tree);
+  push({ op: 'match' });
+  return program;
+}
+
+function assertionHolds(kind, s, pos) {
+  if (kind === '^') return pos === 0;
+  if (kind === '$') return pos === s.length;
+  const boundary = (pos > 0 && WORD.test(s[pos - 1])) !== (pos < s.length && WORD.test(s[pos]));
+  return kind === 'b' ? boundary : !boundary;
+}
+
+/**
+ * Compile a regular expression for linear-time testing. Throws if it is invalid or uses what cannot be run in
+ * linear time (lookarounds, backreferences), with a message for the user.
+ * @param {string} source
+ * @returns {{ test: (s: string) => boolean }} test is like RegExp#test (a match anywhere), false past the work budget
+ */
+export function compileRegex(source) {
+  new RegExp(source);
+  const program = emitProgram(parse(source));
+  const marks = new Int32Array(program.length).fill(-1);
+
+  return {
+    test(s) {
+      let steps = 0;
+      let current = [];
+      let next = [];
+      // Add pc and everything reachable from it without reading a character to list (states at position pos)
+      const add = (list, pc, pos) => {
+        const stack = [pc];
+        while (stack.length) {
+          const at = stack.pop();
+          if (marks[at] === pos) continue;
+          marks[at] = pos;
+          steps++;
+          const instruction = program[at];
+          if (instruction.op === 'jmp') stack.push(instruction.x);
+          else if (instruction.op === 'split') stack.push(instruction.y, instruction.x);
+          else if (instruction.op === 'assert') {
+            if (assertionHolds(instruction.kind, s, pos)) stack.push(at + 1);
+          } else list.push(at);
+        }
+      };
+      marks.fill(-1);
+      for (let pos = 0; pos <= s.length; pos++) {
+        // A match may start at any position
+        add(current, 0, pos);
+        if (steps > MAX_STEPS) return false;
+        for (const pc of current) {
+          const instruction = program[pc];
+          if (instruction.op === 'match') return true;
+          if (pos < s.length && instruction.test(s[pos])) add(next, pc + 1, pos + 1);
+        }
+        [current, next] = [next, []];
+      }
+      return false;
+    },
+  };
+}
@@ -0,0 +1,42 @@
+/**
+ * Field selectors (content.js getStableSelector): spotting the parts of ids and classes that pages generate anew on
+ * each load, e.g. #react-select-3-input, #mat-input-17 or .css-13cymwt, and proposing a selector with those parts
+ * replaced by * so a field entry keeps matching its field. Pure helpers for the side panel.
+ */
+
+// #id and .class tokens (with CSS escapes); quoted attribute values are left alone
+const ID_OR_CLASS = /([#.])((?:[\w-]|\\.)+)/g;
+const QUOTED = /("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*')/;
+// Segments are separated by - _ or :
+const SEGMENT = /[^-_:]+/g;
+
+/**
+ * True if a segment of an id or class looks generated: a counter (3, 17), a word with a long counter (ember123)
+ * or a hash (13cymwt, 1x2y3z4). Words with a short number (line2, utf16le) are kept.
+ * @param {string} segment
+ */
+export function isVolatileSegment(segment) {
+  if (/^\d+$/.test(segment)) return true;
+  if (/^[a-z]+\d{3,}$/i.test(segment)) return true;
+  const digits = segment.replace(/\D/g, '').length;
+  return segment.length >= 6 && digits >= 2 && digits < segment.length && !/^[a-z]+\d+[a-z]*$/i.test(segment);
+}
+
+function wildcardSegment(segment) {
+  if (!isVolatileSegment(segment)) return segment;
+  const word = /^([a-z]+)\d{3,}$/i.exec(segment);
+  return word ? `${word[1]}*` : '*';
+}
+
+/**
+ * The selector with generated parts of its ids and classes replaced by * (a glob for field keys), or the selector
+ * unchanged if it has none.
+ * @param {string} selector
+ * @returns {string}
+ */
+export function wildcardSelector(selector) {
+  return String(selector ?? '')
+    .split(QUOTED)
+    .map((part, i) => (i % 2 ? part : part.replace(ID_OR_CLASS, (_, mark, name) => mark + name.replace(SEGMENT, wildcardSegment))))
+    .join('');
+}
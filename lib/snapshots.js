@@ -0,0 +1,114 @@
+/**
+ * Rolling snapshots of the whole library (entries, including trashed ones, settings and vault config), kept in
+ * chrome.storage.local on this device as a safety net against bad imports or sync mishaps. Background takes
+ * one daily and before every import; restoring one first snapshots the current state, so a restore can be undone.
+ * Values in snapshots are stored like the library's: when the vault is turned on, earlier snapshots are encrypted
+ * too (sealSnapshots), and a restore keeps the current vault rather than the snapshot's.
+ *
+ * Snapshot: { id, at, reason, revision, version, entries, settings?, vault? }, newest last, at most MAX_SNAPSHOTS.
+ */
+
+import { STORAGE_KEY, load, save } from './storage.js';
+import { getSessionKey, sealValue, sealHistory } from './vault.js';
+
+export const SNAPSHOTS_KEY = `${STORAGE_KEY}:snapshots`;
+export const MAX_SNAPSHOTS = 10;
+
+/** @typedef {'daily' | 'import' | 'restore'} SnapshotReason */
+
+async function getSnapshots() {
+  const result = await chrome.storage.local.get(SNAPSHOTS_KEY);
+  return Array.isArray(result[SNAPSHOTS_KEY]) ? result[SNAPSHOTS_KEY] : [];
+}
+
+/**
+ * Snapshot the stored library. A daily snapshot is skipped when nothing changed since the newest one.
+ * @param {SnapshotReason} reason
+ * @returns {Promise<boolean>} Whether a snapshot was taken
+ */
+export async function takeSnapshot(reason) {
+  const [data, snapshots] = await Promise.all([load(), getSnapshots()]);
+  const newest = snapshots[snapshots.length - 1];
+  if (reason === 'daily' && newest && data.revision && newest.revision === data.revision) return false;
+  const snapshot = {
+    id: crypto.randomUUID(),
+    at: Date.now(),
+    reason,
+    revision: data.revision,
+    version: data.version,
+    entries: data.entries,
+    settings: data.settings,
+    vault: data.vault,
+  };
+  await chrome.storage.local.set({ [SNAPSHOTS_KEY]: [...snapshots, snapshot].slice(-MAX_SNAPSHOTS) });
+  return true;
+}
+
+/**
+ * Snapshots without their contents, newest first.
+ * @returns {Promise<Array<{ id: string, at: number, reason: SnapshotReason, entryCount: number, encrypted: boolean }>>}
+ */
+export async function listSnapshots() {
+  const snapshots = await getSnapshots();
+  return snapshots
+    .map((s) => ({
+      id: s.id,
+      at: s.at,
+      reason: s.reason,
+      entryCount: (s.entries || []).filter((e) => e.deletedAt == null).length,
+      encrypted: !!s.vault,
+    }))
+    .reverse();
+}
+
+/**
+ * @param {string} id
+ * @returns {Promise<object | undefined>} The full snapshot
+ */
+export async function getSnapshot(id) {
+  return (await getSnapshots()).find((s) => s.id === id);
+}
+
+/**
+ * Replace the library with a snapshot (after snapshotting the current state). The current vault config is kept, so
+ * the snapshot's values must be stored for it: unless the snapshot was taken under the same vault (or both without
+ * one), the caller passes them re-sealed (side panel: encrypted with this vault's key, or plain when it is off).
+ * @param {string} id
+ * @param {Entry[]} [entries] The snapshot's entries, sealed for the current vault
+ */
+export async function restoreSnapshot(id, entries) {
+  const [snapshot, current] = await Promise.all([getSnapshot(id), load()]);
+  if (!snapshot) throw new Error('Snapshot not found');
+  if (!entries && snapshot.vault?.salt !== current.vault?.salt) {
+    throw new Error('The snapshot was taken with another vault setting; its values must be re-encrypted to restore it.');
+  }
+  await takeSnapshot('restore');
+  await save({
+    version: snapshot.version,
+    entries: entries ?? snapshot.entries ?? [],
+    settings: snapshot.settings,
+    vault: current.vault,
+  });
+}
+
+/**
+ * Encrypt the values of snapshots taken without a vault, with the current vault's key (from this session), so
+ * turning the vault on leaves no plaintext behind on this device.
+ */
+export async function sealSnapshots() {
+  const { vault } = await load();
+  const key = await getSessionKey(vault);
+  if (!key) throw new Error('Unlock the vault to encrypt snapshots.');
+  const snapshots = await getSnapshots();
+  if (!snapshots.some((s) => !s.vault)) return;
+  const sealed = await Promise.all(snapshots.map(async (s) => {
+    if (s.vault) return s;
+    const entries = await Promise.all((s.entries || []).map(async (e) => ({
+      ...e,
+      ...(e.enc ? {} : await sealValue(key, e.value)),
+      history: await sealHistory(key, e.history),
+    })));
+    return { ...s, entries, vault };
+  }));
+  await chrome.storage.local.set({ [SNAPSHOTS_KEY]: sealed });
+}
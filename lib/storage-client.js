@@ -0,0 +1,144 @@
+/**
+ * Stored data for extension pages other than the background worker (the side panel).
+ *
+ * The background worker owns storage: each call here is a storageOp message it runs in its queue, one
+ * operation at a time, together with its own writes (settings, sync merges, trash expiry). Functions mirror
+ * lib/storage.js; reviseEntry records the background's device, so it takes no device argument.
+ */
+
+import { encodeUnset } from './storage.js';
+
+export { VERSION, isTrashed, isExpired, describeStorageError } from './storage.js';
+
+/**
+ * @param {string} op Key of STORAGE_OPS in background.js
+ * @param {...any} args JSON-serializable arguments
+ */
+function call(op, ...args) {
+  return new Promise((resolve, reject) => {
+    chrome.runtime.sendMessage({ type: 'storageOp', op, args }, (reply) => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+      } else if (!reply?.ok) {
+        reject(new Error(reply?.error || `Storage operation failed: ${op}`));
+      } else {
+        resolve(reply.result);
+      }
+    });
+  });
+}
+
+/** @returns {Promise<{ version: number, entries: Entry[], settings?: object, vault?: object, revision?: string }>} */
+export function load() {
+  return call('load');
+}
+
+/**
+ * Replace all entries (see storage.save). Pass data from load() as is, so the save fails with
+ * CHANGED_SINCE_LOAD rather than overwriting values changed in the meantime.
+ * @param {{ version: number, entries: Entry[], settings?: object, vault?: object, revision?: string }} data
+ */
+export function save(data) {
+  return call('save', encodeUnset(data));
+}
+
+/** @param {Entry} entry */
+export function addEntry(entry) {
+  return call('addEntry', entry);
+}
+
+/** @param {string} id */
+export function getEntryById(id) {
+  return call('getEntryById', id);
+}
+
+/** @param {Record<string, Partial<Entry>>} updatesById */
+export function updateEntries(updatesById) {
+  const encoded = Object.fromEntries(Object.entries(updatesById).map(([id, u]) => [id, encodeUnset(u)]));
+  return call('updateEntries', encoded);
+}
+
+/**
+ * @param {string} id
+ * @param {Partial<Entry>} updates
+ */
+export function reviseEntry(id, updates) {
+  return call('reviseEntry', id, encodeUnset(updates));
+}
+
+/** @param {string} id */
+export function deleteEntry(id) {
+  return call('deleteEntry', id);
+}
+
+/**
+ * @param {string} id
+ * @param {Partial<Entry>} [updates]
+ */
+export function restoreEntry(id, updates = {}) {
+  return call('restoreEntry', id, encodeUnset(updates));
+}
+
+/** @param {string} id */
+export function purgeEntry(id) {
+  return call('purgeEntry', id);
+}
+
+/**
+ * @param {number} [before] Only entries deleted before this time (default: all)
+ * @returns {Promise<number>} Number of entries removed
+ */
+export function purgeTrash(before) {
+  // Infinity is not valid JSON; the background treats a missing bound as "all"
+  return call('purgeTrash', Number.isFinite(before) ? before : null);
+}
+
+/** @param {string} entryId */
+export function removeConflict(entryId) {
+  return call('removeConflict', entryId);
+}
+
+/**
+ * Count a use of an entry whose value was just applied (for frecency ordering).
+ * @param {string} id
+ */
+export function recordUse(id) {
+  return call('recordUse', id);
+}
+
+/** Space used per area, largest entries and recent sync writes (see storage.getStorageUsage). */
+export function getStorageUsage() {
+  return call('getStorageUsage');
+}
+
+/**
+ * Snapshot the library now (see lib/snapshots.js).
+ * @param {'daily' | 'import' | 'restore'} reason
+ */
+export function takeSnapshot(reason) {
+  return call('takeSnapshot', reason);
+}
+
+/** Snapshots without their contents, newest first. */
+export function listSnapshots() {
+  return call('listSnapshots');
+}
+
+/** @param {string} id */
+export function getSnapshot(id) {
+  return call('getSnapshot', id);
+}
+
+/**
+ * Replace the library with a snapshot (the current state is snapshotted first), keeping the current vault.
+ * @param {string} id
+ * @param {Entry[]} [entries] The snapshot's entries, sealed for the current vault
+ */
+export function restoreSnapshot(id, entries) {
+  return call('restoreSnapshot', id, entries);
+}
+
+/** Encrypt snapshots taken before the vault was turned on (the vault must be unlocked). */
+export function sealSnapshots() {
+  return call('sealSnapshots');
+}
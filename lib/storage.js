@@ -1,32 +1,355 @@
 /**
- * Lazy forms storage helpers.
- * Schema: { version: 1, entries: Entry[] }
- * Entry: { id, value, contextType, contextKey, label?, createdAt, order? }
+ * Lazy forms storage helpers. Only the background worker calls these; other pages go through
+ * lib/storage-client.js, which sends each operation to the background's serialized queue.
+ *
+ * Sync layout (one item per entry, so no single item hits the per-item quota):
+ * - `lazyForms`          → index: { version, settings?, vault? }
+ * - `lazyForms:e:<id>`   → Entry
+ * Entries with storageArea: 'local' use the same `lazyForms:e:<id>` key in chrome.storage.local instead
+ * and never leave this device. Their keys are listed under LOCAL_ENTRIES_KEY, so reading them does not read the
+ * snapshots (lib/snapshots.js) kept in the same area.
+ * The legacy layout (everything in one `lazyForms` item: { version: 1, entries, settings? }) and older data
+ * versions (lib/migrations.js) are upgraded by load() in memory only; migrateStorage writes the result once.
+ *
+ * Entry: { id, value, contextType, contextKey, label?, createdAt, order?, storageArea?, enc?, deletedAt? }
  * order: optional number for user-defined sort (lower = earlier). Fallback: createdAt.
+ * enc: encrypted value when the vault is enabled (value is then ''); see lib/vault.js.
+ * deletedAt: set when the entry is in the trash (deleteEntry); it stays in its item until restored or purged.
+ * expiresAt / usesLeft: optional expiry (ms timestamp) and remaining uses; an expired entry is not offered and is
+ * moved to the trash by expireEntries (or by recordUse when its last use is spent).
+ * fingerprint: what identifies a fieldOnly entry's field besides its selector (lib/fingerprint.js), so it is found after
+ * the page changes.
+ * frameUrl: for a field picked in an iframe, the frame's URL, so messages about the field go to that frame (lib/frames.js).
+ * ignoreQuery: a url entry matches its page whatever the ?query and #hash.
+ * exclude: optional patterns for pages and fields the entry never matches (see lib/matching.js).
+ * profileId: optional profile the entry belongs to; it is only offered while that profile is in use (lib/profiles.js).
+ * history: bounded list of earlier revisions (reviseEntry); see lib/history.js. The histories of synced entries
+ * together are also kept within HISTORY_BUDGET_BYTES, so they cannot crowd values out of the sync quota.
+ * updatedAt / updatedBy / baseAt: stamped on every write — when, by which device id, and the updatedAt of the
+ * stored version the write started from. Used to detect edits made on two devices at once (lib/merge.js).
+ * changedAt: when trash, expiry, order and storage area last changed ({ deletedAt?: ms, … }), stamped with them
+ * since history does not record those fields; lib/merge.js uses it to merge them.
+ * Unresolved merge conflicts are kept on this device only, under CONFLICTS_KEY in chrome.storage.local.
+ * So are usage counts (USAGE_KEY): applying a value is frequent, and recording it in the entry would spend
+ * sync write quota and bump updatedAt on every use.
  */
 
-const STORAGE_KEY = 'lazyForms';
-const VERSION = 1;
+import { VERSION, migrate } from './migrations.js';
+import { withRevision, fieldChangeTimes } from './history.js';
+import { getDevice } from './device.js';
 
-const DEFAULT_DATA = () => ({ version: VERSION, entries: [] });
+export { VERSION };
+
+export const STORAGE_KEY = 'lazyForms';
+export const ENTRY_KEY_PREFIX = `${STORAGE_KEY}:e:`;
+export const CONFLICTS_KEY = `${STORAGE_KEY}:conflicts`;
+export const USAGE_KEY = `${STORAGE_KEY}:usage`;
+const LOCAL_ENTRIES_KEY = `${STORAGE_KEY}:localEntries`;
+
+// chrome.storage.sync limits (same values in Chrome and Firefox); read from the API where exposed.
+export const SYNC_QUOTA = {
+  bytes: chrome.storage.sync.QUOTA_BYTES ?? 102400,
+  bytesPerItem: chrome.storage.sync.QUOTA_BYTES_PER_ITEM ?? 8192,
+  maxItems: chrome.storage.sync.MAX_ITEMS ?? 512,
+  writesPerMinute: chrome.storage.sync.MAX_WRITE_OPERATIONS_PER_MINUTE ?? 120,
+  writesPerHour: chrome.storage.sync.MAX_WRITE_OPERATIONS_PER_HOUR ?? 1800,
+};
+
+// Share of the sync quota that the histories of all synced entries may take together (withinHistoryBudget)
+const HISTORY_BUDGET_BYTES = Math.floor(SYNC_QUOTA.bytes / 4);
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+// Times of recent sync write operations made by this context (the background worker), for the usage report.
+// Lost when the worker restarts, so it is a lower bound.
+let syncWriteTimes = [];
+
+function noteSyncWrite(at = Date.now()) {
+  syncWriteTimes = [...syncWriteTimes.filter((t) => t > at - HOUR_MS), at];
+}
+
+/** @param {string} id */
+export function entryKey(id) {
+  return `${ENTRY_KEY_PREFIX}${id}`;
+}
+
+/** True if a storage key holds lazy forms data (index or entry item). */
+export function isStorageKey(key) {
+  return key === STORAGE_KEY || String(key).startsWith(ENTRY_KEY_PREFIX);
+}
+
+/** Size of one item as counted against the sync quota: key + JSON value, in UTF-8 bytes. */
+export function itemBytes(key, value) {
+  return new TextEncoder().encode(key + JSON.stringify(value)).length;
+}
 
 /**
- * @returns {Promise<{ version: number, entries: Entry[] }>}
+ * Throw the error Chrome would give for sync writes over the per-item, total or item-count limit, before
+ * anything is written (Firefox reports these less clearly, and a failure half-way through a save would
+ * leave some entries written).
  */
-export async function load() {
-  const result = await chrome.storage.sync.get(STORAGE_KEY);
-  const data = result[STORAGE_KEY];
-  if (!data || !Array.isArray(data.entries)) {
-    return DEFAULT_DATA();
+async function assertSyncFits(sets, removals) {
+  for (const [key, value] of Object.entries(sets)) {
+    if (itemBytes(key, value) > SYNC_QUOTA.bytesPerItem) {
+      throw new Error(`QUOTA_BYTES_PER_ITEM quota exceeded (${key})`);
+    }
+  }
+  if (!Object.keys(sets).length) return;
+  const next = { ...(await chrome.storage.sync.get(null)), ...sets };
+  removals.forEach((key) => delete next[key]);
+  if (Object.keys(next).length > SYNC_QUOTA.maxItems) throw new Error('MAX_ITEMS quota exceeded');
+  const bytes = Object.entries(next).reduce((sum, [key, value]) => sum + itemBytes(key, value), 0);
+  if (bytes > SYNC_QUOTA.bytes) throw new Error(`QUOTA_BYTES quota exceeded (${bytes} bytes)`);
+}
+
+/** Bytes an entry item spends on its history. */
+function historyBytes(key, entry) {
+  return entry?.history ? itemBytes(key, entry) - itemBytes(key, { ...entry, history: undefined }) : 0;
+}
+
+/**
+ * Sync writes with the oldest revisions of synced entries dropped (those of trashed entries first) until all
+ * histories after the writes fit HISTORY_BUDGET_BYTES. Entries losing revisions are rewritten as they are stored,
+ * without a new updatedAt, since no one edited them.
+ */
+async function withinHistoryBudget(sets, removals) {
+  const next = { ...(await chrome.storage.sync.get(null)), ...sets };
+  removals.forEach((key) => delete next[key]);
+  const keys = Object.keys(next).filter((k) => k.startsWith(ENTRY_KEY_PREFIX) && next[k]?.history?.length);
+  let total = keys.reduce((sum, k) => sum + historyBytes(k, next[k]), 0);
+  if (total <= HISTORY_BUDGET_BYTES) return sets;
+  const oldestFirst = (a, b) =>
+    Number(isTrashed(next[b])) - Number(isTrashed(next[a])) || (next[a].history[0].at ?? 0) - (next[b].history[0].at ?? 0);
+  const trimmed = {};
+  while (total > HISTORY_BUDGET_BYTES && keys.length) {
+    const key = keys.sort(oldestFirst)[0];
+    const before = historyBytes(key, next[key]);
+    const history = next[key].history.slice(1);
+    next[key] = { ...next[key], history: history.length ? history : undefined };
+    total -= before - historyBytes(key, next[key]);
+    trimmed[key] = next[key];
+    if (!history.length) keys.shift();
   }
-  return { version: data.version ?? VERSION, entries: data.entries };
+  return { ...sets, ...trimmed };
+}
+
+const AREAS = ['sync', 'local'];
+
+/** Storage area an entry lives in: 'local' (this device only) when flagged, else 'sync'. */
+export function entryAreaName(entry) {
+  return entry?.storageArea === 'local' ? 'local' : 'sync';
+}
+
+function emptyPerArea(makeEmpty) {
+  return Object.fromEntries(AREAS.map((name) => [name, makeEmpty()]));
+}
+
+/**
+ * Keys of this device's local-only entries: the LOCAL_ENTRIES_KEY list, or found by reading the whole area while
+ * there is none yet (data stored by an older build; migrateStorage and the next local write add the list).
+ * @returns {Promise<{ keys: string[], listed: boolean }>}
+ */
+async function localEntryKeys() {
+  const { [LOCAL_ENTRIES_KEY]: listed } = await chrome.storage.local.get(LOCAL_ENTRIES_KEY);
+  if (Array.isArray(listed)) return { keys: listed, listed: true };
+  const items = await chrome.storage.local.get(null);
+  return { keys: Object.keys(items).filter((k) => k.startsWith(ENTRY_KEY_PREFIX)), listed: false };
+}
+
+/** This device's local-only entry items, by key. */
+async function getLocalEntryItems() {
+  const { keys } = await localEntryKeys();
+  return keys.length ? chrome.storage.local.get(keys) : {};
+}
+
+/**
+ * Write per-area item maps, then remove per-area key lists (a quota failure leaves previous data intact).
+ * Synced histories are trimmed to their budget first (withinHistoryBudget).
+ * Local entry keys are listed before their items are written and unlisted after they are removed, so an
+ * interrupted write never leaves an entry unlisted.
+ */
+async function applyAreaWrites(sets, removals) {
+  if (Object.keys(sets.sync).length) sets = { ...sets, sync: await withinHistoryBudget(sets.sync, removals.sync) };
+  await assertSyncFits(sets.sync, removals.sync);
+  const added = Object.keys(sets.local).filter((k) => k.startsWith(ENTRY_KEY_PREFIX));
+  const listed = added.length || removals.local.length ? new Set((await localEntryKeys()).keys) : null;
+  if (added.some((k) => !listed.has(k))) {
+    added.forEach((k) => listed.add(k));
+    sets = { ...sets, local: { ...sets.local, [LOCAL_ENTRIES_KEY]: [...listed] } };
+  }
+  for (const name of AREAS) {
+    if (!Object.keys(sets[name]).length) continue;
+    await chrome.storage[name].set(sets[name]);
+    if (name === 'sync') noteSyncWrite();
+  }
+  for (const name of AREAS) {
+    if (!removals[name].length) continue;
+    await chrome.storage[name].remove(removals[name]);
+    if (name === 'sync') noteSyncWrite();
+  }
+  if (removals.local.length) {
+    removals.local.forEach((k) => listed.delete(k));
+    await chrome.storage.local.set({ [LOCAL_ENTRIES_KEY]: [...listed] });
+  }
+}
+
+/** Entry stamped as written now by this device, based on the stored version `base` (if any). */
+function stamped(entry, base, deviceId) {
+  const at = Date.now();
+  return { ...entry, updatedAt: at, updatedBy: deviceId, baseAt: base?.updatedAt, changedAt: fieldChangeTimes(entry, base, at) };
 }
 
 /**
- * @param {{ version: number, entries: Entry[] }} data
+ * Fingerprint of all stored lazy forms items (both areas), so save() can refuse to overwrite data that
+ * changed after it was loaded. FNV-1a over the items' JSON in key order.
+ */
+function contentRevision(syncItems, localItems) {
+  const keys = [...Object.keys(syncItems).map((k) => `s:${k}`), ...Object.keys(localItems).map((k) => `l:${k}`)]
+    .filter((k) => isStorageKey(k.slice(2)))
+    .sort();
+  let hash = 0x811c9dc5;
+  for (const k of keys) {
+    const text = k + JSON.stringify(k[0] === 's' ? syncItems[k.slice(2)] : localItems[k.slice(2)]);
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+  }
+  return (hash >>> 0).toString(36);
+}
+
+function byCreatedAt(a, b) {
+  return (a.createdAt ?? 0) - (b.createdAt ?? 0);
+}
+
+function entriesFromItems(items) {
+  return Object.keys(items)
+    .filter((k) => k.startsWith(ENTRY_KEY_PREFIX))
+    .map((k) => items[k])
+    .filter((e) => e && typeof e === 'object' && e.id);
+}
+
+/**
+ * Entries of the legacy single-item blob next to those already in per-entry items. Entries already split (e.g. by
+ * another device that migrated first) win over the blob copy; blob entries without an id get one.
+ */
+function withLegacyEntries(index, splitEntries) {
+  const known = new Set(splitEntries.map((e) => e.id));
+  const legacy = index.entries
+    .filter((e) => e && typeof e === 'object')
+    .map((e) => (e.id ? e : { ...e, id: crypto.randomUUID() }))
+    .filter((e) => !known.has(e.id));
+  return [...splitEntries, ...legacy];
+}
+
+/**
+ * Load entries from both areas (sync, plus local-only entries) and the settings and vault config from the sync index.
+ * Encrypted values are returned as stored; use lib/vault.js to open them. Trashed entries are included (see isTrashed).
+ * Data stored by an older build is returned migrated (lib/migrations.js) but not written back; see migrateStorage.
+ * `revision` identifies the stored content; pass the loaded data (or its revision) back to save() to make
+ * the save fail instead of overwriting changes made in between.
+ * @returns {Promise<{ version: number, entries: Entry[], settings?: object, vault?: import('./vault.js').VaultConfig, revision: string }>}
+ */
+export async function load() {
+  const [items, localItems] = await Promise.all([chrome.storage.sync.get(null), getLocalEntryItems()]);
+  const index = items[STORAGE_KEY];
+  const split = entriesFromItems(items);
+  const entries = Array.isArray(index?.entries) ? withLegacyEntries(index, split) : split;
+  const localEntries = entriesFromItems(localItems).map((e) => ({ ...e, storageArea: 'local' }));
+  const stored = {
+    version: index ? (index.version ?? 1) : VERSION,
+    entries: [...entries, ...localEntries].sort(byCreatedAt),
+    settings: index && typeof index.settings === 'object' ? index.settings : undefined,
+    vault: index && typeof index.vault === 'object' ? index.vault : undefined,
+  };
+  return { ...migrate(stored), revision: contentRevision(items, localItems) };
+}
+
+/**
+ * True if a stored index item still holds the legacy layout or data of an older version than this build's, which
+ * migrateStorage upgrades.
+ * @param {object} [index] The `lazyForms` item
+ */
+export function isOutdatedIndex(index) {
+  return !!index && (Array.isArray(index.entries) || (index.version ?? 1) < VERSION);
+}
+
+/**
+ * Write stored data upgraded by load(): legacy blob entries moved to per-entry items (save drops them from the
+ * index) and lib/migrations.js applied, so other devices (and older builds) see the current shape. Also lists
+ * local-only entries stored by a build that did not (LOCAL_ENTRIES_KEY).
+ * The background runs it in its storage queue on install, at browser start and when a device on an older build
+ * syncs its index; a failure is left for the next of those.
+ * @returns {Promise<boolean>} Whether anything was written
+ */
+export async function migrateStorage() {
+  const [{ [STORAGE_KEY]: index }, { keys, listed }] = await Promise.all([
+    chrome.storage.sync.get(STORAGE_KEY),
+    localEntryKeys(),
+  ]);
+  if (!listed) await chrome.storage.local.set({ [LOCAL_ENTRIES_KEY]: keys });
+  if (isOutdatedIndex(index)) await save(await load());
+  return !listed || isOutdatedIndex(index);
+}
+
+/**
+ * Replace all stored data. Only items that actually changed are written; entries no longer present are removed.
+ * Each entry goes to the area given by entryAreaName(); settings are kept as stored when data.settings is omitted,
+ * and the vault config unless data has a `vault` property (undefined or null turns the vault off).
+ * If data.revision is set (from load()) and the stored content has changed since, nothing is written and
+ * the promise rejects with CHANGED_SINCE_LOAD.
+ * @param {{ version: number, entries: Entry[], settings?: object, vault?: object, revision?: string }} data
  */
 export async function save(data) {
-  await chrome.storage.sync.set({ [STORAGE_KEY]: data });
+  const [syncItems, localItems, device] = await Promise.all([
+    chrome.storage.sync.get(null),
+    getLocalEntryItems(),
+    getDevice(),
+  ]);
+  if (data.revision && data.revision !== contentRevision(syncItems, localItems)) {
+    throw new Error('CHANGED_SINCE_LOAD: stored values changed after they were loaded');
+  }
+  const current = { sync: syncItems, local: localItems };
+  const prevIndex = syncItems[STORAGE_KEY] || {};
+  const settings = data.settings ?? prevIndex.settings;
+  // Never downgrade: data written by a newer build keeps its version (and its unknown fields)
+  const version = Math.max(data.version ?? VERSION, prevIndex.version ?? 0);
+  const next = emptyPerArea(() => ({}));
+  // Keep index fields this build does not know about
+  const index = { ...prevIndex, version };
+  delete index.entries;
+  if (settings) index.settings = settings;
+  if ('vault' in data) index.vault = data.vault;
+  if (!index.vault) delete index.vault;
+  next.sync[STORAGE_KEY] = index;
+  for (const e of data.entries || []) {
+    const key = entryKey(e.id);
+    const area = entryAreaName(e);
+    const stored = current.sync[key] ?? current.local[key];
+    next[area][key] = JSON.stringify(current[area][key]) === JSON.stringify(e) ? e : stamped(e, stored, device.id);
+  }
+  const sets = emptyPerArea(() => ({}));
+  const removals = emptyPerArea(() => []);
+  for (const name of AREAS) {
+    for (const [key, value] of Object.entries(next[name])) {
+      if (JSON.stringify(current[name][key]) !== JSON.stringify(value)) sets[name][key] = value;
+    }
+    removals[name] = Object.keys(current[name]).filter((k) => k.startsWith(ENTRY_KEY_PREFIX) && !(k in next[name]));
+  }
+  await applyAreaWrites(sets, removals);
+}
+
+/**
+ * Replace the settings object in the index item (entries are untouched).
+ * @param {object} settings
+ */
+export async function saveSettings(settings) {
+  const result = await chrome.storage.sync.get(STORAGE_KEY);
+  const index = result[STORAGE_KEY] || { version: VERSION };
+  const sets = emptyPerArea(() => ({}));
+  sets.sync[STORAGE_KEY] = { ...index, settings };
+  await applyAreaWrites(sets, emptyPerArea(() => []));
 }
 
 /**
@@ -34,9 +357,10 @@ export async function save(data) {
  * @returns {Promise<void>}
  */
 export async function addEntry(entry) {
-  const data = await load();
-  data.entries.push(entry);
-  await save(data);
+  const device = await getDevice();
+  const sets = emptyPerArea(() => ({}));
+  sets[entryAreaName(entry)][entryKey(entry.id)] = stamped(entry, undefined, device.id);
+  await applyAreaWrites(sets, emptyPerArea(() => []));
 }
 
 /**
@@ -44,8 +368,9 @@ export async function addEntry(entry) {
  * @returns {Promise<Entry | undefined>}
  */
 export async function getEntryById(id) {
-  const data = await load();
-  return data.entries.find((e) => e.id === id);
+  const key = entryKey(id);
+  const [fromSync, fromLocal] = await Promise.all([chrome.storage.sync.get(key), chrome.storage.local.get(key)]);
+  return fromSync[key] ?? fromLocal[key];
 }
 
 /**
@@ -53,30 +378,322 @@ export async function getEntryById(id) {
  * @param {Partial<Entry>} updates
  */
 export async function updateEntry(id, updates) {
-  const data = await load();
-  const idx = data.entries.findIndex((e) => e.id === id);
-  if (idx === -1) return;
-  data.entries[idx] = { ...data.entries[idx], ...updates };
-  await save(data);
+  await updateEntries({ [id]: updates });
+}
+
+/** For synced entries, drop the oldest revisions until the item fits the per-item quota. */
+function withFittingHistory(entry) {
+  if (entryAreaName(entry) !== 'sync') return entry;
+  const key = entryKey(entry.id);
+  let next = entry;
+  while (next.history?.length && itemBytes(key, next) > SYNC_QUOTA.bytesPerItem) {
+    const history = next.history.slice(1);
+    next = { ...next, history: history.length ? history : undefined };
+  }
+  return next;
+}
+
+/**
+ * Edit an entry and record what changed in its history (see lib/history.js). For synced entries the oldest
+ * revisions are dropped when needed so the item stays within the per-item quota.
+ * @param {string} id
+ * @param {Partial<Entry>} updates
+ * @param {{ id: string, name: string }} device
+ */
+export async function reviseEntry(id, updates, device) {
+  const current = await getEntryById(id);
+  if (!current) return;
+  const next = withFittingHistory(withRevision(current, updates, device));
+  await updateEntries({ [id]: { ...updates, history: next.history } });
+}
+
+/**
+ * Apply updates to several entries in a single write (e.g. reordering a section).
+ * Changing storageArea moves the entry to the other area.
+ * @param {Record<string, Partial<Entry>>} updatesById
+ */
+export async function updateEntries(updatesById) {
+  const keys = Object.keys(updatesById).map(entryKey);
+  if (!keys.length) return;
+  const [fromSync, fromLocal, device] = await Promise.all([
+    chrome.storage.sync.get(keys),
+    chrome.storage.local.get(keys),
+    getDevice(),
+  ]);
+  const sets = emptyPerArea(() => ({}));
+  const removals = emptyPerArea(() => []);
+  for (const [id, updates] of Object.entries(updatesById)) {
+    const key = entryKey(id);
+    const fromArea = key in fromSync ? 'sync' : key in fromLocal ? 'local' : null;
+    if (!fromArea) continue;
+    const stored = fromArea === 'sync' ? fromSync[key] : fromLocal[key];
+    const next = stamped({ ...stored, ...updates }, stored, device.id);
+    const toArea = entryAreaName(next);
+    sets[toArea][key] = next;
+    if (toArea !== fromArea) removals[fromArea].push(key);
+  }
+  await applyAreaWrites(sets, removals);
+}
+
+/**
+ * Write an entry as given (already stamped), e.g. the result of merging concurrent edits, removing it from the
+ * other area if its storageArea changed. Only the oldest revisions may be dropped to fit the quota.
+ * @param {Entry} entry
+ */
+export async function putEntry(entry) {
+  const sets = emptyPerArea(() => ({}));
+  const removals = emptyPerArea(() => []);
+  const area = entryAreaName(entry);
+  sets[area][entryKey(entry.id)] = withFittingHistory(entry);
+  removals[area === 'sync' ? 'local' : 'sync'].push(entryKey(entry.id));
+  await applyAreaWrites(sets, removals);
 }
 
 /**
+ * Unresolved conflicts from merging concurrent edits (newest last).
+ * @returns {Promise<Conflict[]>}
+ */
+export async function getConflicts() {
+  const result = await chrome.storage.local.get(CONFLICTS_KEY);
+  return Array.isArray(result[CONFLICTS_KEY]) ? result[CONFLICTS_KEY] : [];
+}
+
+/**
+ * Record a conflict, replacing any earlier one for the same entry (fields from both are kept; the newer wins).
+ * @param {Conflict} conflict
+ */
+export async function saveConflict(conflict) {
+  const conflicts = await getConflicts();
+  const earlier = conflicts.find((c) => c.entryId === conflict.entryId);
+  const merged = earlier ? { ...conflict, fields: { ...earlier.fields, ...conflict.fields } } : conflict;
+  await chrome.storage.local.set({
+    [CONFLICTS_KEY]: [...conflicts.filter((c) => c.entryId !== conflict.entryId), merged],
+  });
+}
+
+/** @param {string} entryId */
+export async function removeConflict(entryId) {
+  const conflicts = await getConflicts();
+  await chrome.storage.local.set({ [CONFLICTS_KEY]: conflicts.filter((c) => c.entryId !== entryId) });
+}
+
+/**
+ * How often entries were applied on this device.
+ * @returns {Promise<Record<string, { useCount: number, lastUsedAt: number }>>}
+ */
+export async function getUsage() {
+  const result = await chrome.storage.local.get(USAGE_KEY);
+  const usage = result[USAGE_KEY];
+  return usage && typeof usage === 'object' ? usage : {};
+}
+
+/**
+ * Count one use of an entry (its value was applied to a field). Entries with usesLeft count down, and
+ * go to the trash when none are left; usesLeft is stored in the entry, so uses on all devices count.
+ * @param {string} id
+ * @param {number} [at]
+ */
+export async function recordUse(id, at = Date.now()) {
+  const usage = await getUsage();
+  const prev = usage[id];
+  usage[id] = { useCount: (prev?.useCount || 0) + 1, lastUsedAt: at };
+  await chrome.storage.local.set({ [USAGE_KEY]: usage });
+
+  const entry = await getEntryById(id);
+  if (entry?.usesLeft == null || isTrashed(entry)) return;
+  const usesLeft = Math.max(0, entry.usesLeft - 1);
+  await updateEntries({ [id]: usesLeft > 0 ? { usesLeft } : { usesLeft, deletedAt: at } });
+}
+
+/** @param {string[]} ids Entries removed for good */
+async function forgetUsage(ids) {
+  const usage = await getUsage();
+  if (!ids.some((id) => id in usage)) return;
+  ids.forEach((id) => delete usage[id]);
+  await chrome.storage.local.set({ [USAGE_KEY]: usage });
+}
+
+/** True if the entry is in the trash (deleted but not purged). */
+export function isTrashed(entry) {
+  return entry?.deletedAt != null;
+}
+
+/**
+ * True if the entry's expiry date has passed or its uses are spent.
+ * @param {Entry} entry
+ * @param {number} [now]
+ */
+export function isExpired(entry, now = Date.now()) {
+  return (entry?.expiresAt != null && entry.expiresAt <= now) || entry?.usesLeft === 0;
+}
+
+/**
+ * Move expired entries to the trash (so they can still be restored for a while).
+ * @param {number} [now]
+ * @returns {Promise<number>} Number of entries moved
+ */
+export async function expireEntries(now = Date.now()) {
+  const { entries } = await load();
+  const expired = entries.filter((e) => !isTrashed(e) && isExpired(e, now));
+  if (expired.length) await updateEntries(Object.fromEntries(expired.map((e) => [e.id, { deletedAt: now }])));
+  return expired.length;
+}
+
+/**
+ * Move an entry to the trash. It stays stored (and synced) until restored, purged or expired.
  * @param {string} id
  */
 export async function deleteEntry(id) {
-  const data = await load();
-  data.entries = data.entries.filter((e) => e.id !== id);
-  await save(data);
+  await updateEntries({ [id]: { deletedAt: Date.now() } });
+}
+
+/**
+ * Take an entry out of the trash.
+ * @param {string} id
+ * @param {Partial<Entry>} [updates] e.g. { shortcut: undefined } when its shortcut was reused meanwhile
+ */
+export async function restoreEntry(id, updates = {}) {
+  await updateEntries({ [id]: { ...updates, deletedAt: undefined } });
+}
+
+/**
+ * Permanently remove an entry.
+ * @param {string} id
+ */
+export async function purgeEntry(id) {
+  const key = entryKey(id);
+  await applyAreaWrites(emptyPerArea(() => ({})), { sync: [key], local: [key] });
+  await forgetUsage([id]);
+}
+
+/**
+ * Permanently remove trashed entries deleted at or before `before` (ms timestamp); all trashed entries if omitted.
+ * @param {number} [before]
+ * @returns {Promise<number>} Number of entries removed
+ */
+export async function purgeTrash(before = Infinity) {
+  const [syncItems, localItems] = await Promise.all([chrome.storage.sync.get(null), getLocalEntryItems()]);
+  const removals = emptyPerArea(() => []);
+  for (const [name, items] of [['sync', syncItems], ['local', localItems]]) {
+    removals[name] = Object.keys(items).filter(
+      (k) => k.startsWith(ENTRY_KEY_PREFIX) && isTrashed(items[k]) && items[k].deletedAt <= before
+    );
+  }
+  await applyAreaWrites(emptyPerArea(() => ({})), removals);
+  await forgetUsage([...removals.sync, ...removals.local].map((k) => k.slice(ENTRY_KEY_PREFIX.length)));
+  return removals.sync.length + removals.local.length;
+}
+
+/**
+ * Space used by lazy forms in each area, for the settings dashboard. Entries are listed largest first
+ * with their item size (the key plus stored JSON, as counted against the sync quota).
+ * @returns {Promise<{
+ *   sync: { bytes: number, items: number }, local: { bytes: number, items: number },
+ *   entries: Array<{ id: string, area: 'sync' | 'local', bytes: number, historyBytes: number, trashed: boolean }>,
+ *   writes: { lastMinute: number, lastHour: number }, quota: typeof SYNC_QUOTA
+ * }>}
+ */
+export async function getStorageUsage() {
+  const [syncItems, localItems] = await Promise.all([chrome.storage.sync.get(null), getLocalEntryItems()]);
+  const totals = (items, keys) => ({ bytes: keys.reduce((sum, k) => sum + itemBytes(k, items[k]), 0), items: keys.length });
+  const entries = [];
+  for (const [area, items] of [['sync', syncItems], ['local', localItems]]) {
+    for (const [key, entry] of Object.entries(items)) {
+      if (!key.startsWith(ENTRY_KEY_PREFIX)) continue;
+      entries.push({ id: entry.id, area, bytes: itemBytes(key, entry), historyBytes: historyBytes(key, entry), trashed: isTrashed(entry) });
+    }
+  }
+  entries.sort((a, b) => b.bytes - a.bytes);
+  const now = Date.now();
+  return {
+    // Every sync item counts against the quota; local also holds device id, usage counts, conflicts and snapshots
+    sync: totals(syncItems, Object.keys(syncItems)),
+    local: totals(localItems, Object.keys(localItems)),
+    entries,
+    writes: {
+      lastMinute: syncWriteTimes.filter((t) => t > now - MINUTE_MS).length,
+      lastHour: syncWriteTimes.filter((t) => t > now - HOUR_MS).length,
+    },
+    quota: SYNC_QUOTA,
+  };
+}
+
+/**
+ * Extension messages are JSON, which drops properties set to undefined — but in updates, undefined means
+ * "clear this field". encodeUnset turns top-level undefined values into null for sending; decodeUnset reverses it.
+ * @param {object} obj
+ */
+export function encodeUnset(obj) {
+  return Object.fromEntries(Object.entries(obj || {}).map(([k, v]) => [k, v === undefined ? null : v]));
+}
+
+/** @param {object} obj */
+export function decodeUnset(obj) {
+  return Object.fromEntries(Object.entries(obj || {}).map(([k, v]) => [k, v === null ? undefined : v]));
+}
+
+function formatKb(bytes) {
+  return `${Math.round(bytes / 1024)} KB`;
+}
+
+/**
+ * User-facing explanation for a failed storage write, or null if the error is not about storage limits.
+ * @param {unknown} err
+ * @returns {string | null}
+ */
+export function describeStorageError(err) {
+  const msg = String(err?.message ?? err ?? '');
+  if (msg.includes('QUOTA_BYTES_PER_ITEM')) {
+    return `This value is too large to sync (limit ${formatKb(SYNC_QUOTA.bytesPerItem)} per value). Shorten it, or keep it on this device only.`;
+  }
+  if (msg.includes('MAX_ITEMS')) {
+    return `Sync storage holds at most ${SYNC_QUOTA.maxItems - 1} values. Delete some, or keep some on this device only.`;
+  }
+  if (msg.includes('CHANGED_SINCE_LOAD')) {
+    return 'Stored values were changed meanwhile (in another window or on another device). Try again.';
+  }
+  if (msg.includes('MAX_WRITE_OPERATIONS')) {
+    return 'Too many changes in a short time. Wait a minute and try again.';
+  }
+  if (/quota/i.test(msg)) {
+    return `Sync storage is full (${formatKb(SYNC_QUOTA.bytes)} in total). Delete or shorten some values, or keep large ones on this device only (Settings → Storage lists the largest).`;
+  }
+  return null;
 }
 
 /**
  * @typedef {{
  *   id: string;
  *   value: string;
- *   contextType: 'fieldOnly' | 'url' | 'domain' | 'all' | 'urlPattern';
+ *   contextType: 'fieldOnly' | 'fieldSemantic' | 'url' | 'domain' | 'site' | 'all' | 'urlPattern' | 'urlParts' | 'regex';
  *   contextKey: string;
+ *   fingerprint?: { id?: string, name?: string, label?: string, ariaLabel?: string, placeholder?: string, autocomplete?: string, type?: string, path?: string };
+ *   frameUrl?: string;
+ *   ignoreQuery?: boolean;
+ *   exclude?: string[];
+ *   profileId?: string;
  *   label?: string;
  *   shortcut?: string;
  *   createdAt: number;
+ *   order?: number;
+ *   storageArea?: 'sync' | 'local';
+ *   enc?: { iv: string, ct: string };
+ *   deletedAt?: number;
+ *   history?: Array<{ at: number, device: { id: string, name: string }, prev: Partial<Entry> }>;
+ *   updatedAt?: number;
+ *   updatedBy?: string;
+ *   baseAt?: number;
+ *   changedAt?: Record<string, number>;
  * }} Entry
  */
+
+/**
+ * A conflicting change to one entry: per field group (see lib/merge.js), this device's and the other device's version.
+ * The stored entry holds the other device's version until resolved.
+ * @typedef {{
+ *   entryId: string;
+ *   at: number;
+ *   device: { id: string, name: string };
+ *   fields: Record<string, { local: Partial<Entry>, remote: Partial<Entry> }>;
+ * }} Conflict
+ */
@@ -0,0 +1,177 @@
+/**
+ * Optional passphrase vault for stored values.
+ *
+ * When the vault is enabled, each entry's value is stored as `enc: { iv, ct }` (AES-GCM) with `value: ''`;
+ * labels, contexts and shortcuts stay readable so menus can still list entries while locked.
+ * The AES key is derived from the passphrase with PBKDF2 (config in the sync index: { salt, iterations, check })
+ * and, once unlocked, kept in chrome.storage.session so it is forgotten when the browser closes.
+ */
+
+export const VAULT_SESSION_KEY = 'lazy-forms-vaultKey';
+
+const PBKDF2_ITERATIONS = 310000;
+// Known plaintext encrypted with the vault key; decrypting it verifies a passphrase.
+const CHECK_PLAINTEXT = 'lazy-forms-vault';
+
+function toBase64(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+function fromBase64(b64) {
+  return Uint8Array.from(atob(b64), (c) => c.charCodeAt(0));
+}
+
+async function deriveKey(passphrase, salt, iterations) {
+  const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    true,
+    ['encrypt', 'decrypt']
+  );
+}
+
+/**
+ * @param {CryptoKey} key
+ * @param {string} plaintext
+ * @returns {Promise<{ iv: string, ct: string }>}
+ */
+export async function encryptValue(key, plaintext) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const ct = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(plaintext));
+  return { iv: toBase64(iv), ct: toBase64(new Uint8Array(ct)) };
+}
+
+/**
+ * @param {CryptoKey} key
+ * @param {{ iv: string, ct: string }} enc
+ * @returns {Promise<string>} Rejects if the key is wrong or the data was tampered with.
+ */
+export async function decryptValue(key, enc) {
+  const plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(enc.iv) }, key, fromBase64(enc.ct));
+  return new TextDecoder().decode(plain);
+}
+
+/**
+ * Create vault config for a new passphrase.
+ * @param {string} passphrase
+ * @returns {Promise<{ config: VaultConfig, key: CryptoKey }>}
+ */
+export async function createVault(passphrase) {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const key = await deriveKey(passphrase, salt, PBKDF2_ITERATIONS);
+  const check = await encryptValue(key, CHECK_PLAINTEXT);
+  return { config: { salt: toBase64(salt), iterations: PBKDF2_ITERATIONS, check }, key };
+}
+
+/**
+ * Derive the key for an existing vault, or null if the passphrase is wrong.
+ * @param {VaultConfig} config
+ * @param {string} passphrase
+ * @returns {Promise<CryptoKey | null>}
+ */
+export async function unlockVault(config, passphrase) {
+  const key = await deriveKey(passphrase, fromBase64(config.salt), config.iterations);
+  try {
+    return (await decryptValue(key, config.check)) === CHECK_PLAINTEXT ? key : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Keep the key for this browser session, tagged with the vault's salt so a key for an older vault
+ * (e.g. after the vault was recreated on another device) is never used.
+ * @param {CryptoKey} key
+ * @param {VaultConfig} vault
+ */
+export async function storeSessionKey(key, vault) {
+  const raw = new Uint8Array(await crypto.subtle.exportKey('raw', key));
+  await chrome.storage.session.set({ [VAULT_SESSION_KEY]: { salt: vault.salt, key: toBase64(raw) } });
+}
+
+/**
+ * @param {VaultConfig | undefined} vault
+ * @returns {Promise<CryptoKey | null>} The unlocked key for this vault in this browser session, if any.
+ */
+export async function getSessionKey(vault) {
+  if (!vault) return null;
+  const result = await chrome.storage.session.get(VAULT_SESSION_KEY);
+  const stored = result[VAULT_SESSION_KEY];
+  if (!stored?.key || stored.salt !== vault.salt) return null;
+  return crypto.subtle.importKey('raw', fromBase64(stored.key), 'AES-GCM', true, ['encrypt', 'decrypt']);
+}
+
+export async function clearSessionKey() {
+  await chrome.storage.session.remove(VAULT_SESSION_KEY);
+}
+
+/**
+ * Stored form of a plaintext value: encrypted when a key is given, else unchanged.
+ * @param {CryptoKey | null} key
+ * @param {string} value
+ * @returns {Promise<{ value: string, enc?: { iv: string, ct: string } }>}
+ */
+export async function sealValue(key, value) {
+  if (!key) return { value, enc: undefined };
+  return { value: '', enc: await encryptValue(key, value ?? '') };
+}
+
+/**
+ * Entry with its value readable: decrypted with key, or `locked: true` (and empty value) when that is not possible.
+ * Entries without `enc` are returned unchanged.
+ * @param {CryptoKey | null} key
+ * @param {Entry} entry
+ */
+export async function openEntry(key, entry) {
+  if (!entry?.enc) return entry;
+  if (key) {
+    try {
+      return { ...entry, value: await decryptValue(key, entry.enc), enc: undefined };
+    } catch {
+      // Wrong key (e.g. entry from another vault): fall through to locked
+    }
+  }
+  return { ...entry, value: '', locked: true };
+}
+
+/**
+ * History with earlier values (revision `prev`, see lib/history.js) encrypted with key, so turning the
+ * vault on does not leave old plaintext behind. Revisions that did not change the value are kept as is.
+ * @param {CryptoKey | null} key
+ * @param {Entry['history']} history
+ */
+export async function sealHistory(key, history) {
+  if (!key || !Array.isArray(history)) return history;
+  return Promise.all(history.map(async (rev) => {
+    if (!rev?.prev || !('value' in rev.prev) || rev.prev.enc) return rev;
+    return { ...rev, prev: { ...rev.prev, ...(await sealValue(key, rev.prev.value ?? '')) } };
+  }));
+}
+
+/**
+ * History with earlier values decrypted (enc: null, so rolling back clears the entry's enc too).
+ * Values that cannot be decrypted are left encrypted.
+ * @param {CryptoKey | null} key
+ * @param {Entry['history']} history
+ */
+export async function openHistory(key, history) {
+  if (!key || !Array.isArray(history)) return history;
+  return Promise.all(history.map(async (rev) => {
+    if (!rev?.prev?.enc) return rev;
+    try {
+      return { ...rev, prev: { ...rev.prev, value: await decryptValue(key, rev.prev.enc), enc: null } };
+    } catch {
+      return rev;
+    }
+  }));
+}
+
+/**
+ * @typedef {{ salt: string, iterations: number, check: { iv: string, ct: string } }} VaultConfig
+ */
@@ -0,0 +1,50 @@
+/**
+ * Regenerates lib/public-suffix-list.js from the Public Suffix List (https://publicsuffix.org/list/).
+ * Usage: node scripts/update-public-suffix-list.js [path/to/public_suffix_list.dat]
+ * Without a path the list is downloaded. Rules are stored in ASCII (punycode), as hostnames appear in URLs.
+ */
+import fs from 'fs';
+import path from 'path';
+import url from 'url';
+
+const __dirname = path.dirname(url.fileURLToPath(import.meta.url));
+const OUT = path.join(__dirname, '..', 'lib', 'public-suffix-list.js');
+const SOURCE_URL = 'https://publicsuffix.org/list/public_suffix_list.dat';
+
+async function readList(source) {
+  if (source) return fs.readFileSync(source, 'utf8');
+  const res = await fetch(SOURCE_URL);
+  if (!res.ok) throw new Error(`Download failed: ${res.status} ${res.statusText}`);
+  return res.text();
+}
+
+/** ASCII form of a rule, keeping its ! (exception) and *. (wildcard) markers. */
+function toAscii(rule) {
+  const exception = rule.startsWith('!');
+  const body = exception ? rule.slice(1) : rule;
+  const wildcard = body.startsWith('*.');
+  const domain = url.domainToASCII(wildcard ? body.slice(2) : body);
+  if (!domain) throw new Error(`Invalid rule: ${rule}`);
+  return `${exception ? '!' : ''}${wildcard ? '*.' : ''}${domain}`;
+}
+
+const text = await readList(process.argv[2]);
+const rules = [...new Set(
+  text
+    .split('\n')
+    .map((line) => line.trim().split(/\s/)[0])
+    .filter((line) => line && !line.startsWith('//'))
+    .map(toAscii)
+)];
+if (rules.length < 1000) throw new Error(`Only ${rules.length} rules found; is this the Public Suffix List?`);
+
+fs.writeFileSync(OUT, `// Generated by scripts/update-public-suffix-list.js on ${new Date().toISOString().slice(0, 10)}; do not edit.
+// Public Suffix List (https://publicsuffix.org/list/), ICANN and private sections, in ASCII (punycode).
+// This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0. If a copy of the MPL was
+// not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+
+export const PUBLIC_SUFFIX_RULES = \`
+${rules.join('\n')}
+\`;
+`);
+console.log(`Wrote ${rules.length} rules to ${path.relative(process.cwd(), OUT)}`);
@@ -3,18 +3,74 @@
  * - Show all / current page toggle; Add value; list with Apply/Edit/Delete; settings (Import/Export).
  */
 
-const STORAGE_KEY = 'lazyForms';
+import {
+  load,
+  save,
+  addEntry,
+  updateEntries,
+  reviseEntry,
+  getEntryById,
+  deleteEntry,
+  restoreEntry,
+  purgeEntry,
+  purgeTrash,
+  isTrashed,
+  removeConflict,
+  recordUse,
+  isExpired,
+  getStorageUsage,
+  takeSnapshot,
+  listSnapshots,
+  getSnapshot,
+  restoreSnapshot,
+  sealSnapshots,
+  describeStorageError,
+  VERSION,
+} from '../lib/storage-client.js';
+import { migrate } from '../lib/migrations.js';
+import {
+  createVault,
+  unlockVault,
+  storeSessionKey,
+  getSessionKey,
+  clearSessionKey,
+  sealValue,
+  openEntry,
+  sealHistory,
+  openHistory,
+} from '../lib/vault.js';
+import { HISTORY_FIELDS, fieldsBeforeRevision, changedFields } from '../lib/history.js';
+import { diffWords } from '../lib/diff.js';
+import { FIELD_GROUPS } from '../lib/merge.js';
+import { sortByFrecency } from '../lib/frecency.js';
+import { REGEX_PREFIX, isSameFrameUrl, splitContextKey, contextKeyError, exclusionError, semanticKeyForField, explainMatch, matchesContext, globToRegex } from '../lib/matching.js';
+import { registrableDomain } from '../lib/domains.js';
+import { hasFingerprint, resolveFingerprint } from '../lib/fingerprint.js';
+import { wildcardSelector } from '../lib/selectors.js';
+import { frameIdForUrl } from '../lib/frames.js';
+import { getProfiles, activeProfile, isEntryInProfile, profileSiteKey, profileSwitchSettings } from '../lib/profiles.js';
+
 const PENDING_STORE_KEY = 'lazy-forms-pendingStore';
+// Set by background when the panel is opened to unlock the vault (floating menu, locked quick slot or shortcut)
+const PENDING_UNLOCK_KEY = 'lazy-forms-pendingUnlock';
 
 let currentState = null;
 let currentSettings = null;
 let showAllValues = false;
 let addSectionVisible = false;
-let showSettings = false;
+// Visible view: 'main' (values), 'settings' or 'trash' (Recently deleted)
+let currentView = 'main';
 let currentDragSectionKey = null;
 let currentDraggedLi = null;
 let currentGhost = null;
 let aimModeActive = false;
+let unlockPromptOpen = false;
+// Entry to open in the edit form once the list re-renders unlocked (after unlocking to edit a locked value)
+let pendingEditEntryId = null;
+// Field entry whose field is being re-picked on the page (broken selector banner); null if none
+let repickEntryId = null;
+// Entries whose match explainer is open; kept across re-renders so it follows the focused field
+const openExplainerIds = new Set();
 
 // Port so background can detect when panel is closed (Chrome's icon, our X, etc.) and clear toggle state
 try {
@@ -30,6 +86,11 @@ function setAimModeActive(active) {
 }
 
 function toggleAimMode() {
+  // The add and edit forms' pick button takes over from a re-pick in progress
+  if (repickEntryId) {
+    repickEntryId = null;
+    renderBrokenFieldsBanner(currentState);
+  }
   if (aimModeActive) {
     chrome.runtime.sendMessage({ type: 'cancelPickElement' }).catch(() => {});
     setAimModeActive(false);
@@ -63,30 +124,180 @@ async function applyValue(value, entry = null) {
   if (!tab?.id) return;
   let selector = null;
   if (entry?.contextType === 'fieldOnly' && entry?.contextKey) {
-    const parts = entry.contextKey.split('|');
-    if (parts.length >= 3) selector = parts.slice(2).join('|');
+    const parts = splitContextKey(entry.contextKey);
+    // A re: selector part cannot be queried; the focused field is used instead
+    if (parts.length >= 3 && !parts[2].startsWith(REGEX_PREFIX)) selector = parts.slice(2).join('|');
   }
-  await chrome.tabs.sendMessage(tab.id, { type: 'applyValue', value, selector }).catch(() => {});
+  const frame = await entryFrame(tab.id, entry);
+  if (hasFingerprint(entry?.fingerprint) || /[*?]/.test(selector ?? '')) {
+    selector = await resolveFieldSelector(tab.id, selector, entry?.fingerprint, frame);
+  }
+  await chrome.tabs.sendMessage(tab.id, { type: 'applyValue', value, selector }, frame).catch(() => {});
+}
+
+/** chrome.tabs.sendMessage options for the frame (top page or iframe) that holds the current field. */
+function fieldFrame() {
+  return { frameId: currentState?.pageInfo?.frameId ?? 0 };
+}
+
+/**
+ * chrome.tabs.sendMessage options for the frame holding an entry's field: for a field picked in an iframe, the
+ * frame now showing its frameUrl; otherwise (or if no frame shows it) the current field's frame.
+ * @param {number} tabId
+ * @param {{ frameUrl?: string } | null} entry
+ */
+async function entryFrame(tabId, entry) {
+  if (!entry?.frameUrl || isSameFrameUrl(entry.frameUrl, currentState?.pageInfo?.frameUrl)) return fieldFrame();
+  const frameId = await frameIdForUrl(tabId, entry.frameUrl);
+  return frameId === null ? fieldFrame() : { frameId };
 }
 
-async function getStore() {
-  const data = await chrome.storage.sync.get(STORAGE_KEY);
-  return data[STORAGE_KEY] || { version: 1, entries: [] };
+/**
+ * The stored selector if it still names a field on the page (a selector with * if exactly one field fits it), else
+ * the field that best fits the entry's fingerprint (null if none fits well enough: the focused field is then used).
+ */
+async function resolveFieldSelector(tabId, selector, fingerprint, frame = fieldFrame()) {
+  const reply = await chrome.tabs.sendMessage(tabId, { type: 'getFieldCandidates' }, frame).catch(() => null);
+  const candidates = reply?.fields || [];
+  if (selector && candidates.some((c) => c.selector === selector)) return selector;
+  if (selector && /[*?]/.test(selector)) {
+    const pattern = globToRegex(selector);
+    const fitting = candidates.filter((c) => pattern.test(c.selector));
+    if (fitting.length === 1) return fitting[0].selector;
+  }
+  return hasFingerprint(fingerprint) ? resolveFingerprint(fingerprint, candidates)?.selector ?? null : null;
 }
 
-/** Set of normalized shortcuts currently in use (optionally excluding one entry by id). */
-async function getShortcutsInUse(excludeEntryId = null) {
-  const store = await getStore();
+// The add form's match count waits for typing to pause before asking the page for its fields
+const SELECTOR_PREVIEW_DELAY_MS = 300;
+
+/**
+ * How many fields in a frame of the page (the current field's by default) an entry's context matches by key (not
+ * by fingerprint), or null if the page cannot be asked (e.g. a browser page, where the content script does not run).
+ * @param {{ contextType: string, contextKey: string }} entry
+ * @param {{ frameId: number }} [frame]
+ */
+async function countMatchingFields(entry, pageInfo, frame = fieldFrame()) {
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  if (!tab?.id || !pageInfo) return null;
+  const reply = await chrome.tabs.sendMessage(tab.id, { type: 'getFieldCandidates' }, frame).catch(() => null);
+  if (!reply?.ok) return null;
+  return reply.fields.filter((c) => matchesContext(entry, { ...pageInfo, selector: c.selector, field: c.field })).length;
+}
+
+function fieldCountText(count) {
+  return count === 0 ? 'no field' : count === 1 ? '1 field' : `${count} fields`;
+}
+
+/**
+ * Ask before using a selector with * that matches several fields on the page (#address-line-* fits both address
+ * lines, so the value could go into the wrong one). True if it matches at most one field or the user accepts.
+ * @param {string} selector
+ * @param {number | null} count fields it matches on the page (null if unknown)
+ */
+async function confirmWildcardSelector(selector, count) {
+  if (count === null || count <= 1) return true;
+  const choice = await showModal({
+    titleId: 'wildcard-selector-title',
+    title: 'Use * for generated parts?',
+    bodyHtml: `<code>${escapeHtml(selector)}</code> matches ${count} fields on this page, so the value could be filled into the wrong one. Use it only if the part replaced by * changes each time the page loads.`,
+    buttons: [
+      { label: 'Cancel', value: 'cancel' },
+      { label: 'Use *', value: 'wildcard' },
+    ],
+  });
+  return choice === 'wildcard';
+}
+
+/** True if a field key (origin|pathname|selector or a bare selector) names the source field, exactly or with *. */
+function keyNamesSource(contextKey, source) {
+  if (!source?.selector) return false;
+  const parts = splitContextKey(contextKey || '');
+  const selector = parts.length >= 3 ? parts.slice(2).join('|') : contextKey;
+  return selector === source.selector || selector === wildcardSelector(source.selector);
+}
+
+/**
+ * Fingerprint to store with an entry: that of the picked or focused field (source), if the entry is a field entry
+ * whose key still names that field.
+ * @param {{ selector: string, field?: object } | null} source
+ */
+function fingerprintForKey(contextType, contextKey, source) {
+  if (contextType !== 'fieldOnly' || !hasFingerprint(source?.field)) return undefined;
+  return keyNamesSource(contextKey, source) ? source.field : undefined;
+}
+
+/**
+ * Frame URL to store with an entry whose key names a field picked or focused in an iframe (source.frameUrl), so
+ * messages about the field go to that frame (entryFrame).
+ * @param {{ selector: string, frameUrl?: string } | null} source
+ */
+function frameUrlForKey(contextType, contextKey, source) {
+  if ((contextType !== 'fieldOnly' && contextType !== 'urlPattern') || !source?.frameUrl) return undefined;
+  return keyNamesSource(contextKey, source) ? source.frameUrl : undefined;
+}
+
+/** chrome.tabs.sendMessage options for the frame a source field was picked or focused in. */
+function sourceFrame(source) {
+  return source?.frameId != null ? { frameId: source.frameId } : fieldFrame();
+}
+
+/** Apply an entry from the list, unlocking the vault first if its value is encrypted. */
+async function applyEntry(entry) {
+  const opened = await openLockedEntry(entry);
+  if (!opened) return;
+  await applyValue(opened.value, opened);
+  recordUse(opened.id).catch(() => {});
+}
+
+/**
+ * Set of normalized shortcuts currently in use (optionally excluding one entry by id). With a profileId, entries of
+ * other profiles do not count: they are never offered together, so each profile can use the same keys.
+ */
+async function getShortcutsInUse(excludeEntryId = null, profileId = null) {
+  const store = await load();
   const entries = store?.entries || [];
   const set = new Set();
   for (const e of entries) {
+    if (isTrashed(e)) continue;
     if (excludeEntryId && e.id === excludeEntryId) continue;
+    if (profileId && e.profileId && e.profileId !== profileId && profileName(e.profileId)) continue;
     const n = normalizeShortcutForComparison(e.shortcut);
     if (n) set.add(n);
   }
   return set;
 }
 
+/**
+ * updates without their shortcut if another value (other than entryId) uses it now, and the shortcut dropped
+ * (null if none).
+ * @param {Partial<import('../lib/storage.js').Entry>} updates
+ * @param {string} entryId
+ * @returns {Promise<{ updates: Partial<import('../lib/storage.js').Entry>, droppedShortcut: string | null }>}
+ */
+async function dropShortcutInUse(updates, entryId) {
+  if (!updates.shortcut) return { updates, droppedShortcut: null };
+  const inUse = await getShortcutsInUse(entryId);
+  if (!inUse.has(normalizeShortcutForComparison(updates.shortcut))) return { updates, droppedShortcut: null };
+  return { updates: { ...updates, shortcut: undefined }, droppedShortcut: updates.shortcut };
+}
+
+/**
+ * Tell the user a value was saved without the shortcut it had (another value uses that shortcut now).
+ * @param {string} title e.g. 'Value restored without its shortcut'
+ * @param {string} shortcut
+ */
+async function showShortcutDropped(title, shortcut) {
+  await showModal({
+    titleId: 'shortcut-dropped-title',
+    title,
+    bodyHtml: `Shortcut <strong>${escapeHtml(normalizeShortcutDisplay(shortcut, shortcut))}</strong> is now used by another value, so it was cleared. Choose a different one in <strong>Edit</strong>.`,
+    buttons: [
+      { label: 'OK', value: 'ok' },
+    ],
+  });
+}
+
 /** Get the base (physical) key for shortcut capture, so e.g. Digit2 is stored as "2" not "@". */
 function getBaseKeyFromKeyEvent(e) {
   if (!e || typeof e !== 'object') return '';
@@ -125,49 +336,101 @@ function entrySameValueAndContext(a, b) {
   if (lA !== lB) return false;
   if ((a?.contextType ?? '') !== (b?.contextType ?? '')) return false;
   if ((a?.contextKey ?? '').trim() !== (b?.contextKey ?? '').trim()) return false;
+  if (!!a?.ignoreQuery !== !!b?.ignoreQuery) return false;
+  if (JSON.stringify(a?.exclude ?? []) !== JSON.stringify(b?.exclude ?? [])) return false;
+  if ((a?.profileId ?? '') !== (b?.profileId ?? '')) return false;
   return true;
 }
 
 /**
  * Apply imported entries: merge (add to existing, deduped, shortcuts stripped on collision) or replace. Preserves current settings.
+ * Imported data is migrated from its own version first, so files exported by older builds import cleanly.
+ * Encrypted imported values are opened with importKey and stored encrypted again with writeKey (null = vault off).
+ * The library is snapshotted first, so an import can be undone from Settings → Snapshots.
  */
-async function applyImport(currentStore, importedEntries, importedVersion, merge) {
-  const version = currentStore?.version ?? 1;
+async function applyImport(currentStore, rawImportedEntries, importedVersion, merge, { importKey = null, writeKey = null } = {}) {
+  const imported = migrate({ version: importedVersion, entries: rawImportedEntries });
+  const opened = await openEntries(importKey, imported.entries);
+  if (opened.some((e) => e.locked)) {
+    throw new Error('Some imported values are encrypted and could not be decrypted.');
+  }
+  // Each entry is stored under its own id, so hand-written files without ids get one here
+  const importedEntries = opened.map((e) => (e.id ? e : { ...e, id: uuid() }));
+  const version = Math.max(currentStore?.version ?? VERSION, imported.version);
   const settings = currentStore?.settings ?? {};
   let entries;
   if (merge) {
     const existing = currentStore?.entries || [];
+    const active = existing.filter((e) => !isTrashed(e));
+    // Compare plaintext values; existing entries are kept exactly as stored
+    const existingOpened = await Promise.all(active.map((e) => openEntry(writeKey, e)));
     const usedShortcuts = new Set(
-      existing
+      active
         .map((e) => normalizeShortcutForComparison(e.shortcut))
         .filter(Boolean)
     );
-    const merged = [...existing];
+    const added = [];
     for (const imp of importedEntries) {
-      const isDup = merged.some((e) => entrySameValueAndContext(e, imp));
+      const isDup = [...existingOpened, ...added].some((e) => entrySameValueAndContext(e, imp));
       if (isDup) continue;
       const entry = { ...imp };
       const norm = normalizeShortcutForComparison(entry.shortcut);
       if (norm && usedShortcuts.has(norm)) entry.shortcut = undefined;
       if (entry.shortcut) usedShortcuts.add(normalizeShortcutForComparison(entry.shortcut));
-      merged.push(entry);
+      added.push(entry);
     }
-    entries = merged;
+    entries = [...existing, ...(await sealEntries(writeKey, added))];
   } else {
-    entries = importedEntries;
+    entries = await sealEntries(writeKey, importedEntries);
   }
-  await chrome.storage.sync.set({
-    [STORAGE_KEY]: { version: merge ? version : (importedVersion ?? version), entries, settings },
-  });
+  await takeSnapshot('import');
+  await save({ version, entries, settings, revision: currentStore?.revision });
+}
+
+/**
+ * Keys for applyImport: writeKey for this vault (null when off) and importKey for encrypted values in the file
+ * (same key if the file came from this vault, else the file's passphrase is asked for). Resolves null if cancelled.
+ * Restoring a snapshot uses the same keys, with prompt naming the snapshot.
+ */
+async function getImportVaultKeys(currentStore, parsed, prompt = {
+  title: 'Encrypted import file',
+  text: 'The values in this file are encrypted. Enter the passphrase of the vault they were exported from.',
+}) {
+  const writeKey = await getVaultKeyForWrite();
+  if (writeKey === undefined) return null;
+  const fileVault = parsed?.vault && typeof parsed.vault === 'object' ? parsed.vault : null;
+  if (!fileVault || !parsed.entries.some((e) => e?.enc)) return { importKey: null, writeKey };
+  if (currentStore?.vault && fileVault.salt === currentStore.vault.salt) return { importKey: writeKey, writeKey };
+  const importKey = await promptVaultPassphrase(fileVault, prompt);
+  return importKey ? { importKey, writeKey } : null;
+}
+
+/** Entries with their value (and earlier values in history) in stored form for the vault key (encrypted, or plain when key is null). */
+function sealEntries(key, entries) {
+  return Promise.all(entries.map(async (e) => ({
+    ...e,
+    ...(await sealValue(key, e.value)),
+    history: await sealHistory(key, e.history),
+  })));
+}
+
+/** Entries with value and history decrypted where key allows; see openEntry for entries that stay locked. */
+function openEntries(key, entries) {
+  return Promise.all(entries.map(async (e) => {
+    const opened = await openEntry(key, e);
+    return opened.history ? { ...opened, history: await openHistory(key, opened.history) } : opened;
+  }));
 }
 
 /**
  * Show a generic modal with title, body HTML, and buttons. Resolves with the chosen button value or 'cancel'.
- * @param {{ titleId?: string, title?: string, bodyHtml: string, buttons: Array<{ label: string, value: string }> }} opts
+ * validate(choice, box) runs before closing on any choice but 'cancel'; returning false keeps the modal open
+ * (e.g. to show an error under an input). Enter in an input chooses the last button.
+ * @param {{ titleId?: string, title?: string, bodyHtml: string, buttons: Array<{ label: string, value: string }>, validate?: (choice: string, box: HTMLElement) => boolean | void | Promise<boolean | void> }} opts
  * @returns {Promise<string>}
  */
 function showModal(opts) {
-  const { titleId = 'modal-title', title = '', bodyHtml, buttons } = opts;
+  const { titleId = 'modal-title', title = '', bodyHtml, buttons, validate } = opts;
   const overlay = document.createElement('div');
   overlay.setAttribute('role', 'dialog');
   overlay.setAttribute('aria-modal', 'true');
@@ -183,17 +446,37 @@ function showModal(opts) {
   overlay.appendChild(box);
 
   return new Promise((resolve) => {
-    function close(choice) {
+    let validating = false;
+    async function close(choice) {
+      if (validating) return;
+      if (validate && choice !== 'cancel') {
+        validating = true;
+        try {
+          if ((await validate(choice, box)) === false) return;
+        } finally {
+          validating = false;
+        }
+      }
       overlay.remove();
       resolve(choice);
     }
-    box.querySelectorAll('[data-choice]').forEach((btn) => {
+    const choiceButtons = box.querySelectorAll('[data-choice]');
+    choiceButtons.forEach((btn) => {
       btn.addEventListener('click', () => close(btn.dataset.choice));
     });
+    box.querySelectorAll('input').forEach((input) => {
+      input.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' && choiceButtons.length) {
+          e.preventDefault();
+          close(choiceButtons[choiceButtons.length - 1].dataset.choice);
+        }
+      });
+    });
     overlay.addEventListener('click', (e) => {
       if (e.target === overlay) close('cancel');
     });
     document.body.appendChild(overlay);
+    box.querySelector('input')?.focus();
   });
 }
 
@@ -237,24 +520,193 @@ async function clearPendingStore() {
   await chrome.storage.session.remove(PENDING_STORE_KEY);
 }
 
-async function saveEntry(entry) {
-  const store = await getStore();
-  store.entries.push(entry);
-  await chrome.storage.sync.set({ [STORAGE_KEY]: store });
+/**
+ * Run a storage write; on failure explain it in a modal (e.g. sync quota exceeded). Resolves true on success.
+ * @param {() => Promise<unknown>} write
+ */
+async function runStorageWrite(write) {
+  try {
+    await write();
+    return true;
+  } catch (err) {
+    await showStorageError(err);
+    return false;
+  }
+}
+
+async function showStorageError(err) {
+  const message = describeStorageError(err) ?? String(err?.message ?? err);
+  await showModal({
+    titleId: 'storage-error-title',
+    title: 'Could not save',
+    bodyHtml: escapeHtml(message),
+    buttons: [
+      { label: 'OK', value: 'ok' },
+    ],
+  });
+}
+
+// ============ VAULT ============
+
+const MIN_PASSPHRASE_LENGTH = 8;
+
+function showModalError(box, message) {
+  const el = box.querySelector('.modal-error');
+  if (!el) return;
+  el.textContent = message;
+  el.classList.remove('hidden');
+}
+
+/**
+ * Ask for a vault passphrase and check it. Resolves the key, or undefined if cancelled.
+ * The key is not stored; see unlockVaultForSession.
+ * @param {import('../lib/vault.js').VaultConfig} vault
+ */
+async function promptVaultPassphrase(vault, { title = 'Unlock vault', text = 'Enter your vault passphrase to use encrypted values in this browser session.' } = {}) {
+  let key;
+  const choice = await showModal({
+    titleId: 'vault-unlock-title',
+    title,
+    bodyHtml: `${escapeHtml(text)}
+      <input type="password" class="modal-input vault-passphrase" autocomplete="current-password" aria-label="Passphrase" />
+      <p class="modal-error hidden"></p>`,
+    buttons: [
+      { label: 'Cancel', value: 'cancel' },
+      { label: 'Unlock', value: 'unlock' },
+    ],
+    validate: async (_choice, box) => {
+      key = await unlockVault(vault, box.querySelector('.vault-passphrase').value);
+      if (!key) {
+        showModalError(box, 'Wrong passphrase.');
+        return false;
+      }
+    },
+  });
+  return choice === 'unlock' ? key : undefined;
+}
+
+/** Prompt for the passphrase and keep the key for this browser session. Resolves the key, or undefined if cancelled. */
+async function unlockVaultForSession(vault) {
+  if (unlockPromptOpen) return undefined;
+  unlockPromptOpen = true;
+  try {
+    const key = await promptVaultPassphrase(vault);
+    if (key) await storeSessionKey(key, vault);
+    return key;
+  } finally {
+    unlockPromptOpen = false;
+  }
 }
 
-async function updateEntry(id, updates) {
-  const store = await getStore();
-  const idx = store.entries.findIndex((e) => e.id === id);
-  if (idx === -1) return;
-  store.entries[idx] = { ...store.entries[idx], ...updates };
-  await chrome.storage.sync.set({ [STORAGE_KEY]: store });
+/**
+ * Key for writing values: null when the vault is off, else the session key (prompting for the passphrase when locked).
+ * Resolves undefined if the user cancels the prompt.
+ */
+async function getVaultKeyForWrite() {
+  const { vault } = await load();
+  if (!vault) return null;
+  return (await getSessionKey(vault)) ?? unlockVaultForSession(vault);
 }
 
-async function deleteEntry(id) {
-  const store = await getStore();
-  store.entries = store.entries.filter((e) => e.id !== id);
-  await chrome.storage.sync.set({ [STORAGE_KEY]: store });
+/** Entry with its value decrypted, prompting to unlock when it is locked. Resolves null if that fails or is cancelled. */
+async function openLockedEntry(entry) {
+  if (!entry?.locked) return entry;
+  const key = await getVaultKeyForWrite();
+  if (!key) return null;
+  const opened = await openEntry(key, entry);
+  return opened.locked ? null : opened;
+}
+
+/** Ask for a new passphrase (twice) and encrypt all stored values with it. */
+async function enableVault() {
+  let passphrase = '';
+  const choice = await showModal({
+    titleId: 'vault-enable-title',
+    title: 'Turn on vault',
+    bodyHtml: `Stored values will be encrypted with this passphrase. It cannot be recovered: if you forget it, the values are lost.
+      <input type="password" class="modal-input vault-new-passphrase" autocomplete="new-password" aria-label="Passphrase" placeholder="Passphrase" />
+      <input type="password" class="modal-input vault-confirm-passphrase" autocomplete="new-password" aria-label="Repeat passphrase" placeholder="Repeat passphrase" />
+      <p class="modal-error hidden"></p>`,
+    buttons: [
+      { label: 'Cancel', value: 'cancel' },
+      { label: 'Encrypt values', value: 'enable' },
+    ],
+    validate: (_choice, box) => {
+      passphrase = box.querySelector('.vault-new-passphrase').value;
+      if (passphrase.length < MIN_PASSPHRASE_LENGTH) {
+        showModalError(box, `Use at least ${MIN_PASSPHRASE_LENGTH} characters.`);
+        return false;
+      }
+      if (passphrase !== box.querySelector('.vault-confirm-passphrase').value) {
+        showModalError(box, 'The passphrases do not match.');
+        return false;
+      }
+    },
+  });
+  if (choice !== 'enable') return;
+  const store = await load();
+  if (store.vault) return;
+  const { config, key } = await createVault(passphrase);
+  // Store the key first so readers of the new data are already unlocked
+  await storeSessionKey(key, config);
+  const entries = await sealEntries(key, store.entries);
+  const saved = await runStorageWrite(() => save({ ...store, entries, vault: config }));
+  if (!saved) await clearSessionKey();
+  // Snapshots on this device still hold the values in plain text
+  else await runStorageWrite(() => sealSnapshots());
+  requestState();
+}
+
+/** Decrypt all stored values and remove the vault. */
+async function disableVault() {
+  const store = await load();
+  if (!store.vault) return;
+  const key = await promptVaultPassphrase(store.vault, {
+    title: 'Turn off vault',
+    text: 'Enter your vault passphrase. All values will be decrypted and stored as plain text again.',
+  });
+  if (!key) return;
+  const opened = await openEntries(key, store.entries);
+  if (opened.some((e) => e.locked)) {
+    await showStorageError('Some values could not be decrypted with this passphrase, so the vault was left on.');
+    return;
+  }
+  const saved = await runStorageWrite(() => save({ ...store, entries: opened, vault: undefined }));
+  if (saved) await clearSessionKey();
+  requestState();
+}
+
+/** Reflect vault state (from background) in the header lock button and the settings section. */
+function applyVaultStateToUi(vault) {
+  const enabled = !!vault?.enabled;
+  const unlocked = enabled && !!vault.unlocked;
+  const lockBtn = document.getElementById('vault-lock-btn');
+  if (lockBtn) {
+    lockBtn.classList.toggle('hidden', !enabled);
+    const label = unlocked ? 'Lock vault' : 'Unlock vault';
+    lockBtn.title = label;
+    lockBtn.setAttribute('aria-label', label);
+    lockBtn.querySelector('.vault-icon-unlocked')?.classList.toggle('hidden', !unlocked);
+    lockBtn.querySelector('.vault-icon-locked')?.classList.toggle('hidden', unlocked);
+  }
+  const status = document.getElementById('vault-status');
+  if (status) status.textContent = !enabled ? 'Off' : unlocked ? 'On, unlocked' : 'On, locked';
+  document.getElementById('vault-enable-btn')?.classList.toggle('hidden', enabled);
+  document.getElementById('vault-unlock-btn')?.classList.toggle('hidden', !enabled || unlocked);
+  document.getElementById('vault-disable-btn')?.classList.toggle('hidden', !enabled);
+}
+
+async function promptUnlockFromUi() {
+  const { vault } = await load();
+  if (vault && !(await getSessionKey(vault))) await unlockVaultForSession(vault);
+}
+
+/** Background asked the panel to prompt for the passphrase (panel opened from a locked menu item or shortcut). */
+async function checkPendingUnlock() {
+  const data = await chrome.storage.session.get(PENDING_UNLOCK_KEY);
+  if (!data[PENDING_UNLOCK_KEY]) return;
+  await chrome.storage.session.remove(PENDING_UNLOCK_KEY);
+  await promptUnlockFromUi();
 }
 
 function normalizeShortcutDisplay(shortcut, fallback = 'Ctrl+Alt+L') {
@@ -269,32 +721,39 @@ function normalizeShortcutDisplay(shortcut, fallback = 'Ctrl+Alt+L') {
 }
 
 async function saveSettingsFromPanel(partial) {
-  return new Promise((resolve) => {
-    chrome.runtime.sendMessage({ type: 'updateSettings', settings: partial }, (response) => {
-      if (chrome.runtime.lastError || !response?.ok) {
-        resolve(null);
-        return;
-      }
-      resolve(response.settings || null);
+  const response = await new Promise((resolve) => {
+    chrome.runtime.sendMessage({ type: 'updateSettings', settings: partial }, (reply) => {
+      resolve(chrome.runtime.lastError ? null : reply);
     });
   });
+  if (response?.error) await showStorageError(response.error);
+  if (!response?.ok) return null;
+  return response.settings || null;
+}
+
+/** True when lists are ordered by use (settings.suggestionOrder); manual drag order is then not shown. */
+function isFrecencyOrder() {
+  return currentSettings?.suggestionOrder === 'frecency';
 }
 
 function groupBySpecificity(entries) {
-  const groups = { fieldOnly: [], url: [], domain: [], all: [], pattern: [] };
+  const groups = { fieldOnly: [], fieldSemantic: [], url: [], domain: [], site: [], all: [], pattern: [] };
   function sortOrder(a) {
     return a.order ?? a.createdAt ?? 0;
   }
   entries.forEach((e) => {
     if (e.contextType === 'fieldOnly') groups.fieldOnly.push(e);
+    else if (e.contextType === 'fieldSemantic') groups.fieldSemantic.push(e);
     else if (e.contextType === 'url') groups.url.push(e);
     else if (e.contextType === 'domain') groups.domain.push(e);
+    else if (e.contextType === 'site') groups.site.push(e);
     else if (e.contextType === 'all') groups.all.push(e);
     else groups.pattern.push(e);
   });
-  Object.values(groups).forEach((arr) => {
-    arr.sort((a, b) => sortOrder(a) - sortOrder(b));
-  });
+  const byOrder = (a, b) => sortOrder(a) - sortOrder(b);
+  for (const [key, arr] of Object.entries(groups)) {
+    groups[key] = isFrecencyOrder() ? sortByFrecency(arr, byOrder) : arr.sort(byOrder);
+  }
   return groups;
 }
 
@@ -303,19 +762,431 @@ function buildContextKey(contextType, pageInfo) {
   const { url, origin, pathname, selector } = pageInfo;
   switch (contextType) {
     case 'fieldOnly': return `${origin}|${pathname}|${selector || ''}`;
+    case 'fieldSemantic': return semanticKeyForField(pageInfo.field);
     case 'url': return url || '';
     case 'domain': return origin || '';
+    case 'site': {
+      if (!origin) return '';
+      const { hostname } = new URL(origin);
+      return registrableDomain(hostname) || hostname;
+    }
     case 'all': return '*';
+    case 'urlParts': return origin ? `${origin}${(pathname || '/').replace(/[:*?+(){}\\]/g, '\\$&')}` : '';
+    case 'regex': return origin ? `^${origin.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}/` : '';
     default: return origin || '';
   }
 }
 
+/**
+ * Show why the context key cannot be saved under the key input (or hide the message).
+ * @returns {boolean} True if the key is valid
+ */
+function showContextKeyError(errorEl, contextType, contextKey) {
+  const error = contextKeyError(contextType, contextKey);
+  if (errorEl) {
+    errorEl.textContent = error || '';
+    errorEl.classList.toggle('hidden', !error);
+  }
+  return !error;
+}
+
 const ICON_DRAG = '<svg viewBox="0 0 24 24" fill="currentColor"><circle cx="9" cy="6" r="1.5"/><circle cx="15" cy="6" r="1.5"/><circle cx="9" cy="12" r="1.5"/><circle cx="15" cy="12" r="1.5"/><circle cx="9" cy="18" r="1.5"/><circle cx="15" cy="18" r="1.5"/></svg>';
 const ICON_APPLY = '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M5 3l14 9-14 9V3z"/></svg>';
 const ICON_EDIT = '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M11 4H4a2 2 0 00-2 2v14a2 2 0 002 2h14a2 2 0 002-2v-7"/><path d="M18.5 2.5a2.12 2.12 0 013 3L12 15l-4 1 1-4 9.5-9.5z"/></svg>';
 const ICON_DELETE = '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M3 6h18"/><path d="M19 6v14a2 2 0 01-2 2H7a2 2 0 01-2-2V6"/><path d="M8 6V4a2 2 0 012-2h4a2 2 0 012 2v2"/><line x1="10" y1="11" x2="10" y2="17"/><line x1="14" y1="11" x2="14" y2="17"/></svg>';
 const ICON_AIM = '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="12" cy="12" r="10"/><circle cx="12" cy="12" r="6"/><circle cx="12" cy="12" r="2"/></svg>';
 
+const ICON_EXPLAIN = '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="12" cy="12" r="10"/><path d="M9.1 9a3 3 0 015.8 1c0 2-3 3-3 3"/><line x1="12" y1="17" x2="12.01" y2="17"/></svg>';
+
+const ICON_RESTORE = '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M3 12a9 9 0 109-9 9.75 9.75 0 00-6.74 2.74L3 8"/><path d="M3 3v5h5"/></svg>';
+
+/** Types whose key is written by hand: editing the key keeps the type (others switch to Custom). */
+const EDITABLE_KEY_CONTEXT_TYPES = new Set(['fieldOnly', 'fieldSemantic', 'site', 'urlPattern', 'urlParts', 'regex']);
+/** Pattern types: switching to one keeps a non-empty key to edit rather than auto-filling it. */
+const KEEP_KEY_CONTEXT_TYPES = new Set(['urlPattern', 'urlParts', 'regex']);
+
+const CONTEXT_TYPE_LABELS = {
+  fieldOnly: 'Input field',
+  fieldSemantic: 'Similar fields',
+  url: 'This URL',
+  domain: 'This domain',
+  site: 'This site',
+  all: 'All sites',
+  urlPattern: 'Custom',
+  urlParts: 'URL parts',
+  regex: 'Regex',
+};
+
+/** Short list text for an entry: its label, else the quoted value (truncated). */
+function entryPreviewText(entry) {
+  const hasLabel = entry.label != null && String(entry.label).trim() !== '';
+  const base = hasLabel
+    ? entry.label
+    : entry.locked
+      ? '(locked value)'
+      : (entry.value != null && String(entry.value) !== '' ? `"${entry.value}"` : '"(empty value)"');
+  return base.length > 36 ? base.slice(0, 33) + '…' : base;
+}
+
+// ============ PROFILES ============
+
+/** Name of a profile, or null if the id is unset or the profile no longer exists. */
+function profileName(profileId) {
+  return getProfiles(currentSettings).find((p) => p.id === profileId)?.name ?? null;
+}
+
+/** Add/edit form field for the profile an entry belongs to (entry.profileId); empty while there are no profiles. */
+function profileFieldHtml(profileId) {
+  const profiles = getProfiles(currentSettings);
+  if (!profiles.length) return '';
+  const options = profiles
+    .map((p) => `<option value="${escapeHtml(p.id)}" ${p.id === profileId ? 'selected' : ''}>${escapeHtml(p.name)}</option>`)
+    .join('');
+  return `
+    <label class="store-profile-row">Profile
+      <select class="entry-profile">
+        <option value="">None (always offered)</option>
+        ${options}
+      </select>
+    </label>`;
+}
+
+/** Read the profile field of a form (no change when the form has none). */
+function readProfileField(form) {
+  const select = form.querySelector('.entry-profile');
+  return select ? { profileId: select.value || undefined } : {};
+}
+
+/** Header switcher: the profile in use on the current page, and whether it is set for this site only. */
+function renderProfileSwitcher() {
+  const switcher = document.getElementById('profile-switcher');
+  const select = document.getElementById('profile-select');
+  const siteOnly = document.getElementById('profile-site-only');
+  const siteOnlyLabel = document.getElementById('profile-site-only-label');
+  if (!switcher || !select || !siteOnly) return;
+  const profiles = getProfiles(currentSettings);
+  switcher.classList.toggle('hidden', !profiles.length);
+  if (!profiles.length) return;
+  const url = currentState?.pageInfo?.url;
+  const site = url ? profileSiteKey(url) : null;
+  const { profileId, siteOverride } = activeProfile(currentSettings, url);
+  setHtml(select, [
+    '<option value="">All values</option>',
+    ...profiles.map((p) => `<option value="${escapeHtml(p.id)}">${escapeHtml(p.name)}</option>`),
+  ].join(''));
+  select.value = profileId ?? '';
+  siteOnly.checked = siteOverride;
+  siteOnly.disabled = !site;
+  if (siteOnlyLabel) siteOnlyLabel.textContent = site ? `Only on ${site}` : 'Only on this site';
+}
+
+/**
+ * Use a profile on the current page (null = all values); see profiles.profileSwitchSettings for siteOnly.
+ * The background refreshes the matches once the settings are stored.
+ */
+async function switchProfile(profileId, siteOnly) {
+  const partial = profileSwitchSettings(currentSettings, currentState?.pageInfo?.url, profileId, siteOnly);
+  const next = await saveSettingsFromPanel(partial);
+  if (next) {
+    currentSettings = next;
+    applySettingsToUi();
+  }
+}
+
+/** Ask for a profile name. Resolves the trimmed name, or null if cancelled. */
+async function promptProfileName({ title, name = '', excludeId = null }) {
+  let result = null;
+  const choice = await showModal({
+    titleId: 'profile-name-title',
+    title,
+    bodyHtml: `<input type="text" class="modal-input profile-name" aria-label="Profile name" placeholder="e.g. Staging users" value="${escapeHtml(name)}" />
+      <p class="modal-error hidden"></p>`,
+    buttons: [
+      { label: 'Cancel', value: 'cancel' },
+      { label: 'Save', value: 'save' },
+    ],
+    validate: (_choice, box) => {
+      result = box.querySelector('.profile-name').value.trim();
+      if (!result) {
+        showModalError(box, 'Enter a name.');
+        return false;
+      }
+      const taken = getProfiles(currentSettings).some((p) => p.id !== excludeId && p.name.toLowerCase() === result.toLowerCase());
+      if (taken) {
+        showModalError(box, 'A profile with this name already exists.');
+        return false;
+      }
+    },
+  });
+  return choice === 'save' ? result : null;
+}
+
+async function saveProfiles(profiles, extra = {}) {
+  const next = await saveSettingsFromPanel({ profiles, ...extra });
+  if (next) {
+    currentSettings = next;
+    applySettingsToUi();
+  }
+  return next;
+}
+
+async function addProfile() {
+  const name = await promptProfileName({ title: 'New profile' });
+  if (name) await saveProfiles([...getProfiles(currentSettings), { id: uuid(), name }]);
+}
+
+async function renameProfile(profile) {
+  const name = await promptProfileName({ title: 'Rename profile', name: profile.name, excludeId: profile.id });
+  if (name) await saveProfiles(getProfiles(currentSettings).map((p) => (p.id === profile.id ? { ...p, name } : p)));
+}
+
+/** Delete a profile; its values leave it (and are then always offered), and pages using it switch to all values. */
+async function deleteProfile(profile) {
+  const { entries } = await load();
+  const members = entries.filter((e) => e.profileId === profile.id);
+  const choice = await showModal({
+    titleId: 'profile-delete-title',
+    title: 'Delete profile?',
+    bodyHtml: `Delete <strong>${escapeHtml(profile.name)}</strong>?${members.length ? ` Its ${members.length} value(s) are kept and offered in every profile.` : ''}`,
+    buttons: [
+      { label: 'Cancel', value: 'cancel' },
+      { label: 'Delete', value: 'delete' },
+    ],
+  });
+  if (choice !== 'delete') return;
+  const siteProfiles = Object.fromEntries(
+    Object.entries(currentSettings?.siteProfiles || {}).filter(([, id]) => id !== profile.id)
+  );
+  const saved = await saveProfiles(getProfiles(currentSettings).filter((p) => p.id !== profile.id), {
+    siteProfiles,
+    ...(currentSettings?.activeProfileId === profile.id ? { activeProfileId: null } : {}),
+  });
+  if (saved && members.length) {
+    await runStorageWrite(() => updateEntries(Object.fromEntries(members.map((e) => [e.id, { profileId: undefined }]))));
+  }
+  requestState();
+}
+
+/** Settings → Profiles: one row per profile with Rename and Delete. */
+function renderProfilesSettings() {
+  const list = document.getElementById('profiles-list');
+  if (!list) return;
+  list.replaceChildren();
+  getProfiles(currentSettings).forEach((profile) => {
+    const li = document.createElement('li');
+    li.className = 'profiles-item';
+    setHtml(li, `
+      <span class="profiles-name">${escapeHtml(profile.name)}</span>
+      <button type="button" class="btn-settings-link profile-rename-btn">Rename</button>
+      <button type="button" class="btn-settings-link profile-delete-btn">Delete</button>
+    `);
+    li.querySelector('.profile-rename-btn').addEventListener('click', () => renameProfile(profile));
+    li.querySelector('.profile-delete-btn').addEventListener('click', () => deleteProfile(profile));
+    list.appendChild(li);
+  });
+}
+
+// ============ EXCLUSIONS ============
+
+/** Add/edit form field for patterns where an entry is never offered (entry.exclude). */
+function exclusionFieldsHtml(entry = {}) {
+  const patterns = Array.isArray(entry.exclude) ? entry.exclude.join('\n') : '';
+  return `
+    <label class="store-exclude-row">Except on (optional)
+      <textarea class="exclude-patterns" rows="2" placeholder="One per line">${escapeHtml(patterns)}</textarea>
+      <span class="context-pattern-hint">Sites (<code>*://*.mybank.com</code>), pages (<code>https://example.com/admin/*</code>), fields (<code>#password</code>) or <code>re:</code> URL regexes where this value is never offered.</span>
+    </label>`;
+}
+
+/**
+ * Read the exclusion patterns of a form; shows an error and resolves null if one is invalid.
+ * @returns {Promise<{ exclude: string[] | undefined } | null>}
+ */
+async function readExclusionFields(form) {
+  const patterns = (form.querySelector('.exclude-patterns')?.value ?? '')
+    .split('\n')
+    .map((line) => line.trim())
+    .filter(Boolean);
+  const error = patterns.map(exclusionError).find(Boolean);
+  if (error) {
+    await showModal({
+      titleId: 'exclude-invalid-title',
+      title: 'Invalid exclusion',
+      bodyHtml: escapeHtml(error),
+      buttons: [
+        { label: 'OK', value: 'ok' },
+      ],
+    });
+    return null;
+  }
+  return { exclude: patterns.length ? [...new Set(patterns)] : undefined };
+}
+
+// ============ EXPIRY ============
+
+// "Expiring soon" in the banner and badges: within this many days, or this many uses left
+const EXPIRY_SOON_DAYS = 7;
+const EXPIRY_SOON_USES = 3;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** Date input value (local yyyy-mm-dd) for an expiresAt; the entry is valid through that day. */
+function expiryDateInputValue(expiresAt) {
+  if (expiresAt == null) return '';
+  const d = new Date(expiresAt - 1);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+/** expiresAt for a date input value: the start of the following day (local time). */
+function expiresAtFromDateInput(value) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+  return m ? new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3]) + 1).getTime() : undefined;
+}
+
+/** Add/edit form fields for an optional expiry date and number of uses. */
+function expiryFieldsHtml(entry = {}) {
+  return `
+    <div class="store-expiry-row">
+      <label>Expires after (optional)
+        <input class="expiry-date" type="date" value="${escapeHtml(expiryDateInputValue(entry.expiresAt))}" />
+      </label>
+      <label>Uses left (optional)
+        <input class="expiry-uses" type="number" min="1" step="1" value="${entry.usesLeft ?? ''}" />
+      </label>
+    </div>`;
+}
+
+/**
+ * Read the expiry fields of a form; shows an error and resolves null if they are invalid.
+ * @returns {Promise<{ expiresAt: number | undefined, usesLeft: number | undefined } | null>}
+ */
+async function readExpiryFields(form) {
+  const dateValue = form.querySelector('.expiry-date')?.value ?? '';
+  const usesValue = (form.querySelector('.expiry-uses')?.value ?? '').trim();
+  const expiresAt = expiresAtFromDateInput(dateValue);
+  const usesLeft = usesValue === '' ? undefined : Number(usesValue);
+  let error = null;
+  if (expiresAt != null && expiresAt <= Date.now()) error = 'The expiry date is in the past.';
+  if (usesLeft !== undefined && !(Number.isInteger(usesLeft) && usesLeft >= 1)) error = 'Uses left must be a whole number of 1 or more.';
+  if (error) {
+    await showModal({
+      titleId: 'expiry-invalid-title',
+      title: 'Invalid expiry',
+      bodyHtml: escapeHtml(error),
+      buttons: [
+        { label: 'OK', value: 'ok' },
+      ],
+    });
+    return null;
+  }
+  return { expiresAt, usesLeft };
+}
+
+/** Short expiry description ("expires in 3 days", "2 uses left", "expired"), or '' if the entry does not expire. */
+function expiryText(entry) {
+  if (isExpired(entry)) return 'expired';
+  const parts = [];
+  if (entry.expiresAt != null) {
+    const days = Math.ceil((entry.expiresAt - Date.now()) / DAY_MS);
+    parts.push(days <= 1 ? 'expires today' : days === 2 ? 'expires tomorrow' : `expires in ${days - 1} days`);
+  }
+  if (entry.usesLeft != null) parts.push(`${entry.usesLeft} use${entry.usesLeft === 1 ? '' : 's'} left`);
+  return parts.join(', ');
+}
+
+function isExpiringSoon(entry) {
+  return (
+    isExpired(entry) ||
+    (entry.expiresAt != null && entry.expiresAt - Date.now() <= EXPIRY_SOON_DAYS * DAY_MS) ||
+    (entry.usesLeft != null && entry.usesLeft <= EXPIRY_SOON_USES)
+  );
+}
+
+/** List values that expire soon (by date or uses) above the main list, soonest first. */
+function renderExpiryBanner(entries) {
+  const banner = document.getElementById('expiry-banner');
+  if (!banner) return;
+  const soon = entries
+    .filter(isExpiringSoon)
+    .sort((a, b) => (a.expiresAt ?? Infinity) - (b.expiresAt ?? Infinity) || (a.usesLeft ?? Infinity) - (b.usesLeft ?? Infinity));
+  banner.classList.toggle('hidden', !soon.length);
+  if (!soon.length) return;
+  const items = soon
+    .map((e) => `<li><span class="expiry-banner-label">${escapeHtml(entryPreviewText(e))}</span> <span class="expiry-banner-when">${escapeHtml(expiryText(e))}</span></li>`)
+    .join('');
+  setHtml(banner, `<div class="expiry-banner-title">Expiring soon</div><ul class="expiry-banner-list">${items}</ul>`);
+}
+
+/**
+ * Field entries whose selector finds nothing on this page (the site changed its markup; reported by the content
+ * script), each with Re-pick field to point it at the field again.
+ */
+function renderBrokenFieldsBanner(state) {
+  const banner = document.getElementById('broken-fields-banner');
+  if (!banner) return;
+  const ids = new Set(state?.brokenFieldIds || []);
+  const broken = (state?.entries || []).filter((e) => ids.has(e.id));
+  banner.classList.toggle('hidden', !broken.length);
+  if (!broken.length) return;
+  const items = broken
+    .map((e) => {
+      const parts = splitContextKey(e.contextKey || '');
+      const selector = parts.length >= 3 ? parts.slice(2).join('|') : e.contextKey;
+      return `<li><span class="broken-fields-banner-label">${escapeHtml(entryPreviewText(e))}</span> <code class="broken-fields-banner-selector">${escapeHtml(selector)}</code>
+        <button type="button" class="btn-settings-link broken-field-repick" data-id="${escapeHtml(e.id)}">${repickEntryId === e.id ? 'Cancel' : 'Re-pick field'}</button></li>`;
+    })
+    .join('');
+  setHtml(banner, `<div class="broken-fields-banner-title">Fields not found on this page</div><ul class="broken-fields-banner-list">${items}</ul>`);
+  banner.querySelectorAll('.broken-field-repick').forEach((btn) => {
+    btn.addEventListener('click', () => toggleRepick(btn.dataset.id));
+  });
+}
+
+/** Start (or cancel) picking the field a broken entry should use, with the page's pick mode. */
+function toggleRepick(entryId) {
+  const starting = repickEntryId !== entryId;
+  repickEntryId = starting ? entryId : null;
+  chrome.runtime.sendMessage({ type: starting ? 'startPickElement' : 'cancelPickElement' }).catch(() => {});
+  setAimModeActive(starting);
+  renderBrokenFieldsBanner(currentState);
+}
+
+/**
+ * Point a field entry at a picked field: the key gets its selector (an Input field entry also its fingerprint).
+ * A * for generated id parts is offered; the exact selector is kept unless the user takes it.
+ * @param {string} entryId
+ * @param {{ selector: string, field?: object, frameId?: number, frameUrl?: string }} picked
+ */
+async function repickField(entryId, picked) {
+  const entry = currentState?.entries?.find((e) => e.id === entryId);
+  if (!entry || !picked.selector) return;
+  const parts = splitContextKey((entry.contextKey || '').trim());
+  const keyFor = (selector) => (parts.length >= 3 ? `${parts[0]}|${parts[1]}|${selector}` : selector);
+  let selector = picked.selector;
+  const wildcard = wildcardSelector(selector);
+  if (wildcard !== selector) {
+    const [count, wildcardCount] = await Promise.all(
+      [selector, wildcard].map((s) => countMatchingFields({ contextType: entry.contextType, contextKey: keyFor(s) }, currentState?.pageInfo, sourceFrame(picked)))
+    );
+    const matches = (n) => (n === null ? '' : ` matches ${fieldCountText(n)} on this page`);
+    const choice = await showModal({
+      titleId: 'repick-wildcard-title',
+      title: 'Use * for generated parts?',
+      bodyHtml: `The picked field's id looks generated anew on each load. <code>${escapeHtml(selector)}</code>${matches(count)}; <code>${escapeHtml(wildcard)}</code> would keep matching after a reload${matches(wildcardCount) ? ` and${matches(wildcardCount)}` : ''}.${
+        wildcardCount > 1 ? ' With * the value could be filled into the wrong field.' : ''}`,
+      buttons: [
+        { label: 'Cancel', value: 'cancel' },
+        { label: 'Keep exact', value: 'exact' },
+        { label: 'Use *', value: 'wildcard' },
+      ],
+    });
+    if (choice === 'cancel') return;
+    if (choice === 'wildcard') selector = wildcard;
+  }
+  const updates = { contextKey: keyFor(selector), frameUrl: picked.frameUrl };
+  if (entry.contextType === 'fieldOnly') updates.fingerprint = hasFingerprint(picked.field) ? picked.field : undefined;
+  if (await runStorageWrite(() => reviseEntry(entryId, updates))) requestState();
+}
+
 function getPageInfoForAdd() {
   return currentState?.pageInfo || null;
 }
@@ -340,6 +1211,8 @@ function renderAddForm(pendingStore, container) {
   // - From context menu without selector (or manual add) → url
   const hasSelector = !!(pendingStore?.selector || pageInfo?.selector);
   const defaultType = isPending && hasSelector ? 'fieldOnly' : 'url';
+  // Field the key was built from (its fingerprint is saved with the entry); a picked field replaces it
+  let fingerprintSource = pendingStore?.selector ? pendingStore : pageInfo?.selector ? pageInfo : null;
 
   container.replaceChildren();
   const form = document.createElement('div');
@@ -352,13 +1225,22 @@ function renderAddForm(pendingStore, container) {
     <label>Label (optional)
       <input id="store-label" type="text" placeholder="Short label for menus" value="${escapeHtml(label)}" />
     </label>
+    <label class="store-checkbox-row">
+      <input id="store-local" type="checkbox" />
+      <span>Keep on this device only (not synced)</span>
+    </label>
+    ${profileFieldHtml(activeProfile(currentSettings, pageInfo?.url).profileId)}
     <label>Context
       <select id="store-context-type">
         <option value="fieldOnly" ${defaultType === 'fieldOnly' ? 'selected' : ''}>Input field</option>
+        <option value="fieldSemantic">Similar fields (any site)</option>
         <option value="url" ${defaultType === 'url' ? 'selected' : ''}>This URL</option>
         <option value="domain">This domain</option>
+        <option value="site">This site (all subdomains)</option>
         <option value="all">All sites</option>
         <option value="urlPattern">Custom</option>
+        <option value="urlParts">URL parts</option>
+        <option value="regex">Regular expression</option>
       </select>
     </label>
     <label class="store-context-key-row">Context key / URL pattern
@@ -366,14 +1248,26 @@ function renderAddForm(pendingStore, container) {
         <input id="store-context-key" type="text" placeholder="Leave empty to auto-fill" />
         <button type="button" id="store-aim-btn" class="icon-btn-aim" title="Pick field on page" aria-label="Pick field">${ICON_AIM}</button>
       </span>
-      <span id="store-pattern-hint" class="context-pattern-hint hidden">URL: use * for any characters, e.g. <code>*://*.google.com/*</code>. Or use a selector (e.g. <code>#id</code>) to match that field on any site.</span>
+      <span id="store-pattern-hint" class="context-pattern-hint hidden">URL: use * for any characters, e.g. <code>*://*.google.com/*</code>. Or use a selector (e.g. <code>#id</code>) to match that field on any site. In <code>origin|path|selector</code>, a part starting with <code>re:</code> is a regular expression, e.g. <code>re:^/tickets/\\d+$</code>.</span>
+      <span id="store-semantic-hint" class="context-pattern-hint hidden">Fields on any site whose <code>name</code>, <code>autocomplete</code>, <code>type</code>, <code>label</code> or <code>placeholder</code> look like this, e.g. <code>label=invoice ref*</code>. Separate terms with <code>;</code>; all must match.</span>
+      <span id="store-site-hint" class="context-pattern-hint hidden">This domain and all its subdomains, on any scheme and port, e.g. <code>example.co.uk</code>. Write <code>https://example.co.uk</code> or add <code>:8443</code> to require a scheme or port.</span>
+      <span id="store-url-parts-hint" class="context-pattern-hint hidden">Protocol, host, path, <code>?query</code> and <code>#hash</code>, each with <code>*</code> or <code>:name</code> wildcards, e.g. <code>https://*.example.com/tickets/:id?*status=open*</code>.</span>
+      <span id="store-regex-hint" class="context-pattern-hint hidden">Matched anywhere in the full URL; use ^ and $ to anchor, e.g. <code>^https://(staging|prod)\\.example\\.com/tickets/\\d+</code>.</span>
+      <span id="store-context-key-error" class="context-key-error hidden" role="alert"></span>
+      <span id="store-selector-preview" class="context-pattern-hint selector-preview hidden" aria-live="polite"></span>
+    </label>
+    <label class="store-checkbox-row store-ignore-query-row hidden">
+      <input id="store-ignore-query" type="checkbox" />
+      <span>Ignore ?query and #hash</span>
     </label>
+    ${exclusionFieldsHtml()}
     <div class="settings-row store-shortcut-row">
       <span class="settings-shortcut-label">Shortcut (optional)</span>
       <button type="button" id="store-shortcut-btn" class="btn-settings-shortcut">Set…</button>
       <button type="button" id="store-shortcut-clear" class="btn-settings-link">Clear</button>
     </div>
     <p id="store-shortcut-hint" class="settings-hint hidden">Press the keys for this value, or Esc to cancel.</p>
+    ${expiryFieldsHtml()}
     <div class="store-actions">
       <button type="button" id="store-save">Save</button>
       <button type="button" id="store-cancel">Cancel</button>
@@ -391,6 +1285,13 @@ function renderAddForm(pendingStore, container) {
   const aimBtn = document.getElementById('store-aim-btn');
   const typeSelect = document.getElementById('store-context-type');
   const patternHint = document.getElementById('store-pattern-hint');
+  const regexHint = document.getElementById('store-regex-hint');
+  const semanticHint = document.getElementById('store-semantic-hint');
+  const urlPartsHint = document.getElementById('store-url-parts-hint');
+  const siteHint = document.getElementById('store-site-hint');
+  const ignoreQueryRow = form.querySelector('.store-ignore-query-row');
+  const keyError = document.getElementById('store-context-key-error');
+  const selectorPreview = document.getElementById('store-selector-preview');
 
   // Track whether context key was manually edited (not auto-filled)
   let keyManuallyEdited = false;
@@ -398,14 +1299,28 @@ function renderAddForm(pendingStore, container) {
 
   function updateKeyPlaceholderAndHint() {
     const isField = typeSelect?.value === 'fieldOnly';
+    const isSemantic = typeSelect?.value === 'fieldSemantic';
     const isPattern = typeSelect?.value === 'urlPattern';
-    if (aimBtn) aimBtn.style.display = isField ? 'inline-flex' : 'none';
+    const isUrlParts = typeSelect?.value === 'urlParts';
+    const isSite = typeSelect?.value === 'site';
+    const isRegex = typeSelect?.value === 'regex';
+    if (aimBtn) aimBtn.style.display = isField || isSemantic ? 'inline-flex' : 'none';
     if (keyInput) {
       if (isField) keyInput.placeholder = 'origin|path|selector (auto-filled)';
+      else if (isSemantic) keyInput.placeholder = 'e.g. label=invoice reference';
       else if (isPattern) keyInput.placeholder = 'e.g. *://*.google.com/*';
+      else if (isUrlParts) keyInput.placeholder = 'e.g. https://*.example.com/tickets/:id';
+      else if (isSite) keyInput.placeholder = 'e.g. example.com';
+      else if (isRegex) keyInput.placeholder = 'e.g. ^https://example\\.com/tickets/\\d+';
       else keyInput.placeholder = 'Leave empty to auto-fill';
     }
     if (patternHint) patternHint.classList.toggle('hidden', !isPattern);
+    if (regexHint) regexHint.classList.toggle('hidden', !isRegex);
+    if (semanticHint) semanticHint.classList.toggle('hidden', !isSemantic);
+    if (urlPartsHint) urlPartsHint.classList.toggle('hidden', !isUrlParts);
+    if (siteHint) siteHint.classList.toggle('hidden', !isSite);
+    if (ignoreQueryRow) ignoreQueryRow.classList.toggle('hidden', typeSelect?.value !== 'url');
+    showContextKeyError(keyError, typeSelect?.value, keyInput?.value);
   }
 
   function autoFillContextKey() {
@@ -415,31 +1330,84 @@ function renderAddForm(pendingStore, container) {
     updatingKeyProgrammatically = false;
   }
 
+  let selectorPreviewTimer = null;
+
+  /**
+   * Input field keys: how many fields on the page the key matches and, when the field's id has generated parts, a
+   * proposal to replace them by * (with how many fields that would match), or a switch back to the exact selector.
+   */
+  function updateSelectorPreview() {
+    clearTimeout(selectorPreviewTimer);
+    const key = keyInput?.value.trim();
+    if (!selectorPreview || typeSelect?.value !== 'fieldOnly' || !key || !pageInfo) {
+      selectorPreview?.classList.add('hidden');
+      return;
+    }
+    selectorPreviewTimer = setTimeout(async () => {
+      const source = fingerprintSource?.selector;
+      const wildcard = source ? wildcardSelector(source) : null;
+      const exactKey = source ? `${pageInfo.origin}|${pageInfo.pathname}|${source}` : null;
+      const wildcardKey = source ? `${pageInfo.origin}|${pageInfo.pathname}|${wildcard}` : null;
+      const switchTo = exactKey === wildcardKey ? null : key === exactKey ? wildcardKey : key === wildcardKey ? exactKey : null;
+      const [count, wildcardCount] = await Promise.all([
+        countMatchingFields({ contextType: 'fieldOnly', contextKey: key }, pageInfo, sourceFrame(fingerprintSource)),
+        switchTo === wildcardKey ? countMatchingFields({ contextType: 'fieldOnly', contextKey: wildcardKey }, pageInfo, sourceFrame(fingerprintSource)) : null,
+      ]);
+      if (keyInput.value.trim() !== key || typeSelect.value !== 'fieldOnly') return;
+      const text = [
+        count === null ? '' : `Matches ${fieldCountText(count)} on this page.`,
+        switchTo === wildcardKey
+          ? `The id looks generated anew on each load; with * for those parts (${wildcard}) it would match ${wildcardCount === null ? 'after a reload too' : `${fieldCountText(wildcardCount)} here`}.`
+          : '',
+        switchTo === exactKey ? 'Generated parts of the id are replaced by *.' : '',
+      ].filter(Boolean).join(' ');
+      if (!text && !switchTo) {
+        selectorPreview.classList.add('hidden');
+        return;
+      }
+      setHtml(selectorPreview, `${escapeHtml(text)}${switchTo ? ` <button type="button" class="btn-settings-link">${switchTo === exactKey ? 'Use exact selector' : 'Use * for generated parts'}</button>` : ''}`);
+      selectorPreview.querySelector('button')?.addEventListener('click', async () => {
+        if (switchTo === wildcardKey && !(await confirmWildcardSelector(wildcard, wildcardCount))) return;
+        updatingKeyProgrammatically = true;
+        keyInput.value = switchTo;
+        updatingKeyProgrammatically = false;
+        showContextKeyError(keyError, typeSelect.value, keyInput.value);
+        updateSelectorPreview();
+      });
+      selectorPreview.classList.remove('hidden');
+    }, SELECTOR_PREVIEW_DELAY_MS);
+  }
+
   // Initial setup
   updateKeyPlaceholderAndHint();
   autoFillContextKey();
+  updateSelectorPreview();
 
   // When type changes, update placeholder/hint and auto-fill context key
-  // When switching to Custom, keep existing key if non-empty (often a small edit of another type)
+  // When switching to a pattern type, keep existing key if non-empty (often a small edit of another type)
   typeSelect?.addEventListener('change', () => {
     updateKeyPlaceholderAndHint();
     const newType = typeSelect?.value;
     const keyEmpty = !keyInput?.value?.trim();
-    if (newType !== 'urlPattern' || keyEmpty) {
+    if (!KEEP_KEY_CONTEXT_TYPES.has(newType) || keyEmpty) {
       autoFillContextKey();
       keyManuallyEdited = false;
     }
+    showContextKeyError(keyError, newType, keyInput?.value);
+    updateSelectorPreview();
   });
 
-  // When context key is manually edited, switch to Custom only if not already Input field
+  // When context key is manually edited, switch to Custom unless the type takes a hand-written key
   // (so Input field entries can have their selector/key edited without changing type)
   keyInput?.addEventListener('input', () => {
     if (updatingKeyProgrammatically) return;
     keyManuallyEdited = true;
-    if (typeSelect && typeSelect.value !== 'urlPattern' && typeSelect.value !== 'fieldOnly') {
+    if (typeSelect && !EDITABLE_KEY_CONTEXT_TYPES.has(typeSelect.value)) {
       typeSelect.value = 'urlPattern';
       updateKeyPlaceholderAndHint();
     }
+    showContextKeyError(keyError, typeSelect?.value, keyInput.value);
+    updateSelectorPreview();
   });
 
   if (aimBtn) {
@@ -452,6 +1420,8 @@ function renderAddForm(pendingStore, container) {
   container._updateKeyPlaceholderAndHint = updateKeyPlaceholderAndHint;
   container._setKeyManuallyEdited = (v) => { keyManuallyEdited = v; };
   container._setUpdatingKeyProgrammatically = (v) => { updatingKeyProgrammatically = v; };
+  container._setFingerprintSource = (v) => { fingerprintSource = v; };
+  container._updateSelectorPreview = updateSelectorPreview;
 
   let addFormShortcut = '';
   const storeShortcutBtn = document.getElementById('store-shortcut-btn');
@@ -513,11 +1483,21 @@ function renderAddForm(pendingStore, container) {
     const keyInputEl = document.getElementById('store-context-key');
     const valueVal = valueInput?.value ?? '';
     const labelVal = labelInput?.value.trim() || undefined;
+    const keepLocal = !!document.getElementById('store-local')?.checked;
     const contextType = typeSelectEl?.value ?? 'domain';
     let contextKey = keyInputEl?.value.trim();
     if (!contextKey && pageInfo) contextKey = buildContextKey(contextType, pageInfo);
+    if (!showContextKeyError(keyError, contextType, contextKey)) {
+      keyInputEl?.focus();
+      return;
+    }
+    const exclusions = await readExclusionFields(form);
+    if (!exclusions) return;
+    const expiry = await readExpiryFields(form);
+    if (!expiry) return;
+    const profile = readProfileField(form);
     if (addFormShortcut) {
-      const inUse = await getShortcutsInUse(null);
+      const inUse = await getShortcutsInUse(null, profile.profileId);
       if (inUse.has(normalizeShortcutForComparison(addFormShortcut))) {
         await showModal({
           titleId: 'shortcut-collision-title',
@@ -530,17 +1510,28 @@ function renderAddForm(pendingStore, container) {
         return;
       }
     }
+    const vaultKey = await getVaultKeyForWrite();
+    if (vaultKey === undefined) return;
+    const sealed = await sealValue(vaultKey, valueVal);
     const now = Date.now();
-    await saveEntry({
+    const saved = await runStorageWrite(() => addEntry({
       id: uuid(),
-      value: valueVal,
+      ...sealed,
       label: labelVal,
       contextType,
       contextKey: contextKey || '*',
+      fingerprint: fingerprintForKey(contextType, contextKey, fingerprintSource),
+      frameUrl: frameUrlForKey(contextType, contextKey, fingerprintSource),
+      ignoreQuery: contextType === 'url' && document.getElementById('store-ignore-query')?.checked ? true : undefined,
+      ...exclusions,
+      ...profile,
       shortcut: addFormShortcut || undefined,
+      storageArea: keepLocal ? 'local' : undefined,
+      ...expiry,
       createdAt: now,
       order: now,
-    });
+    }));
+    if (!saved) return;
     chrome.runtime.sendMessage({ type: 'cancelPickElement' }).catch(() => {});
     setAimModeActive(false);
     await clearPendingStore();
@@ -572,6 +1563,12 @@ async function render(state) {
 
 async function doRender(state) {
   currentState = state;
+  applyVaultStateToUi(state?.vault);
+  renderProfileSwitcher();
+  const conflicts = state?.conflicts || [];
+  renderConflictsBanner(conflicts);
+  renderExpiryBanner(state?.entries || []);
+  renderBrokenFieldsBanner(state);
   const list = document.getElementById('matching-list');
   const empty = document.getElementById('empty-state');
   const subtitle = document.getElementById('subtitle');
@@ -587,13 +1584,14 @@ async function doRender(state) {
 
   const pendingStore = await getPendingStore();
   if (pendingStore && state?.pageInfo) {
-    setSettingsView(false); // If settings were open, show main view so the add form is visible
+    setView('main'); // If settings were open, show main view so the add form is visible
     addSectionVisible = true;
     addSection.classList.remove('hidden');
     renderAddForm(pendingStore, addSection);
   }
 
   const entriesToShow = showAllValues ? (state?.entries || []) : (state?.matches || []);
+  const matchingIds = new Set((state?.matches || []).map((e) => e.id));
   list.replaceChildren();
 
   if (!entriesToShow.length) {
@@ -611,8 +1609,10 @@ async function doRender(state) {
   const groups = groupBySpecificity(entriesToShow);
   const sections = [
     { key: 'fieldOnly', title: 'Input field' },
+    { key: 'fieldSemantic', title: 'Similar fields' },
     { key: 'url', title: 'This URL' },
     { key: 'domain', title: 'This domain' },
+    { key: 'site', title: 'This site' },
     { key: 'all', title: 'All sites' },
     { key: 'pattern', title: 'Other patterns' },
   ];
@@ -629,21 +1629,37 @@ async function doRender(state) {
       li.className = 'entry-item';
       li.dataset.entryId = entry.id;
       li.dataset.sectionKey = key;
-      const hasLabel = entry.label != null && String(entry.label).trim() !== '';
-      const base = hasLabel
-        ? entry.label
-        : (entry.value != null && String(entry.value) !== '' ? `"${entry.value}"` : '"(empty value)"');
-      const preview = base.length > 36 ? base.slice(0, 33) + '…' : base;
+      const preview = entryPreviewText(entry);
       const shortcutDisplay = entry.shortcut && String(entry.shortcut).trim()
         ? ` <span class="entry-shortcut">(${escapeHtml(normalizeShortcutDisplay(entry.shortcut, entry.shortcut))})</span>`
         : '';
+      const localBadge = entry.storageArea === 'local'
+        ? '<span class="entry-badge entry-local-badge" title="Kept on this device only (not synced)">local</span>'
+        : '';
+      const entryProfileName = profileName(entry.profileId);
+      const profileBadge = entryProfileName
+        ? `<span class="entry-badge entry-profile-badge" title="Profile: ${escapeHtml(entryProfileName)}">${escapeHtml(entryProfileName)}</span>`
+        : '';
+      const lockedBadge = entry.locked
+        ? '<span class="entry-badge entry-locked-badge" title="Encrypted; unlock the vault to use or edit">locked</span>'
+        : '';
+      const expiry = expiryText(entry);
+      const expiryBadge = expiry
+        ? `<span class="entry-badge entry-expiry-badge${isExpiringSoon(entry) ? ' soon' : ''}" title="${escapeHtml(expiry)}">${isExpired(entry) ? 'expired' : 'expires'}</span>`
+        : '';
+      const conflict = conflicts.find((c) => c.entryId === entry.id);
+      const conflictBadge = conflict
+        ? '<button type="button" class="entry-badge entry-conflict-badge" title="Changed on two devices at once; click to choose a version">conflict</button>'
+        : '';
+      const dragHandle = isFrecencyOrder() ? '' : `<span class="drag-handle" title="Drag to reorder">${ICON_DRAG}</span>`;
       setHtml(li, `
         <div class="entry-row" data-entry-id="${escapeHtml(entry.id)}">
-          <span class="drag-handle" title="Drag to reorder">${ICON_DRAG}</span>
+          ${dragHandle}
           <span class="entry-label-wrap">
-            <span class="value-preview" title="${escapeHtml(entry.value)}">${escapeHtml(preview)}</span>${shortcutDisplay}
+            <span class="value-preview" title="${escapeHtml(entry.value)}">${escapeHtml(preview)}</span>${shortcutDisplay}${localBadge}${profileBadge}${lockedBadge}${expiryBadge}${conflictBadge}
           </span>
           <div class="entry-actions">
+            <button type="button" class="icon-btn-item explain-icon-btn" title="${matchingIds.has(entry.id) ? 'Why does this match?' : 'Why not shown?'}">${ICON_EXPLAIN}</button>
             <button type="button" class="icon-btn-item apply-icon-btn" title="Apply">${ICON_APPLY}</button>
             <button type="button" class="icon-btn-item edit-icon-btn" title="Edit">${ICON_EDIT}</button>
             <button type="button" class="icon-btn-item delete-icon-btn" title="Delete">${ICON_DELETE}</button>
@@ -651,16 +1667,33 @@ async function doRender(state) {
         </div>
       `);
       const row = li.querySelector('.entry-row');
+      li.querySelector('.entry-conflict-badge')?.addEventListener('click', (e) => {
+        e.stopPropagation();
+        resolveConflict(conflict);
+      });
       row.addEventListener('click', (e) => {
+        if (e.target.closest('.entry-conflict-badge')) return;
         if (e.target.closest('.edit-icon-btn') || e.target.closest('.delete-icon-btn') || e.target.closest('.drag-handle')) return;
-        applyValue(entry.value, entry);
+        if (e.target.closest('.explain-icon-btn')) return;
+        applyEntry(entry);
+      });
+      li.querySelector('.explain-icon-btn').addEventListener('click', (e) => {
+        e.stopPropagation();
+        toggleMatchExplainer(li, entry);
       });
+      if (openExplainerIds.has(entry.id)) renderMatchExplainer(li, entry);
       li.querySelector('.apply-icon-btn').addEventListener('click', (e) => {
         e.stopPropagation();
-        applyValue(entry.value, entry);
+        applyEntry(entry);
       });
-      li.querySelector('.edit-icon-btn').addEventListener('click', (e) => {
+      li.querySelector('.edit-icon-btn').addEventListener('click', async (e) => {
         e.stopPropagation();
+        if (entry.locked) {
+          // Unlocking refreshes the list; the form opens on the unlocked copy of this entry
+          pendingEditEntryId = entry.id;
+          if (!(await openLockedEntry(entry))) pendingEditEntryId = null;
+          return;
+        }
         openEditForm(li, entry);
       });
       li.querySelector('.delete-icon-btn').addEventListener('click', (e) => {
@@ -670,22 +1703,24 @@ async function doRender(state) {
         showModal({
           titleId: 'delete-confirm-title',
           title: 'Delete value?',
-          bodyHtml: `Are you sure you want to remove "${escapeHtml(short)}"?`,
+          bodyHtml: `Are you sure you want to remove "${escapeHtml(short)}"? You can restore it from <strong>Recently deleted</strong> in Settings for ${trashRetentionDays()} day(s).`,
           buttons: [
             { label: 'Delete', value: 'delete' },
             { label: 'Cancel', value: 'cancel' },
           ],
         }).then((choice) => {
-          if (choice === 'delete') deleteEntry(entry.id).then(() => requestState());
+          if (choice === 'delete') runStorageWrite(() => deleteEntry(entry.id)).then(() => requestState());
         });
       });
-      li.querySelector('.drag-handle').addEventListener('click', (e) => e.stopPropagation());
-      setupDragAndDrop(li, entry, key, list);
+      if (!isFrecencyOrder()) {
+        li.querySelector('.drag-handle').addEventListener('click', (e) => e.stopPropagation());
+        setupDragAndDrop(li, entry, key, list);
+      }
       li.addEventListener('mouseenter', () => {
-        if (entry.contextType === 'fieldOnly' && entry.contextKey) {
-          const parts = entry.contextKey.split('|');
+        const parts = entry.contextType === 'fieldOnly' && entry.contextKey ? splitContextKey(entry.contextKey) : null;
+        if (parts && !(parts[2] ?? parts[0]).startsWith(REGEX_PREFIX)) {
           const selector = parts.length >= 3 ? parts.slice(2).join('|') : entry.contextKey;
-          chrome.runtime.sendMessage({ type: 'highlightElement', selector }).catch(() => {});
+          chrome.runtime.sendMessage({ type: 'highlightElement', selector, frameUrl: entry.frameUrl }).catch(() => {});
         } else {
           chrome.runtime.sendMessage({ type: 'highlightElement', useFocused: true }).catch(() => {});
         }
@@ -694,6 +1729,10 @@ async function doRender(state) {
         chrome.runtime.sendMessage({ type: 'clearHighlight' }).catch(() => {});
       });
       list.appendChild(li);
+      if (pendingEditEntryId === entry.id && !entry.locked) {
+        pendingEditEntryId = null;
+        openEditForm(li, entry);
+      }
     });
   });
 }
@@ -742,12 +1781,11 @@ function setupDragAndDrop(li, entry, sectionKey, list) {
           const dragSection = currentDragSectionKey;
           if (dragSection) {
             const sectionItems = [...list.querySelectorAll(`li.entry-item[data-section-key="${dragSection}"]`)].filter((el) => !el.classList.contains('entry-placeholder'));
-            const store = await getStore();
-            for (let idx = 0; idx < sectionItems.length; idx++) {
-              const id = sectionItems[idx].dataset.entryId;
-              const ent = store.entries.find((e) => e.id === id);
-              if (ent) await updateEntry(id, { order: idx });
-            }
+            const updates = {};
+            sectionItems.forEach((el, idx) => {
+              updates[el.dataset.entryId] = { order: idx };
+            });
+            await runStorageWrite(() => updateEntries(updates));
             requestState();
           }
         } catch (err) {
@@ -762,6 +1800,251 @@ function setupDragAndDrop(li, entry, sectionKey, list) {
   });
 }
 
+// ============ MATCH EXPLAINER ============
+
+const FIELD_SEMANTIC_NAMES = { name: 'name', autocomplete: 'autocomplete', type: 'type', ariaLabel: 'aria-label', label: 'label', placeholder: 'placeholder', id: 'id', path: 'position' };
+
+function explainStepHtml(step) {
+  return `
+    <li class="explain-step ${step.ok ? 'ok' : 'failed'}">
+      <span class="explain-mark">${step.ok ? '✓' : '✗'}</span>
+      <span>${escapeHtml(step.label)}: <code>${escapeHtml(step.pattern || '(empty)')}</code> vs <code>${escapeHtml(step.actual || '(empty)')}</code></span>
+    </li>`;
+}
+
+/** Why an entry does or does not match the current page/field (see matching.explainMatch). */
+function matchExplainerHtml(entry, pageInfo) {
+  if (!pageInfo) return '<p class="explain-summary">No web page to match against. Open a page in this tab.</p>';
+  const { matched, branches, exclusions } = explainMatch(entry, pageInfo);
+  const expired = isExpired(entry);
+  const { profileId } = activeProfile(currentSettings, pageInfo.url);
+  const inProfile = isEntryInProfile(entry, profileId, currentSettings);
+  const matchedBranch = branches.find((b) => b.matched);
+  const excludedBy = exclusions.find((x) => x.excluded);
+  let summary;
+  if (matched && !expired && inProfile) summary = `Shown: matches as ${CONTEXT_TYPE_LABELS[entry.contextType] ?? entry.contextType} (${matchedBranch.name}).`;
+  else if (matched && expired) summary = 'Not shown: the context matches, but the value has expired.';
+  else if (matched) summary = `Not shown: the context matches, but the value is in profile ${profileName(entry.profileId)} and ${profileName(profileId)} is in use here.`;
+  else if (excludedBy) summary = `Not shown: excluded by ${excludedBy.pattern}.`;
+  else summary = `Not shown: ${branches.length > 1 ? 'no part of the key matches' : 'the key does not match'} this page${pageInfo.selector ? ' and field' : ''}.`;
+  const field = Object.entries(pageInfo.field || {})
+    .map(([name, value]) => `${FIELD_SEMANTIC_NAMES[name] ?? name}=${value}`)
+    .join(', ');
+  const pageRows = [
+    ['URL', pageInfo.url],
+    ['Origin', pageInfo.origin],
+    ['Path', pageInfo.pathname],
+    ...(pageInfo.frameUrl ? [['Frame', pageInfo.frameUrl]] : []),
+    ['Field', pageInfo.selector || '(no field focused)'],
+    ...(field ? [['Field looks like', field]] : []),
+  ].map(([name, value]) => `<dt>${escapeHtml(name)}</dt><dd>${escapeHtml(value ?? '')}</dd>`).join('');
+  const branchesHtml = branches.map((b) => `
+    <div class="explain-branch ${b.matched ? 'ok' : 'failed'}">
+      <div class="explain-branch-name">${b.matched ? '✓' : '✗'} ${escapeHtml(b.name)}</div>
+      ${b.steps.length ? `<ul class="explain-steps">${b.steps.map(explainStepHtml).join('')}</ul>` : ''}
+    </div>`).join('');
+  const exclusionsHtml = exclusions.length
+    ? `<div class="explain-branch">
+        <div class="explain-branch-name">Except on</div>
+        <ul class="explain-steps">${exclusions.map((x) => `
+          <li class="explain-step ${x.excluded ? 'failed' : 'ok'}">
+            <span class="explain-mark">${x.excluded ? '✗' : '✓'}</span>
+            <span><code>${escapeHtml(x.pattern)}</code> ${x.excluded ? 'applies here' : 'does not apply'}</span>
+          </li>`).join('')}
+        </ul>
+      </div>`
+    : '';
+  return `
+    <p class="explain-summary">${escapeHtml(summary)}</p>
+    <dl class="explain-page">${pageRows}</dl>
+    ${branchesHtml}
+    ${exclusionsHtml}`;
+}
+
+function renderMatchExplainer(li, entry) {
+  let panel = li.querySelector('.entry-explain');
+  if (!panel) {
+    panel = document.createElement('div');
+    panel.className = 'entry-explain';
+    li.appendChild(panel);
+  }
+  setHtml(panel, matchExplainerHtml(entry, currentState?.pageInfo || null));
+}
+
+/** Show or hide, under an entry, why it does or does not match the current page/field. */
+function toggleMatchExplainer(li, entry) {
+  const open = li.querySelector('.entry-explain');
+  if (open) {
+    open.remove();
+    openExplainerIds.delete(entry.id);
+    return;
+  }
+  openExplainerIds.add(entry.id);
+  renderMatchExplainer(li, entry);
+}
+
+// ============ CONFLICTS ============
+
+const CONFLICT_GROUP_LABELS = { value: 'Value', label: 'Label', context: 'Context', profile: 'Profile', shortcut: 'Shortcut', trash: 'Deleted', expiry: 'Expiry' };
+
+/** Readable text for one side of a conflicting field group (values decrypted with key when possible). */
+async function conflictSideText(group, fields, key) {
+  switch (group) {
+    case 'value': {
+      const opened = await openEntry(key, { ...fields });
+      return opened.locked ? '(locked value)' : opened.value || '(empty)';
+    }
+    case 'context': {
+      const except = fields.exclude?.length ? ` (except ${fields.exclude.join(', ')})` : '';
+      return `${CONTEXT_TYPE_LABELS[fields.contextType] ?? fields.contextType ?? ''}: ${fields.contextKey ?? ''}${except}`;
+    }
+    case 'profile':
+      return fields.profileId ? profileName(fields.profileId) ?? '(deleted profile)' : '(none)';
+    case 'shortcut':
+      return fields.shortcut ? normalizeShortcutDisplay(fields.shortcut, fields.shortcut) : '(none)';
+    case 'trash':
+      return fields.deletedAt != null ? `Deleted ${new Date(fields.deletedAt).toLocaleString()}` : 'Not deleted';
+    case 'expiry':
+      return expiryText(fields) || '(never)';
+    default:
+      return fields.label || '(none)';
+  }
+}
+
+/**
+ * Let the user pick, per conflicting field, this device's or the other device's version (stored now).
+ * @param {import('../lib/storage.js').Conflict} conflict
+ */
+async function resolveConflict(conflict) {
+  const needsKey = Object.values(conflict.fields).some((f) => f.local.enc || f.remote.enc);
+  const key = needsKey ? await getVaultKeyForWrite() : null;
+  if (key === undefined) return;
+  const deviceName = conflict.device?.name || 'another device';
+  const groups = Object.keys(conflict.fields);
+  const rows = await Promise.all(groups.map(async (group) => {
+    const { local, remote } = conflict.fields[group];
+    const [localText, remoteText] = await Promise.all([conflictSideText(group, local, key), conflictSideText(group, remote, key)]);
+    return `<fieldset class="conflict-field">
+        <legend>${escapeHtml(CONFLICT_GROUP_LABELS[group] ?? group)}</legend>
+        <label><input type="radio" name="conflict-${escapeHtml(group)}" value="remote" checked />
+          <span class="conflict-side">${escapeHtml(deviceName)}:</span> <span class="conflict-text">${escapeHtml(remoteText)}</span></label>
+        <label><input type="radio" name="conflict-${escapeHtml(group)}" value="local" />
+          <span class="conflict-side">This device:</span> <span class="conflict-text">${escapeHtml(localText)}</span></label>
+      </fieldset>`;
+  }));
+  const picks = {};
+  const choice = await showModal({
+    titleId: 'conflict-title',
+    title: 'Changed on two devices at once',
+    bodyHtml: `Both versions were changed independently. Choose which to keep.${rows.join('')}`,
+    buttons: [
+      { label: 'Later', value: 'cancel' },
+      { label: 'Keep selected', value: 'resolve' },
+    ],
+    validate: (_choice, box) => {
+      groups.forEach((group) => {
+        picks[group] = box.querySelector(`input[name="conflict-${CSS.escape(group)}"]:checked`)?.value ?? 'remote';
+      });
+    },
+  });
+  if (choice !== 'resolve') return;
+  // The stored entry already holds the other device's version; only groups kept from this device are written
+  const updates = {};
+  // Fields unset on this device are missing from the stored conflict, so each group's fields are all written
+  groups
+    .filter((g) => picks[g] === 'local')
+    .forEach((g) => (FIELD_GROUPS[g] ?? Object.keys(conflict.fields[g].local)).forEach((f) => { updates[f] = conflict.fields[g].local[f]; }));
+  const { updates: kept, droppedShortcut } = await dropShortcutInUse(updates, conflict.entryId);
+  if (Object.keys(kept).length) {
+    if (!(await runStorageWrite(() => reviseEntry(conflict.entryId, kept)))) return;
+  }
+  await removeConflict(conflict.entryId);
+  requestState();
+  if (droppedShortcut) await showShortcutDropped('Version kept without its shortcut', droppedShortcut);
+}
+
+function renderConflictsBanner(conflicts) {
+  const banner = document.getElementById('conflicts-banner');
+  if (!banner) return;
+  banner.classList.toggle('hidden', !conflicts.length);
+  if (!conflicts.length) return;
+  setHtml(banner, `<span>${conflicts.length} value(s) were changed on two devices at once.</span>
+    <button type="button" class="btn-settings-link conflicts-review-btn">Review</button>`);
+  banner.querySelector('.conflicts-review-btn').addEventListener('click', () => resolveConflict(conflicts[0]));
+}
+
+function diffHtml(before, after) {
+  return diffWords(before, after)
+    .map((part) => {
+      const text = escapeHtml(part.text);
+      if (part.type === 'add') return `<ins>${text}</ins>`;
+      if (part.type === 'del') return `<del>${text}</del>`;
+      return text;
+    })
+    .join('');
+}
+
+/**
+ * Fill the edit form's History section: one row per revision (newest first) with what changed, a value diff
+ * and Restore, which rolls the entry back to how it was before that revision (itself recorded as a new revision).
+ * @param {HTMLElement} formWrap
+ * @param {Entry} entry Entry as shown (value decrypted)
+ * @param {() => void} onRestored
+ */
+async function renderEntryHistory(formWrap, entry, onRestored) {
+  const details = formWrap.querySelector('.entry-history');
+  const list = formWrap.querySelector('.history-list');
+  const stored = await getEntryById(entry.id);
+  const history = stored?.history || [];
+  if (!details || !list || !history.length) return;
+  const { vault } = await load();
+  const key = await getSessionKey(vault).catch(() => null);
+  // Values before each revision, plus the current one: values[i] → values[i + 1] is revision i
+  const states = history.map((_rev, i) => fieldsBeforeRevision(stored, i));
+  const values = await Promise.all(
+    [...states, stored].map(async (state) => {
+      const opened = await openEntry(key, { ...state });
+      return opened.locked ? null : (opened.value ?? '');
+    })
+  );
+  details.querySelector('summary').textContent = `History (${history.length})`;
+  details.classList.remove('hidden');
+  list.replaceChildren();
+  for (let i = history.length - 1; i >= 0; i--) {
+    const rev = history[i];
+    const changed = changedFields(rev);
+    const valueChanged = changed.includes('value') && values[i] !== null && values[i + 1] !== null;
+    const item = document.createElement('li');
+    item.className = 'history-item';
+    setHtml(item, `
+      <div class="history-meta">
+        <span>${escapeHtml(new Date(rev.at).toLocaleString())}</span>
+        <span class="history-device">${escapeHtml(rev.device?.name || 'Unknown device')}</span>
+      </div>
+      <div class="history-changes">Changed: ${escapeHtml(changed.join(', ') || 'nothing')}</div>
+      ${valueChanged ? `<pre class="history-diff">${diffHtml(values[i], values[i + 1])}</pre>` : ''}
+      <button type="button" class="btn-settings-link history-restore-btn">Restore version before this change</button>
+    `);
+    item.querySelector('.history-restore-btn').addEventListener('click', async () => {
+      const choice = await showModal({
+        titleId: 'history-restore-title',
+        title: 'Restore earlier version?',
+        bodyHtml: 'The value, label, context and shortcut go back to how they were before this change. The current version stays in history.',
+        buttons: [
+          { label: 'Cancel', value: 'cancel' },
+          { label: 'Restore', value: 'restore' },
+        ],
+      });
+      if (choice !== 'restore') return;
+      const { updates, droppedShortcut } = await dropShortcutInUse({ ...states[i] }, entry.id);
+      if (!(await runStorageWrite(() => reviseEntry(entry.id, updates)))) return;
+      onRestored();
+      if (droppedShortcut) await showShortcutDropped('Version restored without its shortcut', droppedShortcut);
+    });
+    list.appendChild(item);
+  }
+}
+
 function openEditForm(li, entry) {
   closeAddSection();
   document.querySelectorAll('.entry-edit-form').forEach((el) => {
@@ -782,13 +2065,22 @@ function openEditForm(li, entry) {
     <label>Label (optional)
       <input class="edit-label" type="text" placeholder="Short label" value="${escapeHtml(entry.label ?? '')}" />
     </label>
+    <label class="store-checkbox-row">
+      <input class="edit-local" type="checkbox" ${entry.storageArea === 'local' ? 'checked' : ''} />
+      <span>Keep on this device only (not synced)</span>
+    </label>
+    ${profileFieldHtml(entry.profileId)}
     <label>Context
       <select class="edit-context-type">
         <option value="fieldOnly" ${entry.contextType === 'fieldOnly' ? 'selected' : ''}>Input field</option>
+        <option value="fieldSemantic" ${entry.contextType === 'fieldSemantic' ? 'selected' : ''}>Similar fields (any site)</option>
         <option value="url" ${entry.contextType === 'url' ? 'selected' : ''}>This URL</option>
         <option value="domain" ${entry.contextType === 'domain' ? 'selected' : ''}>This domain</option>
+        <option value="site" ${entry.contextType === 'site' ? 'selected' : ''}>This site (all subdomains)</option>
         <option value="all" ${entry.contextType === 'all' ? 'selected' : ''}>All sites</option>
         <option value="urlPattern" ${entry.contextType === 'urlPattern' ? 'selected' : ''}>Custom</option>
+        <option value="urlParts" ${entry.contextType === 'urlParts' ? 'selected' : ''}>URL parts</option>
+        <option value="regex" ${entry.contextType === 'regex' ? 'selected' : ''}>Regular expression</option>
       </select>
     </label>
     <label class="store-context-key-row">Context key / URL pattern
@@ -796,20 +2088,40 @@ function openEditForm(li, entry) {
         <input class="edit-context-key" type="text" placeholder="e.g. *://*.google.com/*" value="${escapeHtml(entry.contextKey ?? '')}" />
         <button type="button" class="edit-aim-btn icon-btn-aim" title="Pick field on page">${ICON_AIM}</button>
       </span>
-      <span class="edit-pattern-hint context-pattern-hint ${entry.contextType === 'urlPattern' ? '' : 'hidden'}">URL: use * for any characters, e.g. <code>*://*.google.com/*</code>. Or use a selector (e.g. <code>#id</code>) to match that field on any site.</span>
+      <span class="edit-pattern-hint context-pattern-hint ${entry.contextType === 'urlPattern' ? '' : 'hidden'}">URL: use * for any characters, e.g. <code>*://*.google.com/*</code>. Or use a selector (e.g. <code>#id</code>) to match that field on any site. In <code>origin|path|selector</code>, a part starting with <code>re:</code> is a regular expression, e.g. <code>re:^/tickets/\\d+$</code>.</span>
+      <span class="edit-semantic-hint context-pattern-hint ${entry.contextType === 'fieldSemantic' ? '' : 'hidden'}">Fields on any site whose <code>name</code>, <code>autocomplete</code>, <code>type</code>, <code>label</code> or <code>placeholder</code> look like this, e.g. <code>label=invoice ref*</code>. Separate terms with <code>;</code>; all must match.</span>
+      <span class="edit-site-hint context-pattern-hint ${entry.contextType === 'site' ? '' : 'hidden'}">This domain and all its subdomains, on any scheme and port, e.g. <code>example.co.uk</code>. Write <code>https://example.co.uk</code> or add <code>:8443</code> to require a scheme or port.</span>
+      <span class="edit-url-parts-hint context-pattern-hint ${entry.contextType === 'urlParts' ? '' : 'hidden'}">Protocol, host, path, <code>?query</code> and <code>#hash</code>, each with <code>*</code> or <code>:name</code> wildcards, e.g. <code>https://*.example.com/tickets/:id?*status=open*</code>.</span>
+      <span class="edit-regex-hint context-pattern-hint ${entry.contextType === 'regex' ? '' : 'hidden'}">Matched anywhere in the full URL; use ^ and $ to anchor, e.g. <code>^https://(staging|prod)\\.example\\.com/tickets/\\d+</code>.</span>
+      <span class="edit-context-key-error context-key-error hidden" role="alert"></span>
+    </label>
+    <label class="store-checkbox-row store-ignore-query-row ${entry.contextType === 'url' ? '' : 'hidden'}">
+      <input class="edit-ignore-query" type="checkbox" ${entry.ignoreQuery ? 'checked' : ''} />
+      <span>Ignore ?query and #hash</span>
     </label>
+    ${exclusionFieldsHtml(entry)}
     <div class="settings-row store-shortcut-row">
       <span class="settings-shortcut-label">Shortcut (optional)</span>
       <button type="button" class="edit-shortcut-btn btn-settings-shortcut">${entry.shortcut ? normalizeShortcutDisplay(entry.shortcut, 'Ctrl+Alt+1') : 'Set…'}</button>
       <button type="button" class="edit-shortcut-clear btn-settings-link">Clear</button>
     </div>
     <p class="edit-shortcut-hint settings-hint hidden">Press the keys for this value, or Esc to cancel.</p>
+    ${expiryFieldsHtml(entry)}
     <div class="store-actions">
       <button type="button" class="edit-save-btn">Save</button>
       <button type="button" class="edit-cancel-btn">Cancel</button>
     </div>
+    <details class="entry-history hidden">
+      <summary>History</summary>
+      <ul class="history-list"></ul>
+    </details>
   `);
   li.appendChild(formWrap);
+  renderEntryHistory(formWrap, entry, () => {
+    formWrap.remove();
+    if (row) row.classList.remove('editing');
+    requestState();
+  });
   let editFormShortcut = entry.shortcut ? String(entry.shortcut).trim() : '';
   const editShortcutBtn = formWrap.querySelector('.edit-shortcut-btn');
   const editShortcutClear = formWrap.querySelector('.edit-shortcut-clear');
@@ -858,21 +2170,46 @@ function openEditForm(li, entry) {
   const typeSelect = formWrap.querySelector('.edit-context-type');
   const editKeyInput = formWrap.querySelector('.edit-context-key');
   const editPatternHint = formWrap.querySelector('.edit-pattern-hint');
+  const editRegexHint = formWrap.querySelector('.edit-regex-hint');
+  const editSemanticHint = formWrap.querySelector('.edit-semantic-hint');
+  const editUrlPartsHint = formWrap.querySelector('.edit-url-parts-hint');
+  const editSiteHint = formWrap.querySelector('.edit-site-hint');
+  const editIgnoreQueryRow = formWrap.querySelector('.store-ignore-query-row');
+  const editKeyError = formWrap.querySelector('.edit-context-key-error');
 
   // Track manual editing
   formWrap._keyManuallyEdited = false;
   formWrap._updatingKeyProgrammatically = false;
+  // Field whose fingerprint is saved: the stored one while the key names the same field; a picked field replaces it
+  const storedParts = splitContextKey(entry.contextKey || '');
+  formWrap._fingerprintSource = entry.fingerprint || entry.frameUrl
+    ? { selector: storedParts.length >= 3 ? storedParts.slice(2).join('|') : entry.contextKey, field: entry.fingerprint, frameUrl: entry.frameUrl }
+    : null;
 
   function updateKeyPlaceholderAndHint() {
     const isField = typeSelect?.value === 'fieldOnly';
+    const isSemantic = typeSelect?.value === 'fieldSemantic';
     const isPattern = typeSelect?.value === 'urlPattern';
-    if (aimBtn) aimBtn.style.display = isField ? 'inline-flex' : 'none';
+    const isUrlParts = typeSelect?.value === 'urlParts';
+    const isSite = typeSelect?.value === 'site';
+    const isRegex = typeSelect?.value === 'regex';
+    if (aimBtn) aimBtn.style.display = isField || isSemantic ? 'inline-flex' : 'none';
     if (editKeyInput) {
       if (isField) editKeyInput.placeholder = 'origin|path|selector';
+      else if (isSemantic) editKeyInput.placeholder = 'e.g. label=invoice reference';
       else if (isPattern) editKeyInput.placeholder = 'e.g. *://*.google.com/*';
+      else if (isUrlParts) editKeyInput.placeholder = 'e.g. https://*.example.com/tickets/:id';
+      else if (isSite) editKeyInput.placeholder = 'e.g. example.com';
+      else if (isRegex) editKeyInput.placeholder = 'e.g. ^https://example\\.com/tickets/\\d+';
       else editKeyInput.placeholder = '';
     }
     if (editPatternHint) editPatternHint.classList.toggle('hidden', !isPattern);
+    if (editRegexHint) editRegexHint.classList.toggle('hidden', !isRegex);
+    if (editSemanticHint) editSemanticHint.classList.toggle('hidden', !isSemantic);
+    if (editUrlPartsHint) editUrlPartsHint.classList.toggle('hidden', !isUrlParts);
+    if (editSiteHint) editSiteHint.classList.toggle('hidden', !isSite);
+    if (editIgnoreQueryRow) editIgnoreQueryRow.classList.toggle('hidden', typeSelect?.value !== 'url');
+    showContextKeyError(editKeyError, typeSelect?.value, editKeyInput?.value);
   }
   formWrap._updateKeyPlaceholderAndHint = updateKeyPlaceholderAndHint;
 
@@ -886,25 +2223,27 @@ function openEditForm(li, entry) {
   updateKeyPlaceholderAndHint();
 
   // When type changes, update placeholder/hint and auto-fill context key
-  // When switching to Custom, keep existing key if non-empty (often a small edit of another type)
+  // When switching to a pattern type, keep existing key if non-empty (often a small edit of another type)
   typeSelect?.addEventListener('change', () => {
     updateKeyPlaceholderAndHint();
     const newType = typeSelect?.value;
     const keyEmpty = !editKeyInput?.value?.trim();
-    if (newType !== 'urlPattern' || keyEmpty) {
+    if (!KEEP_KEY_CONTEXT_TYPES.has(newType) || keyEmpty) {
       autoFillContextKey();
       formWrap._keyManuallyEdited = false;
     }
+    showContextKeyError(editKeyError, newType, editKeyInput?.value);
   });
 
-  // When context key is manually edited, switch to Custom only if not already Input field
+  // When context key is manually edited, switch to Custom unless the type takes a hand-written key
   editKeyInput?.addEventListener('input', () => {
     if (formWrap._updatingKeyProgrammatically) return;
     formWrap._keyManuallyEdited = true;
-    if (typeSelect && typeSelect.value !== 'urlPattern' && typeSelect.value !== 'fieldOnly') {
+    if (typeSelect && !EDITABLE_KEY_CONTEXT_TYPES.has(typeSelect.value)) {
       typeSelect.value = 'urlPattern';
       updateKeyPlaceholderAndHint();
     }
+    showContextKeyError(editKeyError, typeSelect?.value, editKeyInput.value);
   });
 
   if (aimBtn) aimBtn.addEventListener('click', toggleAimMode);
@@ -919,11 +2258,21 @@ function openEditForm(li, entry) {
     setAimModeActive(false);
     const value = formWrap.querySelector('.edit-value').value;
     const label = formWrap.querySelector('.edit-label').value.trim() || undefined;
+    const keepLocal = formWrap.querySelector('.edit-local').checked;
     const contextType = formWrap.querySelector('.edit-context-type').value;
     let contextKey = formWrap.querySelector('.edit-context-key').value.trim();
     if (!contextKey && pageInfo) contextKey = buildContextKey(contextType, pageInfo);
+    if (!showContextKeyError(editKeyError, contextType, contextKey)) {
+      editKeyInput?.focus();
+      return;
+    }
+    const exclusions = await readExclusionFields(formWrap);
+    if (!exclusions) return;
+    const expiry = await readExpiryFields(formWrap);
+    if (!expiry) return;
+    const profile = readProfileField(formWrap);
     if (editFormShortcut) {
-      const inUse = await getShortcutsInUse(entry.id);
+      const inUse = await getShortcutsInUse(entry.id, profile.profileId);
       if (inUse.has(normalizeShortcutForComparison(editFormShortcut))) {
         await showModal({
           titleId: 'shortcut-collision-title',
@@ -936,25 +2285,334 @@ function openEditForm(li, entry) {
         return;
       }
     }
-    await updateEntry(entry.id, {
-      value,
+    // Only re-encrypt when the value changed, so history does not record a new ciphertext as an edit
+    let sealed = {};
+    if (value !== entry.value) {
+      const vaultKey = await getVaultKeyForWrite();
+      if (vaultKey === undefined) return;
+      sealed = await sealValue(vaultKey, value);
+    }
+    const saved = await runStorageWrite(() => reviseEntry(entry.id, {
+      ...sealed,
       label,
       contextType,
       contextKey: contextKey || '*',
+      fingerprint: fingerprintForKey(contextType, contextKey, formWrap._fingerprintSource),
+      frameUrl: frameUrlForKey(contextType, contextKey, formWrap._fingerprintSource),
+      ignoreQuery: contextType === 'url' && formWrap.querySelector('.edit-ignore-query')?.checked ? true : undefined,
+      ...exclusions,
+      ...profile,
       shortcut: editFormShortcut || undefined,
-    });
+      storageArea: keepLocal ? 'local' : undefined,
+      ...expiry,
+    }));
+    if (!saved) return;
     formWrap.remove();
     if (row) row.classList.remove('editing');
     requestState();
   });
 }
 
-function setSettingsView(visible) {
-  showSettings = visible;
-  const mainView = document.getElementById('main-view');
-  const settingsView = document.getElementById('settings-view');
-  if (mainView) mainView.classList.toggle('hidden', visible);
-  if (settingsView) settingsView.classList.toggle('hidden', !visible);
+function trashRetentionDays() {
+  return Number(currentSettings?.trashRetentionDays) || 30;
+}
+
+function formatDeletedAgo(deletedAt) {
+  const days = Math.floor((Date.now() - deletedAt) / (24 * 60 * 60 * 1000));
+  if (days <= 0) return 'today';
+  if (days === 1) return 'yesterday';
+  return `${days} days ago`;
+}
+
+/** Fill the "Recently deleted" view from storage (newest first). */
+async function renderTrash() {
+  const list = document.getElementById('trash-list');
+  const empty = document.getElementById('trash-empty-state');
+  const hint = document.getElementById('trash-hint');
+  const purgeAllBtn = document.getElementById('trash-purge-all-btn');
+  if (!list || !empty) return;
+  const store = await load();
+  const key = await getSessionKey(store.vault).catch(() => null);
+  const trashed = await Promise.all(
+    store.entries
+      .filter(isTrashed)
+      .sort((a, b) => b.deletedAt - a.deletedAt)
+      .map((e) => openEntry(key, e))
+  );
+  if (hint) hint.textContent = `Deleted values are kept for ${trashRetentionDays()} day(s), then removed for good.`;
+  if (purgeAllBtn) purgeAllBtn.disabled = trashed.length === 0;
+  empty.classList.toggle('hidden', trashed.length > 0);
+  list.replaceChildren();
+  trashed.forEach((entry) => {
+    const li = document.createElement('li');
+    li.className = 'entry-item';
+    li.dataset.entryId = entry.id;
+    setHtml(li, `
+      <div class="entry-row" data-entry-id="${escapeHtml(entry.id)}">
+        <span class="entry-label-wrap">
+          <span class="value-preview" title="${escapeHtml(entry.value)}">${escapeHtml(entryPreviewText(entry))}</span>
+          <span class="trash-meta">${escapeHtml(formatDeletedAgo(entry.deletedAt))}</span>
+        </span>
+        <div class="entry-actions">
+          <button type="button" class="icon-btn-item restore-icon-btn" title="Restore">${ICON_RESTORE}</button>
+          <button type="button" class="icon-btn-item purge-icon-btn" title="Delete forever">${ICON_DELETE}</button>
+        </div>
+      </div>
+    `);
+    li.querySelector('.restore-icon-btn').addEventListener('click', async () => {
+      // Its shortcut may have been given to another value since it was deleted
+      const { updates, droppedShortcut } = await dropShortcutInUse({ shortcut: entry.shortcut }, entry.id);
+      // An expired value would be moved straight back to the trash; restoring it drops the expiry
+      if (isExpired(entry)) Object.assign(updates, { expiresAt: undefined, usesLeft: undefined });
+      const restored = await runStorageWrite(() => restoreEntry(entry.id, updates));
+      if (!restored) return;
+      renderTrash();
+      requestState();
+      if (droppedShortcut) await showShortcutDropped('Value restored without its shortcut', droppedShortcut);
+    });
+    li.querySelector('.purge-icon-btn').addEventListener('click', async () => {
+      const choice = await showModal({
+        titleId: 'purge-confirm-title',
+        title: 'Delete forever?',
+        bodyHtml: `"${escapeHtml(entryPreviewText(entry))}" will be removed for good.`,
+        buttons: [
+          { label: 'Delete forever', value: 'purge' },
+          { label: 'Cancel', value: 'cancel' },
+        ],
+      });
+      if (choice === 'purge' && (await runStorageWrite(() => purgeEntry(entry.id)))) renderTrash();
+    });
+    list.appendChild(li);
+  });
+}
+
+// ============ SNAPSHOTS ============
+
+const SNAPSHOT_REASON_LABELS = { daily: 'Daily', import: 'Before import', restore: 'Before restore' };
+// Names listed per group in a comparison; the rest are counted
+const SNAPSHOT_COMPARE_SHOWN = 10;
+
+/**
+ * What restoring a snapshot would change, by entry id (stored form): values it brings back, values it
+ * removes, and values it changes (with the changed field names, as in history).
+ */
+function compareWithSnapshot(snapshotEntries, currentEntries) {
+  const current = new Map(currentEntries.filter((e) => !isTrashed(e)).map((e) => [e.id, e]));
+  const inSnapshot = new Map(snapshotEntries.filter((e) => !isTrashed(e)).map((e) => [e.id, e]));
+  const added = [...inSnapshot.values()].filter((e) => !current.has(e.id));
+  const removed = [...current.values()].filter((e) => !inSnapshot.has(e.id));
+  const changed = [];
+  for (const e of inSnapshot.values()) {
+    const now = current.get(e.id);
+    if (!now) continue;
+    const prev = {};
+    HISTORY_FIELDS.forEach((f) => {
+      if (JSON.stringify(e[f] ?? null) !== JSON.stringify(now[f] ?? null)) prev[f] = now[f];
+    });
+    const fields = changedFields({ prev });
+    if (fields.length) changed.push({ entry: e, fields });
+  }
+  return { added, removed, changed };
+}
+
+function snapshotCompareListHtml(title, items) {
+  if (!items.length) return '';
+  const shown = items.slice(0, SNAPSHOT_COMPARE_SHOWN).map((text) => `<li>${escapeHtml(text)}</li>`).join('');
+  const more = items.length > SNAPSHOT_COMPARE_SHOWN ? `<li>…and ${items.length - SNAPSHOT_COMPARE_SHOWN} more</li>` : '';
+  return `<div class="snapshot-compare-title">${escapeHtml(title)}</div><ul class="snapshot-compare-list">${shown}${more}</ul>`;
+}
+
+/** Show under a snapshot row what restoring it would change. */
+async function renderSnapshotCompare(container, snapshotId) {
+  const [snapshot, store] = await Promise.all([getSnapshot(snapshotId), load()]);
+  if (!snapshot) return;
+  const [snapshotKey, currentKey] = await Promise.all([
+    getSessionKey(snapshot.vault).catch(() => null),
+    getSessionKey(store.vault).catch(() => null),
+  ]);
+  const { added, removed, changed } = compareWithSnapshot(snapshot.entries || [], store.entries);
+  const name = async (key, e) => entryPreviewText(await openEntry(key, e));
+  const [addedNames, removedNames, changedNames] = await Promise.all([
+    Promise.all(added.map((e) => name(snapshotKey, e))),
+    Promise.all(removed.map((e) => name(currentKey, e))),
+    Promise.all(changed.map(async (c) => `${await name(snapshotKey, c.entry)} (${c.fields.join(', ')})`)),
+  ]);
+  const settingsChanged = JSON.stringify(snapshot.settings ?? null) !== JSON.stringify(store.settings ?? null);
+  const nothing = !added.length && !removed.length && !changed.length && !settingsChanged;
+  setHtml(container, nothing
+    ? '<p class="settings-hint">Same as the current values and settings.</p>'
+    : `${snapshotCompareListHtml('Restoring brings back', addedNames)}
+      ${snapshotCompareListHtml('Restoring removes', removedNames)}
+      ${snapshotCompareListHtml('Restoring changes', changedNames)}
+      ${settingsChanged ? '<p class="settings-hint">Settings differ too and are restored with the values.</p>' : ''}`);
+}
+
+async function confirmRestoreSnapshot(snapshotId) {
+  const [snapshot, store] = await Promise.all([getSnapshot(snapshotId), load()]);
+  if (!snapshot) return;
+  const otherVault = !!snapshot.vault && snapshot.vault.salt !== store.vault?.salt;
+  const choice = await showModal({
+    titleId: 'snapshot-restore-title',
+    title: 'Restore snapshot?',
+    bodyHtml: `All values and settings are replaced with the snapshot from <strong>${escapeHtml(new Date(snapshot.at).toLocaleString())}</strong>, on all synced devices. The current state is saved as a snapshot first, so you can undo this.${
+      otherVault ? '<br><br>Its values are encrypted with the vault passphrase that was in use then; you will be asked for that passphrase.' : ''}${
+      store.vault ? '<br><br>The vault stays on: restored values are encrypted with your current passphrase.' : ''}`,
+    buttons: [
+      { label: 'Cancel', value: 'cancel' },
+      { label: 'Restore', value: 'restore' },
+    ],
+  });
+  if (choice !== 'restore') return;
+  // The current vault is kept, so the snapshot's values are stored for it (unlocking it if needed)
+  const keys = await getImportVaultKeys(store, snapshot, {
+    title: 'Encrypted snapshot',
+    text: 'The values in this snapshot are encrypted. Enter the vault passphrase that was in use when it was taken.',
+  });
+  if (!keys) return;
+  const opened = await openEntries(keys.importKey, snapshot.entries || []);
+  if (opened.some((e) => e.locked)) {
+    await showStorageError('Some values in the snapshot could not be decrypted, so it was not restored.');
+    return;
+  }
+  const entries = await sealEntries(keys.writeKey, opened);
+  if (!(await runStorageWrite(() => restoreSnapshot(snapshotId, entries)))) return;
+  const settings = await getSettings();
+  if (settings) {
+    currentSettings = settings;
+    applySettingsToUi();
+  }
+  renderSnapshots();
+  requestState();
+}
+
+/** Fill the Snapshots view (newest first). */
+async function renderSnapshots() {
+  const list = document.getElementById('snapshots-list');
+  const empty = document.getElementById('snapshots-empty-state');
+  if (!list || !empty) return;
+  const snapshots = await listSnapshots().catch(() => []);
+  empty.classList.toggle('hidden', snapshots.length > 0);
+  list.replaceChildren();
+  snapshots.forEach((snapshot) => {
+    const li = document.createElement('li');
+    li.className = 'entry-item snapshot-item';
+    setHtml(li, `
+      <div class="entry-row">
+        <span class="entry-label-wrap">
+          <span class="value-preview">${escapeHtml(new Date(snapshot.at).toLocaleString())}</span>
+          <span class="trash-meta">${escapeHtml(SNAPSHOT_REASON_LABELS[snapshot.reason] ?? snapshot.reason)} · ${snapshot.entryCount} value(s)${snapshot.encrypted ? ' · encrypted' : ''}</span>
+        </span>
+        <div class="entry-actions">
+          <button type="button" class="btn-settings-link snapshot-compare-btn">Compare</button>
+          <button type="button" class="btn-settings-link snapshot-restore-btn">Restore</button>
+        </div>
+      </div>
+      <div class="snapshot-compare hidden"></div>
+    `);
+    const compare = li.querySelector('.snapshot-compare');
+    li.querySelector('.snapshot-compare-btn').addEventListener('click', async () => {
+      const show = compare.classList.contains('hidden');
+      compare.classList.toggle('hidden', !show);
+      if (show) await renderSnapshotCompare(compare, snapshot.id);
+    });
+    li.querySelector('.snapshot-restore-btn').addEventListener('click', () => confirmRestoreSnapshot(snapshot.id));
+    list.appendChild(li);
+  });
+}
+
+// ============ STORAGE USAGE ============
+
+// Sync usage (bytes, items, writes) at or above this share of its limit is flagged
+const STORAGE_WARN_RATIO = 0.8;
+const STORAGE_LARGEST_SHOWN = 5;
+
+function formatBytes(bytes) {
+  return bytes < 1024 ? `${bytes} B` : `${(bytes / 1024).toFixed(1)} KB`;
+}
+
+function usageMeterHtml(used, limit) {
+  return `<meter class="usage-meter" min="0" max="${limit}" high="${Math.round(limit * STORAGE_WARN_RATIO)}" value="${used}"></meter>`;
+}
+
+/**
+ * Fill Settings → Storage: sync and local usage against the limits, recent sync writes, the largest values
+ * (with a button to move synced ones to this device) and warnings when sync storage is close to full.
+ */
+async function renderStorageUsage() {
+  const container = document.getElementById('storage-usage');
+  if (!container) return;
+  let usage;
+  try {
+    usage = await getStorageUsage();
+  } catch (err) {
+    container.textContent = `Could not read storage usage: ${err?.message ?? err}`;
+    return;
+  }
+  const { sync, local, entries, writes, quota } = usage;
+  const names = new Map((currentState?.entries || []).map((e) => [e.id, entryPreviewText(e)]));
+  const syncEntries = entries.filter((e) => e.area === 'sync');
+
+  const warnings = [];
+  if (sync.bytes >= quota.bytes * STORAGE_WARN_RATIO) {
+    warnings.push(`Sync storage is ${Math.round((sync.bytes / quota.bytes) * 100)}% full, so saving or importing values may fail soon. Keep large values on this device only, or delete some.`);
+  }
+  if (sync.items >= quota.maxItems * STORAGE_WARN_RATIO) {
+    warnings.push(`${sync.items} of at most ${quota.maxItems} synced items are used. Keep some values on this device only, or delete some.`);
+  }
+  const nearItemLimit = syncEntries.filter((e) => e.bytes >= quota.bytesPerItem * STORAGE_WARN_RATIO);
+  if (nearItemLimit.length) {
+    warnings.push(`${nearItemLimit.length} value(s) are close to the ${formatBytes(quota.bytesPerItem)} limit per synced value; editing them may fail. Older history is dropped first when they grow.`);
+  }
+  if (writes.lastMinute >= quota.writesPerMinute * STORAGE_WARN_RATIO || writes.lastHour >= quota.writesPerHour * STORAGE_WARN_RATIO) {
+    warnings.push('Many sync writes recently; the browser may refuse further changes for a while.');
+  }
+  const trashBytes = syncEntries.filter((e) => e.trashed).reduce((sum, e) => sum + e.bytes, 0);
+  if (warnings.length && trashBytes) {
+    warnings.push(`Recently deleted values use ${formatBytes(trashBytes)} of sync storage; emptying the trash frees it.`);
+  }
+
+  const largest = entries.slice(0, STORAGE_LARGEST_SHOWN).map((e) => {
+    const name = names.get(e.id) ?? (e.trashed ? '(deleted value)' : '(value)');
+    const history = e.historyBytes ? `, history ${formatBytes(e.historyBytes)}` : '';
+    const moveBtn = e.area === 'sync' && !e.trashed
+      ? `<button type="button" class="btn-settings-link storage-move-local-btn" data-entry-id="${escapeHtml(e.id)}">Keep on this device only</button>`
+      : '';
+    return `<li><span class="storage-entry-name">${escapeHtml(name)}</span>
+      <span class="storage-entry-size">${formatBytes(e.bytes)}${history}${e.area === 'local' ? ' · local' : ''}</span>${moveBtn}</li>`;
+  });
+
+  setHtml(container, `
+    ${warnings.map((w) => `<p class="storage-warning">${escapeHtml(w)}</p>`).join('')}
+    <div class="storage-area-row">
+      <span>Synced: ${formatBytes(sync.bytes)} of ${formatBytes(quota.bytes)}, ${sync.items} of ${quota.maxItems} items</span>
+      ${usageMeterHtml(sync.bytes, quota.bytes)}
+    </div>
+    <div class="storage-area-row">
+      <span>This device only: ${formatBytes(local.bytes)}, ${local.items} items</span>
+    </div>
+    <p class="settings-hint">Sync writes: ${writes.lastMinute} in the last minute (limit ${quota.writesPerMinute}), ${writes.lastHour} in the last hour (limit ${quota.writesPerHour}).</p>
+    ${largest.length ? `<div class="storage-largest-title">Largest values</div><ul class="storage-largest">${largest.join('')}</ul>` : ''}
+  `);
+  container.querySelectorAll('.storage-move-local-btn').forEach((btn) => {
+    btn.addEventListener('click', async () => {
+      const id = btn.dataset.entryId;
+      if (!(await runStorageWrite(() => updateEntries({ [id]: { storageArea: 'local' } })))) return;
+      renderStorageUsage();
+      requestState();
+    });
+  });
+}
+
+/** @param {'main' | 'settings' | 'trash' | 'snapshots'} view */
+function setView(view) {
+  currentView = view;
+  document.getElementById('main-view')?.classList.toggle('hidden', view !== 'main');
+  document.getElementById('settings-view')?.classList.toggle('hidden', view !== 'settings');
+  document.getElementById('trash-view')?.classList.toggle('hidden', view !== 'trash');
+  document.getElementById('snapshots-view')?.classList.toggle('hidden', view !== 'snapshots');
+  if (view === 'trash') renderTrash();
+  if (view === 'snapshots') renderSnapshots();
+  if (view === 'settings') renderStorageUsage();
 }
 
 function applySettingsToUi() {
@@ -975,6 +2633,12 @@ function applySettingsToUi() {
   if (shortcutPanelDisplay) {
     shortcutPanelDisplay.textContent = normalizeShortcutDisplay(currentSettings.shortcutOpenPanel, 'Ctrl+Alt+K');
   }
+  const trashDaysInput = document.getElementById('setting-trash-days');
+  if (trashDaysInput) trashDaysInput.value = String(trashRetentionDays());
+  const suggestionOrderSelect = document.getElementById('setting-suggestion-order');
+  if (suggestionOrderSelect) suggestionOrderSelect.value = isFrecencyOrder() ? 'frecency' : 'specificity';
+  renderProfileSwitcher();
+  renderProfilesSettings();
 }
 
 function requestState() {
@@ -1028,8 +2692,33 @@ document.addEventListener('DOMContentLoaded', () => {
   }
   const settingsBtn = document.getElementById('settings-btn');
   const settingsBackBtn = document.getElementById('settings-back-btn');
-  if (settingsBtn) settingsBtn.addEventListener('click', () => setSettingsView(true));
-  if (settingsBackBtn) settingsBackBtn.addEventListener('click', () => setSettingsView(false));
+  if (settingsBtn) settingsBtn.addEventListener('click', () => setView('settings'));
+  if (settingsBackBtn) settingsBackBtn.addEventListener('click', () => setView('main'));
+  document.getElementById('trash-btn')?.addEventListener('click', () => setView('trash'));
+  document.getElementById('snapshots-btn')?.addEventListener('click', () => setView('snapshots'));
+  document.getElementById('snapshots-back-btn')?.addEventListener('click', () => setView('settings'));
+  document.getElementById('storage-usage-refresh-btn')?.addEventListener('click', () => renderStorageUsage());
+  document.getElementById('trash-back-btn')?.addEventListener('click', () => setView('settings'));
+  document.getElementById('trash-purge-all-btn')?.addEventListener('click', async () => {
+    const choice = await showModal({
+      titleId: 'trash-purge-all-title',
+      title: 'Empty trash?',
+      bodyHtml: 'All recently deleted values will be removed for good.',
+      buttons: [
+        { label: 'Delete forever', value: 'purge' },
+        { label: 'Cancel', value: 'cancel' },
+      ],
+    });
+    if (choice === 'purge' && (await runStorageWrite(() => purgeTrash()))) renderTrash();
+  });
+
+  document.getElementById('vault-lock-btn')?.addEventListener('click', async () => {
+    if (currentState?.vault?.unlocked) await clearSessionKey();
+    else await promptUnlockFromUi();
+  });
+  document.getElementById('vault-enable-btn')?.addEventListener('click', enableVault);
+  document.getElementById('vault-unlock-btn')?.addEventListener('click', promptUnlockFromUi);
+  document.getElementById('vault-disable-btn')?.addEventListener('click', disableVault);
 
   const closePanelBtn = document.getElementById('close-panel-btn');
   if (closePanelBtn) {
@@ -1043,11 +2732,30 @@ document.addEventListener('DOMContentLoaded', () => {
   const importBtn = document.getElementById('import-btn');
   if (exportBtn) {
     exportBtn.addEventListener('click', async () => {
-      const store = await getStore();
-      // Export only values (version + entries), not settings
+      const store = await load();
+      let entries = Array.isArray(store?.entries) ? store.entries : [];
+      // Device-only values are often sensitive: ask before putting them in a file
+      const localCount = entries.filter((e) => e.storageArea === 'local').length;
+      if (localCount > 0) {
+        const choice = await showModal({
+          titleId: 'export-local-title',
+          title: `${localCount} value(s) are kept on this device only.`,
+          bodyHtml: 'Include them in the export file? They are marked so an import keeps them device-only.',
+          buttons: [
+            { label: 'Cancel', value: 'cancel' },
+            { label: 'Leave out', value: 'skip' },
+            { label: 'Include', value: 'include' },
+          ],
+        });
+        if (choice === 'cancel') return;
+        if (choice === 'skip') entries = entries.filter((e) => e.storageArea !== 'local');
+      }
+      // Export only values (version + entries), not settings. Encrypted values stay encrypted; the vault
+      // config goes along so the file can be opened with the passphrase on import.
       const valuesOnly = {
-        version: store?.version ?? 1,
-        entries: Array.isArray(store?.entries) ? store.entries : [],
+        version: store?.version ?? VERSION,
+        entries,
+        ...(store?.vault && entries.some((e) => e.enc) ? { vault: store.vault } : {}),
       };
       const blob = new Blob([JSON.stringify(valuesOnly, null, 2)], { type: 'application/json' });
       const a = document.createElement('a');
@@ -1079,19 +2787,21 @@ document.addEventListener('DOMContentLoaded', () => {
             });
             return;
           }
-          const current = await getStore();
+          const current = await load();
           const existingEntries = current?.entries || [];
           const importedEntries = parsed.entries;
+          const keys = await getImportVaultKeys(current, parsed);
+          if (!keys) return;
 
           if (existingEntries.length === 0) {
-            await applyImport(current, importedEntries, parsed.version, false);
+            await runStorageWrite(() => applyImport(current, importedEntries, parsed.version, false, keys));
             requestState();
             return;
           }
 
           showImportChoiceModal(existingEntries.length, importedEntries.length, async (choice) => {
             if (choice === 'cancel') return;
-            await applyImport(current, importedEntries, parsed.version, choice === 'merge');
+            await runStorageWrite(() => applyImport(current, importedEntries, parsed.version, choice === 'merge', keys));
             requestState();
           });
         } catch (err) {
@@ -1109,12 +2819,17 @@ document.addEventListener('DOMContentLoaded', () => {
     });
   }
 
-  const SETTINGS_KEYS = ['showFieldIcon', 'showIconOnPageValues', 'shortcutOpenMenu', 'shortcutOpenPanel'];
+  const SETTINGS_KEYS = ['showFieldIcon', 'showIconOnPageValues', 'shortcutOpenMenu', 'shortcutOpenPanel', 'trashRetentionDays', 'suggestionOrder', 'profiles', 'activeProfileId', 'siteProfiles'];
   const SETTINGS_SCHEMA = {
     showFieldIcon: 'boolean',
     showIconOnPageValues: 'boolean',
     shortcutOpenMenu: 'string',
     shortcutOpenPanel: 'string',
+    trashRetentionDays: 'number',
+    suggestionOrder: 'string',
+    profiles: 'object',
+    activeProfileId: 'string',
+    siteProfiles: 'object',
   };
   const exportSettingsBtn = document.getElementById('export-settings-btn');
   const importSettingsBtn = document.getElementById('import-settings-btn');
@@ -1220,6 +2935,34 @@ document.addEventListener('DOMContentLoaded', () => {
     });
   }
 
+  const trashDaysInput = document.getElementById('setting-trash-days');
+  if (trashDaysInput) {
+    trashDaysInput.addEventListener('change', async () => {
+      const days = Math.round(Number(trashDaysInput.value));
+      if (!Number.isFinite(days) || days < 1 || days > 365) {
+        applySettingsToUi();
+        return;
+      }
+      const next = await saveSettingsFromPanel({ trashRetentionDays: days });
+      if (next) {
+        currentSettings = next;
+        applySettingsToUi();
+      }
+    });
+  }
+
+  const suggestionOrderSelect = document.getElementById('setting-suggestion-order');
+  if (suggestionOrderSelect) {
+    suggestionOrderSelect.addEventListener('change', async () => {
+      const next = await saveSettingsFromPanel({ suggestionOrder: suggestionOrderSelect.value });
+      if (next) {
+        currentSettings = next;
+        applySettingsToUi();
+        requestState();
+      }
+    });
+  }
+
   if (shortcutEditBtn && shortcutHint) {
     shortcutEditBtn.addEventListener('click', () => {
       if (!shortcutHint.classList.contains('hidden')) return;
@@ -1320,15 +3063,29 @@ document.addEventListener('DOMContentLoaded', () => {
     });
   }
 
+  const profileSelect = document.getElementById('profile-select');
+  const profileSiteOnly = document.getElementById('profile-site-only');
+  const profileAddBtn = document.getElementById('profile-add-btn');
+  profileSelect?.addEventListener('change', () => switchProfile(profileSelect.value || null));
+  // The site keeps (or drops back to) the global profile; picking a profile then changes only the site
+  profileSiteOnly?.addEventListener('change', () => switchProfile(activeProfile(currentSettings).profileId, profileSiteOnly.checked));
+  profileAddBtn?.addEventListener('click', addProfile);
+
   getSettings().then((settings) => {
     if (settings) {
       currentSettings = settings;
       applySettingsToUi();
     }
     requestState();
+    checkPendingUnlock();
   });
 });
 
+// Panel already open when a locked menu item or shortcut asks to unlock
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'session' && changes[PENDING_UNLOCK_KEY]?.newValue) checkPendingUnlock();
+});
+
 chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
   if (message.type === 'requestClosePanel') {
     sendResponse?.({ closing: true });
@@ -1338,6 +3095,7 @@ chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
   }
   if (message.type === 'stateUpdated') {
     render(message.state);
+    if (currentView === 'trash') renderTrash();
     sendResponse?.({ ok: true });
     return true;
   }
@@ -1349,43 +3107,62 @@ chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
   }
   if (message.type === 'resetAimMode') {
     setAimModeActive(false);
+    if (repickEntryId) {
+      repickEntryId = null;
+      renderBrokenFieldsBanner(currentState);
+    }
     sendResponse?.({ ok: true });
     return true;
   }
   if (message.type === 'pickElementResult') {
+    if (repickEntryId) {
+      const entryId = repickEntryId;
+      repickEntryId = null;
+      setAimModeActive(false);
+      if (message.selector) repickField(entryId, { selector: message.selector, field: message.field, frameId: message.frameId, frameUrl: message.frameUrl });
+      sendResponse?.({ ok: true });
+      return true;
+    }
     const pageInfo = getPageInfoForAdd();
     if (pageInfo && message.selector) {
-      const contextKey = `${pageInfo.origin}|${pageInfo.pathname}|${message.selector}`;
+      const fieldKey = `${pageInfo.origin}|${pageInfo.pathname}|${message.selector}`;
+      // A picked field fills a "Similar fields" key from its semantics; otherwise the form switches to Input field
+      const semanticKey = semanticKeyForField(message.field);
+      const keyFor = (type) => (type === 'fieldSemantic' && semanticKey ? semanticKey : fieldKey);
 
       // Update add form
       const addSection = document.getElementById('add-section');
       const addKeyInput = document.getElementById('store-context-key');
       const addTypeSelect = addSection?._typeSelect;
+      if (addTypeSelect && addTypeSelect.value !== 'fieldOnly' && keyFor(addTypeSelect.value) === fieldKey) {
+        addTypeSelect.value = 'fieldOnly';
+      }
       if (addKeyInput) {
         addSection?._setUpdatingKeyProgrammatically?.(true);
-        addKeyInput.value = contextKey;
+        addKeyInput.value = keyFor(addTypeSelect?.value);
         addSection?._setUpdatingKeyProgrammatically?.(false);
         addSection?._setKeyManuallyEdited?.(false);
       }
-      if (addTypeSelect && addTypeSelect.value !== 'fieldOnly') {
-        addTypeSelect.value = 'fieldOnly';
-        addSection?._updateKeyPlaceholderAndHint?.();
-      }
+      const picked = { selector: message.selector, field: message.field, frameId: message.frameId, frameUrl: message.frameUrl };
+      addSection?._setFingerprintSource?.(picked);
+      addSection?._updateKeyPlaceholderAndHint?.();
+      addSection?._updateSelectorPreview?.();
 
       // Update edit form if open
       const editForm = document.querySelector('.entry-edit-form');
       const editKeyInput = editForm?.querySelector('.edit-context-key');
       const editTypeSelect = editForm?.querySelector('.edit-context-type');
+      if (editTypeSelect && editTypeSelect.value !== 'fieldOnly' && keyFor(editTypeSelect.value) === fieldKey) {
+        editTypeSelect.value = 'fieldOnly';
+      }
       if (editKeyInput) {
         editForm._updatingKeyProgrammatically = true;
-        editKeyInput.value = contextKey;
+        editKeyInput.value = keyFor(editTypeSelect?.value);
         editForm._updatingKeyProgrammatically = false;
         editForm._keyManuallyEdited = false;
       }
-      if (editTypeSelect && editTypeSelect.value !== 'fieldOnly') {
-        editTypeSelect.value = 'fieldOnly';
-        editForm?._updateKeyPlaceholderAndHint?.();
-      }
+      if (editForm) editForm._fingerprintSource = picked;
+      editForm?._updateKeyPlaceholderAndHint?.();
 
       // Clear aim mode since we got a result
       setAimModeActive(false);
@@ -0,0 +1,14 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { diffWords } from '../lib/diff.js';
+
+test('diffWords marks added and removed words', () => {
+  assert.deepEqual(diffWords('hello big world', 'hello small world'), [
+    { type: 'same', text: 'hello ' },
+    { type: 'del', text: 'big' },
+    { type: 'add', text: 'small' },
+    { type: 'same', text: ' world' },
+  ]);
+  assert.deepEqual(diffWords('', 'new'), [{ type: 'add', text: 'new' }]);
+  assert.deepEqual(diffWords('same', 'same'), [{ type: 'same', text: 'same' }]);
+});
@@ -0,0 +1,19 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { publicSuffix, registrableDomain, isPublicSuffix } from '../lib/domains.js';
+
+test('registrableDomain uses the public suffix list', () => {
+  assert.equal(registrableDomain('eu.app.example.co.uk'), 'example.co.uk');
+  assert.equal(registrableDomain('www.example.com'), 'example.com');
+  assert.equal(registrableDomain('user.github.io'), 'user.github.io');
+  assert.equal(registrableDomain('co.uk'), null);
+  assert.equal(registrableDomain('localhost'), 'localhost');
+  assert.equal(registrableDomain('192.168.0.1'), '192.168.0.1');
+});
+
+test('publicSuffix and isPublicSuffix', () => {
+  assert.equal(publicSuffix('a.b.example.co.uk'), 'co.uk');
+  assert.equal(isPublicSuffix('co.uk'), true);
+  assert.equal(isPublicSuffix('example.co.uk'), false);
+  assert.equal(isPublicSuffix('localhost'), false);
+});
@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fingerprintConfidence, fingerprintMatches, resolveFingerprint, isGeneratedId } from '../lib/fingerprint.js';
+
+const stored = { id: 'email', name: 'email', label: 'Email address', placeholder: 'you@example.com', type: 'email', path: 'form:1>input:1' };
+
+test('fingerprintConfidence combines agreeing strategies and is lowered by disagreeing ones', () => {
+  const { confidence, agreeing, disagreeing } = fingerprintConfidence(stored, { name: 'email', label: 'Email address:', type: 'email', path: 'form:1>input:2' });
+  assert.deepEqual(agreeing, ['name', 'label text']);
+  assert.deepEqual(disagreeing, ['position']);
+  // 1 − (1 − 0.9)(1 − 0.85), lowered by a quarter of the position's weight
+  assert.ok(Math.abs(confidence - 0.985 * (1 - 0.5 / 4)) < 1e-9);
+  assert.equal(fingerprintConfidence(stored, { ...stored, type: 'password' }).confidence, 0, 'another input type');
+});
+
+test('fingerprintMatches needs two agreeing strategies', () => {
+  assert.equal(fingerprintMatches(stored, { placeholder: 'you@example.com' }), false);
+  assert.equal(fingerprintMatches(stored, { name: 'email' }), false);
+  assert.equal(fingerprintMatches(stored, { name: 'email', placeholder: 'you@example.com' }), true);
+});
+
+test('resolveFingerprint picks a clear best field only', () => {
+  const candidates = [
+    { selector: '#a', field: { name: 'email', label: 'Email address', type: 'email' } },
+    { selector: '#b', field: { name: 'phone', label: 'Phone', type: 'tel' } },
+  ];
+  assert.equal(resolveFingerprint(stored, candidates)?.selector, '#a');
+  const twins = [candidates[0], { ...candidates[0], selector: '#c' }];
+  assert.equal(resolveFingerprint(stored, twins), null, 'two fit equally well');
+  assert.equal(resolveFingerprint(stored, [candidates[1]]), null);
+});
+
+test('isGeneratedId spots framework ids', () => {
+  for (const id of [':r1:', 'ember123', 'mat-input-174', 'react-select-3-input', 'a1b2c3d4e5']) assert.equal(isGeneratedId(id), true, id);
+  for (const id of ['email', 'login-form', 'step2']) assert.equal(isGeneratedId(id), false, id);
+});
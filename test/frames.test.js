@@ -0,0 +1,33 @@
+import { afterEach, test } from 'node:test';
+import assert from 'node:assert/strict';
+import './helpers/chrome.js';
+import { tabFrames, frameIdForUrl } from '../lib/frames.js';
+
+/** Make chrome.scripting.executeScript report these frames (frameId → location.href) for tab 7. */
+function showFrames(frames) {
+  chrome.scripting.executeScript = async ({ target }) => {
+    if (target.tabId !== 7 || !target.allFrames) throw new Error('No tab with id');
+    return Object.entries(frames).map(([frameId, href]) => ({ frameId: Number(frameId), result: href }));
+  };
+}
+
+afterEach(() => {
+  delete chrome.scripting.executeScript;
+});
+
+test('tabFrames lists each frame with its URL, and none for a tab that cannot be scripted', async () => {
+  showFrames({ 0: 'https://shop.example.com/checkout', 3: 'https://pay.example.net/widget?session=1' });
+  assert.deepEqual(await tabFrames(7), [
+    { frameId: 0, url: 'https://shop.example.com/checkout' },
+    { frameId: 3, url: 'https://pay.example.net/widget?session=1' },
+  ]);
+  assert.deepEqual(await tabFrames(8), []);
+});
+
+test('frameIdForUrl prefers the exact URL and else one differing only in ?query or #hash', async () => {
+  showFrames({ 0: 'https://shop.example.com/', 3: 'https://pay.example.net/widget?session=2', 5: 'https://pay.example.net/widget?session=1' });
+  assert.equal(await frameIdForUrl(7, 'https://pay.example.net/widget?session=1'), 5);
+  assert.equal(await frameIdForUrl(7, 'https://pay.example.net/widget?session=9'), 3);
+  assert.equal(await frameIdForUrl(7, 'https://pay.example.net/other'), null);
+  assert.equal(await frameIdForUrl(8, 'https://shop.example.com/'), null);
+});
@@ -0,0 +1,25 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { frecencyScore, sortByFrecency } from '../lib/frecency.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const now = 100 * DAY_MS;
+
+test('frecencyScore halves a use count every two weeks', () => {
+  assert.equal(frecencyScore({ useCount: 4, lastUsedAt: now }, now), 4);
+  assert.equal(frecencyScore({ useCount: 4, lastUsedAt: now - 14 * DAY_MS }, now), 2);
+  assert.equal(frecencyScore({}, now), 0);
+  assert.equal(frecencyScore({ useCount: 2, lastUsedAt: now + DAY_MS }, now), 2, 'a clock ahead does not boost');
+});
+
+test('sortByFrecency puts recent habits first and keeps the given order for ties', () => {
+  const entries = [
+    { id: 'never', order: 0 },
+    { id: 'old-burst', useCount: 10, lastUsedAt: now - 60 * DAY_MS, order: 1 },
+    { id: 'today', useCount: 2, lastUsedAt: now, order: 2 },
+    { id: 'never-2', order: 3 },
+  ];
+  const sorted = sortByFrecency(entries, (a, b) => a.order - b.order, now);
+  assert.deepEqual(sorted.map((e) => e.id), ['today', 'old-burst', 'never', 'never-2']);
+  assert.equal(entries[0].id, 'never', 'the input is not sorted in place');
+});
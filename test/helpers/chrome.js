@@ -0,0 +1,41 @@
+/**
+ * In-memory stand-in for the chrome.* APIs that lib/ modules call, for tests run under Node. Import it before any
+ * module that reads chrome at load time (lib/storage.js reads the sync quotas).
+ */
+
+function storageArea() {
+  let items = {};
+  return {
+    async get(keys) {
+      if (keys == null) return structuredClone(items);
+      const list = typeof keys === 'string' ? [keys] : Array.isArray(keys) ? keys : Object.keys(keys);
+      return Object.fromEntries(list.filter((k) => k in items).map((k) => [k, structuredClone(items[k])]));
+    },
+    async set(values) {
+      for (const [k, v] of Object.entries(values)) items[k] = structuredClone(v);
+    },
+    async remove(keys) {
+      for (const k of [].concat(keys)) delete items[k];
+    },
+    async clear() {
+      items = {};
+    },
+    /** Stored items as they are (test inspection only). */
+    peek() {
+      return items;
+    },
+  };
+}
+
+globalThis.chrome = {
+  storage: { sync: storageArea(), local: storageArea(), session: storageArea() },
+  runtime: {},
+  scripting: {},
+};
+// Node 20 has no navigator (lib/device.js names the device from it)
+globalThis.navigator ??= { userAgent: 'node', platform: 'Linux' };
+
+/** Empty every storage area. */
+export async function resetStorage() {
+  await Promise.all(Object.values(chrome.storage).map((area) => area.clear()));
+}
@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MAX_HISTORY, withRevision, fieldsBeforeRevision, changedFields } from '../lib/history.js';
+
+const DEVICE = { id: 'd1', name: 'Laptop' };
+const entry = { id: 'e', value: 'one', label: 'Login', contextType: 'domain', contextKey: 'https://example.com' };
+
+test('withRevision records the fields an edit changed, as they were before it', () => {
+  const next = withRevision(entry, { value: 'two', label: 'Login' }, DEVICE, 5);
+  assert.equal(next.value, 'two');
+  assert.deepEqual(next.history, [{ at: 5, device: DEVICE, prev: { value: 'one' } }]);
+  assert.deepEqual(withRevision(entry, { label: 'Login' }, DEVICE, 6).history, undefined, 'nothing changed');
+  assert.deepEqual(withRevision(entry, { shortcut: 'Ctrl+Alt+1' }, DEVICE, 7).history[0].prev, { shortcut: null });
+});
+
+test('withRevision keeps the newest MAX_HISTORY revisions', () => {
+  let current = entry;
+  for (let i = 0; i < MAX_HISTORY + 3; i++) current = withRevision(current, { value: `v${i}` }, DEVICE, i);
+  assert.equal(current.history.length, MAX_HISTORY);
+  assert.equal(current.history[0].at, 3);
+});
+
+test('fieldsBeforeRevision undoes revisions from the newest back', () => {
+  let current = withRevision(entry, { value: 'two' }, DEVICE, 1);
+  current = withRevision(current, { value: 'three', label: 'Sign in' }, DEVICE, 2);
+  assert.equal(fieldsBeforeRevision(current, 1).value, 'two');
+  assert.equal(fieldsBeforeRevision(current, 1).label, 'Login');
+  assert.equal(fieldsBeforeRevision(current, 0).value, 'one');
+  assert.equal(fieldsBeforeRevision(current, 2).value, 'three');
+});
+
+test('changedFields names what a revision changed', () => {
+  assert.deepEqual(changedFields({ prev: { enc: null, value: 'x' } }), ['value']);
+  assert.deepEqual(changedFields({ prev: { contextType: 'url', contextKey: 'a', label: 'b' } }), ['context', 'label']);
+  assert.deepEqual(changedFields(undefined), []);
+});
@@ -0,0 +1,231 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  regexError,
+  splitContextKey,
+  contextKeyError,
+  semanticKeyForField,
+  exclusionError,
+  urlWithoutQuery,
+  parseSiteKey,
+  framePageInfo,
+  isSameFrameUrl,
+  selectorChecks,
+  matchesContext,
+  explainMatch,
+  buildMatchIndex,
+  findMatches,
+} from '../lib/matching.js';
+
+const page = { url: 'https://app.example.com/tickets/12?tab=2', origin: 'https://app.example.com', pathname: '/tickets/12', selector: '#title' };
+
+test('matchesContext by context type', () => {
+  const cases = [
+    [{ contextType: 'url', contextKey: page.url }, true],
+    [{ contextType: 'url', contextKey: 'https://app.example.com/tickets/12' }, false],
+    [{ contextType: 'domain', contextKey: 'https://app.example.com' }, true],
+    [{ contextType: 'domain', contextKey: 'https://example.com' }, false],
+    [{ contextType: 'all', contextKey: '*' }, true],
+    [{ contextType: 'fieldOnly', contextKey: 'https://app.example.com|/tickets/*|#title' }, true],
+    [{ contextType: 'fieldOnly', contextKey: 'https://app.example.com|/tickets/*|#body' }, false],
+    [{ contextType: 'fieldOnly', contextKey: '#title' }, true],
+    [{ contextType: 'urlPattern', contextKey: '*://*.example.com/*' }, true],
+    [{ contextType: 'urlPattern', contextKey: '*://other.com/*' }, false],
+  ];
+  for (const [entry, expected] of cases) {
+    assert.equal(matchesContext({ id: 'e', ...entry }, page), expected, JSON.stringify(entry));
+  }
+});
+
+test('findMatches agrees with matchesContext and keeps the entries in order', () => {
+  const entries = [
+    { id: 'a', contextType: 'domain', contextKey: 'https://app.example.com' },
+    { id: 'b', contextType: 'domain', contextKey: 'https://other.com' },
+    { id: 'c', contextType: 'fieldOnly', contextKey: '#title' },
+    { id: 'd', contextType: 'url', contextKey: page.url },
+    { id: 'e', contextType: 'urlPattern', contextKey: '*://*.example.com/*' },
+    { id: 'f', contextType: 'all', contextKey: '*' },
+    { id: 'g', contextType: 'fieldOnly', contextKey: 'https://app.example.com|/tickets/*|#body' },
+  ];
+  const ids = findMatches(buildMatchIndex(entries), page).map((e) => e.id);
+  assert.deepEqual(ids, entries.filter((e) => matchesContext(e, page)).map((e) => e.id));
+  assert.deepEqual(ids, ['a', 'c', 'd', 'e', 'f']);
+  assert.deepEqual(findMatches(buildMatchIndex(entries), null), []);
+});
+
+test('regexError rejects invalid and unsupported patterns', () => {
+  assert.equal(regexError(''), 'Enter a regular expression.');
+  assert.match(regexError('('), /^Invalid regular expression/);
+  assert.match(regexError('(?=a)b'), /Lookarounds/);
+  assert.match(regexError('(a)\\1'), /Backreferences/);
+  assert.equal(regexError('^https://(staging|prod)\\.example\\.com/tickets/\\d+'), null);
+  assert.match(contextKeyError('fieldOnly', 'https://example.com|re:a{2,1}|#q'), /^In the path part: Invalid regular expression/);
+});
+
+test('patterns that backtrack catastrophically are accepted and run in linear time', { timeout: 5000 }, () => {
+  for (const pattern of ['(a|aa)+$', '(a+)+$', '(a|a?)+b']) {
+    assert.equal(regexError(pattern), null, pattern);
+    const entry = { id: pattern, contextType: 'regex', contextKey: pattern };
+    const url = `https://example.com/${'a'.repeat(2000)}!`;
+    assert.equal(matchesContext(entry, { ...page, url }), false, pattern);
+  }
+  assert.equal(matchesContext({ id: 'r', contextType: 'regex', contextKey: '(a|aa)+$' }, { ...page, url: 'https://example.com/aaaa' }), true);
+});
+
+test('splitContextKey keeps | inside re: groups', () => {
+  assert.deepEqual(splitContextKey('https://example.com|/form|#email'), ['https://example.com', '/form', '#email']);
+  assert.deepEqual(splitContextKey('https://example.com|re:^/(a|b)$|#q'), ['https://example.com', 're:^/(a|b)$', '#q']);
+  assert.deepEqual(splitContextKey('https://example.com|re:[|]|#q'), ['https://example.com', 're:[|]', '#q']);
+});
+
+test('regex contexts and re: key parts match the URL and its parts', () => {
+  assert.equal(matchesContext({ id: 'e', contextType: 'regex', contextKey: '/tickets/\\d+' }, page), true);
+  assert.equal(matchesContext({ id: 'e', contextType: 'regex', contextKey: '^https://other' }, page), false);
+  assert.equal(matchesContext({ id: 'e', contextType: 'fieldOnly', contextKey: 'https://app.example.com|re:^/tickets/\\d+$|#title' }, page), true);
+  assert.equal(matchesContext({ id: 'e', contextType: 'fieldOnly', contextKey: 'https://app.example.com|re:^/(a|b)$|#title' }, page), false);
+});
+
+test('similar-field keys match fields by their properties, ignoring case and punctuation', () => {
+  const field = { name: 'invoice_ref', type: 'text', label: 'Invoice Reference:', placeholder: 'e.g. INV-001' };
+  const at = (key) => matchesContext({ id: 'e', contextType: 'fieldSemantic', contextKey: key }, { ...page, field });
+  assert.equal(at('label=invoice ref*; type=text'), true);
+  assert.equal(at('name=invoice ref'), true);
+  assert.equal(at('*inv 001'), true, 'a term without property= may match any of them');
+  assert.equal(at('label=invoice ref*; type=email'), false, 'all terms must match');
+  assert.equal(matchesContext({ id: 'e', contextType: 'fieldSemantic', contextKey: 'name=invoice ref' }, { ...page, field, selector: '' }), false);
+  assert.match(contextKeyError('fieldSemantic', 'colour=red'), /Unknown field property "colour"/);
+  assert.equal(contextKeyError('fieldSemantic', 'label=invoice*'), null);
+});
+
+test('semanticKeyForField proposes the most telling property', () => {
+  assert.equal(semanticKeyForField({ autocomplete: 'email', label: 'E-mail' }), 'autocomplete=email');
+  assert.equal(semanticKeyForField({ autocomplete: 'off', ariaLabel: 'Search site' }), 'label=search site');
+  assert.equal(semanticKeyForField({ type: 'tel' }), 'type=tel');
+  assert.equal(semanticKeyForField({ type: 'text' }), '');
+});
+
+test('exclusions keep an entry off sites, pages, fields and re: URLs', () => {
+  const excluded = (exclude) => !matchesContext({ id: 'e', contextType: 'all', contextKey: '*', exclude }, page);
+  assert.equal(excluded(['*://*.example.com']), true, 'a site');
+  assert.equal(excluded(['https://app.example.com/tickets/*']), true, 'a page');
+  assert.equal(excluded(['#title']), true, 'a field');
+  assert.equal(excluded(['re:/tickets/\\d+']), true);
+  assert.equal(excluded(['*://*.other.com', '#body', '']), false);
+  assert.equal(matchesContext({ id: 'e', contextType: 'all', contextKey: '*', exclude: ['*://*.example.com'] }, { ...page, url: 'https://other.com/', origin: 'https://other.com', pathname: '/' }), true);
+  assert.match(exclusionError('re:('), /^re:\(: Invalid regular expression/);
+  assert.equal(exclusionError('*://*.mybank.com'), null);
+});
+
+test('url entries may ignore the ?query and #hash', () => {
+  const entry = { id: 'e', contextType: 'url', contextKey: 'https://app.example.com/tickets/12#top', ignoreQuery: true };
+  assert.equal(matchesContext(entry, page), true);
+  assert.equal(matchesContext({ ...entry, ignoreQuery: false }, page), false);
+  assert.equal(matchesContext(entry, { ...page, url: 'https://app.example.com/tickets/13' }), false);
+  assert.equal(urlWithoutQuery('https://a.com/p?q=1#h'), 'https://a.com/p');
+});
+
+const hasUrlPattern = typeof URLPattern === 'function';
+
+test('URL parts entries match protocol, host, path, query and hash separately', { skip: !hasUrlPattern && 'no URLPattern in this Node' }, () => {
+  const at = (key) => matchesContext({ id: 'e', contextType: 'urlParts', contextKey: key }, page);
+  assert.equal(at('https://*.example.com/tickets/:id?*tab=2*'), true);
+  assert.equal(at('https://*.example.com/tickets/:id?*tab=3*'), false);
+  assert.match(contextKeyError('urlParts', 'https://[bad'), /^Invalid URL pattern/);
+});
+
+test('without URLPattern, URL parts entries match nothing and cannot be saved', { skip: hasUrlPattern && 'URLPattern is available' }, () => {
+  assert.equal(matchesContext({ id: 'e', contextType: 'urlParts', contextKey: 'https://*.example.com/*' }, page), false);
+  assert.match(contextKeyError('urlParts', 'https://*.example.com/*'), /not supported in this browser/);
+});
+
+test('explainMatch agrees with matchesContext and shows the step that failed', () => {
+  const entries = [
+    { id: 'a', contextType: 'domain', contextKey: 'https://app.example.com' },
+    { id: 'b', contextType: 'fieldOnly', contextKey: 'https://app.example.com|/tickets/*|#body' },
+    { id: 'c', contextType: 'all', contextKey: '*', exclude: ['#title'] },
+    { id: 'd', contextType: 'regex', contextKey: '/tickets/\\d+' },
+  ];
+  for (const entry of entries) assert.equal(explainMatch(entry, page).matched, matchesContext(entry, page), entry.id);
+
+  const { branches } = explainMatch(entries[1], page);
+  const failed = branches.flatMap((b) => b.steps).filter((step) => !step.ok);
+  assert.deepEqual(failed.map((step) => [step.pattern, step.actual]), [['#body', '#title']]);
+  assert.deepEqual(explainMatch(entries[2], page).exclusions, [{ pattern: '#title', excluded: true }]);
+  assert.equal(explainMatch(entries[0], null).matched, false);
+});
+
+test('site entries match a domain and its subdomains on any scheme and port unless named', () => {
+  const at = (key, url) => {
+    const u = new URL(url);
+    return matchesContext({ id: 'e', contextType: 'site', contextKey: key }, { url, origin: u.origin, pathname: u.pathname, selector: '' });
+  };
+  assert.equal(at('example.co.uk', 'https://eu.app.example.co.uk/x'), true);
+  assert.equal(at('example.co.uk', 'http://example.co.uk:8080/'), true);
+  assert.equal(at('example.co.uk', 'https://notexample.co.uk/'), false);
+  assert.equal(at('https://example.co.uk:8443', 'https://example.co.uk:8443/'), true);
+  assert.equal(at('https://example.co.uk:8443', 'https://example.co.uk/'), false);
+  assert.deepEqual(parseSiteKey('HTTPS://Example.com:8443'), { protocol: 'https:', domain: 'example.com', port: '8443' });
+  assert.equal(parseSiteKey('https://example.com/path'), null);
+  assert.match(contextKeyError('site', 'co.uk'), /public suffix/);
+  assert.equal(contextKeyError('site', 'example.com'), null);
+});
+
+test('the match index finds site entries', () => {
+  const entries = [
+    { id: 'site', contextType: 'site', contextKey: 'example.com' },
+    { id: 'other', contextType: 'site', contextKey: 'other.com' },
+  ];
+  assert.deepEqual(findMatches(buildMatchIndex(entries), page).map((e) => e.id), ['site']);
+});
+
+test('a fingerprint matches a changed field only where the selector is missing from the page', () => {
+  const entry = {
+    id: 'e',
+    contextType: 'fieldOnly',
+    contextKey: 'https://app.example.com|/tickets/12|#old-title',
+    fingerprint: { name: 'title', placeholder: 'Title', type: 'text' },
+  };
+  const focused = { ...page, field: { name: 'title', placeholder: 'Title', type: 'text' } };
+  assert.equal(matchesContext(entry, focused), false, 'selector not reported missing');
+  assert.equal(matchesContext(entry, { ...focused, missingSelectors: ['e'] }), true);
+  const placeholderOnly = { ...focused, field: { placeholder: 'Title', type: 'text' }, missingSelectors: ['e'] };
+  assert.equal(matchesContext(entry, placeholderOnly), false, 'one agreeing property is not enough');
+});
+
+test('field keys name fields inside shadow roots through their host', () => {
+  const shadowField = { ...page, selector: '#login-form >>> input[name="email"]' };
+  const entry = { id: 'e', contextType: 'fieldOnly', contextKey: 'https://app.example.com|/tickets/12|#login-form >>> input[name="email"]' };
+  assert.equal(matchesContext(entry, shadowField), true);
+  assert.equal(matchesContext(entry, { ...shadowField, selector: 'input[name="email"]' }), false);
+  assert.equal(matchesContext({ ...entry, contextKey: 'https://app.example.com|/tickets/12|#login-form >>> *' }, shadowField), true);
+});
+
+test('a field in an iframe matches entries for the page or for the frame, and exclusions of either apply', () => {
+  const framed = { ...page, selector: '#card', frameUrl: 'https://pay.example.net/widget?session=1' };
+  assert.deepEqual(framePageInfo(framed), { ...framed, url: framed.frameUrl, origin: 'https://pay.example.net', pathname: '/widget' });
+  assert.equal(framePageInfo(page), null);
+  const frameDomain = { id: 'f', contextType: 'domain', contextKey: 'https://pay.example.net' };
+  const pageDomain = { id: 'p', contextType: 'domain', contextKey: 'https://app.example.com' };
+  assert.equal(matchesContext(frameDomain, framed), true);
+  assert.equal(matchesContext(pageDomain, framed), true);
+  assert.equal(matchesContext({ ...pageDomain, exclude: ['https://pay.example.net'] }, framed), false);
+  assert.deepEqual(findMatches(buildMatchIndex([frameDomain, pageDomain]), framed).map((e) => e.id), ['f', 'p']);
+  assert.equal(isSameFrameUrl('https://pay.example.net/widget?a#b', 'https://pay.example.net/widget'), true);
+  assert.equal(isSameFrameUrl(undefined, undefined), false);
+});
+
+test('selectorChecks lists field entries for the frame that should hold them', () => {
+  const entries = [
+    { id: 'top', contextType: 'fieldOnly', contextKey: 'https://app.example.com|/tickets/12|#title' },
+    { id: 'glob', contextType: 'fieldOnly', contextKey: 'https://app.example.com|/tickets/*|#react-select-*-input' },
+    { id: 'any', contextType: 'fieldOnly', contextKey: 'https://app.example.com|/tickets/12|*' },
+    { id: 'framed', contextType: 'fieldOnly', contextKey: 'https://app.example.com|/tickets/12|#card', frameUrl: 'https://pay.example.net/widget?session=1' },
+  ];
+  assert.deepEqual(selectorChecks(entries, page), [
+    { id: 'top', selector: '#title' },
+    { id: 'glob', pattern: '^#react-select-.*-input$' },
+  ]);
+  const frame = { ...page, frameUrl: 'https://pay.example.net/widget?session=2' };
+  assert.deepEqual(selectorChecks(entries, frame), [{ id: 'framed', selector: '#card' }]);
+  assert.deepEqual(selectorChecks(entries, { ...frame, frameUrl: 'https://ads.example.org/slot' }), []);
+});
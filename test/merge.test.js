@@ -0,0 +1,100 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mergeEntries, isConcurrentEdit, writerName } from '../lib/merge.js';
+import { withRevision, fieldChangeTimes } from '../lib/history.js';
+
+const HERE = { id: 'here', name: 'Laptop' };
+const THERE = { id: 'there', name: 'Desktop' };
+
+const base = { id: 'e1', value: 'alpha', label: 'Login', contextType: 'domain', contextKey: 'https://example.com', updatedAt: 1, updatedBy: 'there' };
+
+/** A version of base written by device at time at, with updates recorded in history. */
+function edit(device, updates, at, extra = {}) {
+  return { ...withRevision(base, updates, device, at), updatedAt: at, updatedBy: device.id, baseAt: base.updatedAt, ...extra };
+}
+
+test('isConcurrentEdit: a version written without seeing ours', () => {
+  const local = edit(HERE, { value: 'beta' }, 10);
+  const remote = edit(THERE, { label: 'Sign in' }, 11);
+  assert.equal(isConcurrentEdit(local, remote, 'here'), true);
+  assert.equal(isConcurrentEdit(local, { ...remote, baseAt: 10 }, 'here'), false, 'remote was based on ours');
+  assert.equal(isConcurrentEdit(local, { ...remote, updatedBy: 'here' }, 'here'), false, 'our own write');
+  assert.equal(isConcurrentEdit({ ...local, updatedBy: 'there' }, remote, 'here'), false, 'ours was not the last write');
+});
+
+test('mergeEntries keeps independent changes from both devices', () => {
+  const local = edit(HERE, { value: 'beta' }, 10);
+  const remote = edit(THERE, { label: 'Sign in' }, 11);
+  const { merged, conflicts } = mergeEntries(local, remote, 'here');
+  assert.equal(merged.value, 'beta');
+  assert.equal(merged.label, 'Sign in');
+  assert.equal(conflicts, null);
+  assert.equal(merged.history.length, 2);
+  assert.equal(merged.baseAt, 11);
+  assert.equal(merged.updatedBy, 'here');
+});
+
+test('mergeEntries reports a group both devices changed differently and keeps theirs', () => {
+  const local = edit(HERE, { value: 'beta' }, 10);
+  const remote = edit(THERE, { value: 'gamma' }, 11);
+  const { merged, conflicts } = mergeEntries(local, remote, 'here');
+  assert.equal(merged.value, 'gamma');
+  assert.deepEqual(Object.keys(conflicts), ['value']);
+  assert.equal(conflicts.value.local.value, 'beta');
+  assert.equal(conflicts.value.remote.value, 'gamma');
+});
+
+test('mergeEntries keeps a deletion made here while the other device edited', () => {
+  const local = { ...base, deletedAt: 10, changedAt: { deletedAt: 10 }, updatedAt: 10, updatedBy: 'here', baseAt: 1 };
+  const remote = edit(THERE, { label: 'Sign in' }, 11);
+  const { merged, conflicts } = mergeEntries(local, remote, 'here');
+  assert.equal(merged.deletedAt, 10);
+  assert.equal(merged.label, 'Sign in');
+  assert.equal(conflicts, null);
+  assert.equal(merged.changedAt.deletedAt, 10);
+});
+
+test('mergeEntries reports expiry set differently on both devices', () => {
+  const local = { ...base, expiresAt: 100, changedAt: { expiresAt: 10 }, updatedAt: 10, updatedBy: 'here', baseAt: 1 };
+  const remote = { ...base, expiresAt: 200, changedAt: { expiresAt: 11 }, updatedAt: 11, updatedBy: 'there', baseAt: 1 };
+  const { merged, conflicts } = mergeEntries(local, remote, 'here');
+  assert.equal(merged.expiresAt, 200);
+  assert.deepEqual(Object.keys(conflicts), ['expiry']);
+});
+
+test('mergeEntries keeps the lower uses left when both devices counted down', () => {
+  const local = { ...base, usesLeft: 2, changedAt: { usesLeft: 10 }, updatedAt: 10, updatedBy: 'here', baseAt: 1 };
+  const remote = { ...base, usesLeft: 3, changedAt: { usesLeft: 11 }, updatedAt: 11, updatedBy: 'there', baseAt: 1 };
+  const { merged, conflicts } = mergeEntries(local, remote, 'here');
+  assert.equal(merged.usesLeft, 2);
+  assert.equal(merged.changedAt.usesLeft, 10);
+  assert.equal(conflicts, null);
+  assert.equal(mergeEntries({ ...local, usesLeft: 4 }, remote, 'here'), null, 'theirs is lower and stands');
+});
+
+test('mergeEntries keeps the later order change', () => {
+  const later = { ...base, order: 3, changedAt: { order: 12 }, updatedAt: 12, updatedBy: 'here', baseAt: 1 };
+  const earlier = { ...base, order: 5, changedAt: { order: 11 }, updatedAt: 11, updatedBy: 'there', baseAt: 1 };
+  const { merged, conflicts } = mergeEntries(later, earlier, 'here');
+  assert.equal(merged.order, 3);
+  assert.equal(conflicts, null);
+  assert.equal(mergeEntries({ ...later, changedAt: { order: 10 } }, earlier, 'here'), null, 'theirs is later and stands');
+});
+
+test('mergeEntries returns null when this device made no change the other version lacks', () => {
+  const local = { ...base, updatedAt: 10, updatedBy: 'here', baseAt: 1 };
+  const remote = edit(THERE, { value: 'gamma' }, 11);
+  assert.equal(mergeEntries(local, remote, 'here'), null);
+});
+
+test('fieldChangeTimes stamps timed fields that differ from the stored version', () => {
+  const stored = { ...base, order: 1, changedAt: { order: 5 } };
+  assert.deepEqual(fieldChangeTimes({ ...stored, order: 2, deletedAt: 30 }, stored, 40), { order: 40, deletedAt: 40 });
+  assert.deepEqual(fieldChangeTimes({ ...stored, label: 'Other' }, stored, 40), { order: 5 }, 'recorded fields are left to history');
+  assert.equal(fieldChangeTimes({ ...base }, undefined, 40), undefined, 'a new entry');
+});
+
+test('writerName names the device from its newest revision', () => {
+  assert.equal(writerName(edit(THERE, { value: 'beta' }, 10)), 'Desktop');
+  assert.equal(writerName({ ...base, updatedBy: 'unknown' }), 'another device');
+});
@@ -0,0 +1,63 @@
+import { beforeEach, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { resetStorage } from './helpers/chrome.js';
+import { migrate, VERSION } from '../lib/migrations.js';
+import { STORAGE_KEY, entryKey, isOutdatedIndex, migrateStorage, load } from '../lib/storage.js';
+
+beforeEach(resetStorage);
+
+test('migrate normalizes entries from version 1', () => {
+  const { version, entries } = migrate({
+    entries: [{ value: 42, label: '  ', shortcut: ' Ctrl+Alt+1 ', contextKey: ' ', extra: 'kept' }, null, 'junk'],
+  });
+  assert.equal(version, VERSION);
+  assert.equal(entries.length, 1);
+  const [entry] = entries;
+  assert.equal(typeof entry.id, 'string');
+  assert.equal(entry.value, '42');
+  assert.equal(entry.label, undefined);
+  assert.equal(entry.shortcut, 'Ctrl+Alt+1');
+  assert.equal(entry.contextType, 'urlPattern');
+  assert.equal(entry.contextKey, '*');
+  assert.ok(Number.isFinite(entry.createdAt));
+  assert.equal(entry.extra, 'kept', 'unknown fields survive');
+});
+
+test('migrate keeps ids and creation times that are already set', () => {
+  const { entries } = migrate({ version: 1, entries: [{ id: 'a', value: 'x', contextType: 'domain', contextKey: 'https://example.com', createdAt: 7 }] });
+  assert.equal(entries[0].id, 'a');
+  assert.equal(entries[0].createdAt, 7);
+});
+
+test('migrate leaves current and newer data as it is', () => {
+  const current = { version: VERSION, entries: [{ id: 'a', value: 'x' }], settings: { theme: 'dark' } };
+  assert.deepEqual(migrate(current), current);
+  const newer = { version: VERSION + 1, entries: [{ id: 'a', shape: 'new' }] };
+  assert.deepEqual(migrate(newer), newer);
+});
+
+test('migrate accepts data without entries', () => {
+  assert.deepEqual(migrate(undefined), { version: VERSION, entries: [] });
+});
+
+test('isOutdatedIndex spots the legacy layout and older versions', () => {
+  assert.equal(isOutdatedIndex(undefined), false);
+  assert.equal(isOutdatedIndex({ version: VERSION }), false);
+  assert.equal(isOutdatedIndex({ version: VERSION + 1 }), false);
+  assert.equal(isOutdatedIndex({ version: VERSION - 1 }), true);
+  assert.equal(isOutdatedIndex({ version: VERSION, entries: [] }), true);
+});
+
+test('load upgrades in memory and migrateStorage writes the result once', async () => {
+  await chrome.storage.sync.set({ [STORAGE_KEY]: { version: 1, entries: [{ id: 'a', value: 7 }] } });
+  const loaded = await load();
+  assert.equal(loaded.version, VERSION);
+  assert.equal(loaded.entries[0].value, '7');
+  assert.equal(chrome.storage.sync.peek()[STORAGE_KEY].version, 1, 'load does not write');
+
+  assert.equal(await migrateStorage(), true);
+  const items = chrome.storage.sync.peek();
+  assert.deepEqual(items[STORAGE_KEY], { version: VERSION });
+  assert.equal(items[entryKey('a')].value, '7');
+  assert.equal(await migrateStorage(), false, 'nothing left to migrate');
+});
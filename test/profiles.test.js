@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getProfiles, profileSiteKey, activeProfile, isEntryInProfile, profileSwitchSettings } from '../lib/profiles.js';
+
+const settings = {
+  profiles: [{ id: 'staging', name: 'Staging users' }, { id: 'prod', name: 'Production users' }, { id: '', name: 'Broken' }, null],
+  activeProfileId: 'staging',
+  siteProfiles: { 'example.co.uk': 'prod', 'plain.com': '' },
+};
+
+test('getProfiles keeps only valid profiles', () => {
+  assert.deepEqual(getProfiles(settings).map((p) => p.id), ['staging', 'prod']);
+  assert.deepEqual(getProfiles({ profiles: 'junk' }), []);
+});
+
+test('a site override wins over the global profile', () => {
+  assert.equal(profileSiteKey('https://eu.app.example.co.uk/login'), 'example.co.uk');
+  assert.equal(profileSiteKey('about:blank'), null);
+  assert.deepEqual(activeProfile(settings, 'https://app.example.co.uk/'), { profileId: 'prod', siteOverride: true });
+  assert.deepEqual(activeProfile(settings, 'https://plain.com/'), { profileId: null, siteOverride: true });
+  assert.deepEqual(activeProfile(settings, 'https://other.org/'), { profileId: 'staging', siteOverride: false });
+  assert.deepEqual(activeProfile({ ...settings, activeProfileId: 'deleted' }), { profileId: null, siteOverride: false });
+});
+
+test('entries of other profiles are left out, unless their profile is gone', () => {
+  assert.equal(isEntryInProfile({ profileId: 'staging' }, 'staging', settings), true);
+  assert.equal(isEntryInProfile({ profileId: 'prod' }, 'staging', settings), false);
+  assert.equal(isEntryInProfile({}, 'staging', settings), true, 'entries in no profile are always offered');
+  assert.equal(isEntryInProfile({ profileId: 'prod' }, null, settings), true, 'all entries');
+  assert.equal(isEntryInProfile({ profileId: 'deleted' }, 'staging', settings), true);
+});
+
+test('profileSwitchSettings switches the site override or the global profile', () => {
+  assert.deepEqual(profileSwitchSettings(settings, 'https://example.co.uk/', 'staging'), {
+    siteProfiles: { 'example.co.uk': 'staging', 'plain.com': '' },
+  });
+  assert.deepEqual(profileSwitchSettings(settings, 'https://other.org/', 'prod'), {
+    activeProfileId: 'prod',
+    siteProfiles: settings.siteProfiles,
+  });
+  assert.equal(profileSwitchSettings(settings, 'https://other.org/', null, true).siteProfiles['other.org'], '');
+  assert.deepEqual(profileSwitchSettings(settings, 'https://example.co.uk/', 'prod', false), {
+    activeProfileId: 'prod',
+    siteProfiles: { 'plain.com': '' },
+  });
+});
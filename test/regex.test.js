@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { compileRegex } from '../lib/regex.js';
+
+/** Deterministic pseudo-random numbers in [0, 1) (mulberry32), so failures reproduce. */
+function random(seed) {
+  return () => {
+    seed = (seed + 0x6d2b79f5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+const ATOMS = ['a', 'b', 'c', '.', '[ab]', '[^a]', '[a-c1]', '\\d', '\\w', '\\W', '\\s', '\\.', '-', '/'];
+const ASSERTIONS = ['^', '$', '\\b', '\\B'];
+const QUANTIFIERS = ['', '', '', '*', '+', '?', '{2}', '{1,2}', '{0,}', '*?', '+?', '??'];
+
+function randomPattern(next, depth = 0) {
+  const pick = (list) => list[Math.floor(next() * list.length)];
+  const items = [];
+  const length = 1 + Math.floor(next() * 4);
+  for (let i = 0; i < length; i++) {
+    const roll = next();
+    if (roll < 0.15) items.push(pick(ASSERTIONS));
+    else if (roll < 0.35 && depth < 2) items.push(`(${next() < 0.5 ? '?:' : ''}${randomPattern(next, depth + 1)})${pick(QUANTIFIERS)}`);
+    else items.push(`${pick(ATOMS)}${pick(QUANTIFIERS)}`);
+  }
+  const sequence = items.join('');
+  return next() < 0.2 ? `${sequence}|${randomPattern(next, depth + 1)}` : sequence;
+}
+
+function randomInput(next) {
+  const chars = 'abc1 -./';
+  return Array.from({ length: Math.floor(next() * 10) }, () => chars[Math.floor(next() * chars.length)]).join('');
+}
+
+test('compileRegex finds the same matches as RegExp', () => {
+  const next = random(2024);
+  for (let i = 0; i < 400; i++) {
+    const pattern = randomPattern(next);
+    const expected = new RegExp(pattern);
+    const compiled = compileRegex(pattern);
+    for (let j = 0; j < 25; j++) {
+      const input = randomInput(next);
+      assert.equal(compiled.test(input), expected.test(input), `/${pattern}/ on ${JSON.stringify(input)}`);
+    }
+  }
+});
+
+test('compileRegex handles escapes, classes and counted repeats like RegExp', () => {
+  const cases = [
+    ['^https://(staging|prod)\\.example\\.com/tickets/\\d+', ['https://prod.example.com/tickets/12', 'https://dev.example.com/tickets/1', 'https://staging.example.com/tickets/']],
+    ['\\x41\\u0042[\\]x]', ['AB]', 'ABx', 'AB-']],
+    ['a{2,3}$', ['aa', 'aaaa', 'a']],
+    ['[^/]+/$', ['abc/', '/', 'a/b']],
+  ];
+  for (const [pattern, inputs] of cases) {
+    const compiled = compileRegex(pattern);
+    for (const input of inputs) assert.equal(compiled.test(input), new RegExp(pattern).test(input), `/${pattern}/ on ${input}`);
+  }
+});
+
+test('compileRegex refuses what it cannot run in linear time', () => {
+  assert.throws(() => compileRegex('(?=a)b'), /not supported/);
+  assert.throws(() => compileRegex('(?<!a)b'), /not supported/);
+  assert.throws(() => compileRegex('(a)\\1'), /not supported/);
+  assert.throws(() => compileRegex('('), SyntaxError);
+});
@@ -0,0 +1,17 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { isVolatileSegment, wildcardSelector } from '../lib/selectors.js';
+
+test('isVolatileSegment spots counters and hashes but keeps words with a short number', () => {
+  for (const segment of ['3', '17', 'ember123', '13cymwt', '1x2y3z4']) assert.equal(isVolatileSegment(segment), true, segment);
+  for (const segment of ['react', 'line2', 'utf16le', 'input', 'step10']) assert.equal(isVolatileSegment(segment), false, segment);
+});
+
+test('wildcardSelector replaces generated id and class parts with *', () => {
+  assert.equal(wildcardSelector('#react-select-3-input'), '#react-select-*-input');
+  assert.equal(wildcardSelector('#mat-input-17'), '#mat-input-*');
+  assert.equal(wildcardSelector('div.css-13cymwt > input#ember123'), 'div.css-* > input#ember*');
+  assert.equal(wildcardSelector('#login-form >>> input[name="field-3"]'), '#login-form >>> input[name="field-3"]', 'quoted values are kept');
+  assert.equal(wildcardSelector('#email'), '#email');
+  assert.equal(wildcardSelector(undefined), '');
+});
@@ -0,0 +1,67 @@
+import { beforeEach, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { resetStorage } from './helpers/chrome.js';
+import { VERSION, load, save, addEntry, deleteEntry } from '../lib/storage.js';
+import { MAX_SNAPSHOTS, takeSnapshot, listSnapshots, getSnapshot, restoreSnapshot, sealSnapshots } from '../lib/snapshots.js';
+import { createVault, storeSessionKey, decryptValue } from '../lib/vault.js';
+
+function entry(id, extra = {}) {
+  return { id, value: `value ${id}`, contextType: 'domain', contextKey: 'https://example.com', createdAt: 1, ...extra };
+}
+
+beforeEach(resetStorage);
+
+test('a daily snapshot is only taken when something changed', async () => {
+  await addEntry(entry('a'));
+  assert.equal(await takeSnapshot('daily'), true);
+  assert.equal(await takeSnapshot('daily'), false);
+  assert.equal(await takeSnapshot('import'), true, 'other reasons always snapshot');
+  await addEntry(entry('b'));
+  assert.equal(await takeSnapshot('daily'), true);
+});
+
+test('listSnapshots lists the newest first, at most MAX_SNAPSHOTS, counting entries not in the trash', async () => {
+  await addEntry(entry('a'));
+  await addEntry(entry('b'));
+  await deleteEntry('b');
+  for (let i = 0; i < MAX_SNAPSHOTS + 2; i++) await takeSnapshot(i === 0 ? 'daily' : 'import');
+  const list = await listSnapshots();
+  assert.equal(list.length, MAX_SNAPSHOTS);
+  assert.equal(list[0].reason, 'import');
+  assert.ok(list[0].at >= list[list.length - 1].at);
+  assert.equal(list[0].entryCount, 1);
+  assert.equal((await getSnapshot(list[0].id)).entries.length, 2);
+});
+
+test('restoreSnapshot brings back the library after snapshotting the current one', async () => {
+  await save({ version: VERSION, entries: [entry('a')], settings: { theme: 'dark' } });
+  await takeSnapshot('daily');
+  const [{ id }] = await listSnapshots();
+  await save({ ...(await load()), entries: [entry('b')], settings: { theme: 'light' } });
+
+  await restoreSnapshot(id);
+  const restored = await load();
+  assert.deepEqual(restored.entries.map((e) => e.id), ['a']);
+  assert.deepEqual(restored.settings, { theme: 'dark' });
+  const [newest] = await listSnapshots();
+  assert.equal(newest.reason, 'restore');
+  assert.deepEqual((await getSnapshot(newest.id)).entries.map((e) => e.id), ['b']);
+  await assert.rejects(restoreSnapshot('missing'), /not found/);
+});
+
+test('snapshots taken before the vault was turned on are encrypted with it', async () => {
+  await addEntry(entry('a'));
+  await takeSnapshot('daily');
+  const { id } = (await listSnapshots())[0];
+  await assert.rejects(sealSnapshots(), /Unlock the vault/);
+
+  const { config, key } = await createVault('passphrase');
+  await save({ ...(await load()), vault: config });
+  await assert.rejects(restoreSnapshot(id), /another vault setting/, 'its values are not sealed for this vault');
+  await storeSessionKey(key, config);
+  await sealSnapshots();
+  const [sealed] = (await getSnapshot(id)).entries;
+  assert.equal(sealed.value, '');
+  assert.equal(await decryptValue(key, sealed.enc), 'value a');
+  assert.equal((await listSnapshots()).find((s) => s.id === id).encrypted, true);
+});
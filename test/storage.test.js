@@ -0,0 +1,246 @@
+import { beforeEach, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { resetStorage } from './helpers/chrome.js';
+import {
+  STORAGE_KEY,
+  VERSION,
+  SYNC_QUOTA,
+  entryKey,
+  load,
+  save,
+  addEntry,
+  getEntryById,
+  updateEntries,
+  reviseEntry,
+  getStorageUsage,
+  deleteEntry,
+  restoreEntry,
+  purgeEntry,
+  purgeTrash,
+  isTrashed,
+  isExpired,
+  expireEntries,
+  recordUse,
+  getUsage,
+  describeStorageError,
+} from '../lib/storage.js';
+
+const sync = chrome.storage.sync;
+const local = chrome.storage.local;
+
+function entry(id, extra = {}) {
+  return { id, value: `value ${id}`, contextType: 'domain', contextKey: 'https://example.com', createdAt: 1, ...extra };
+}
+
+beforeEach(resetStorage);
+
+test('save keeps the index and each entry in their own sync items', async () => {
+  await save({ version: VERSION, entries: [entry('a'), entry('b')], settings: { theme: 'dark' } });
+  const items = sync.peek();
+  assert.deepEqual(Object.keys(items).sort(), [STORAGE_KEY, entryKey('a'), entryKey('b')]);
+  assert.deepEqual(items[STORAGE_KEY], { version: VERSION, settings: { theme: 'dark' } });
+  assert.equal(items[entryKey('a')].value, 'value a');
+
+  await save({ version: VERSION, entries: [entry('b')] });
+  assert.deepEqual(Object.keys(sync.peek()).sort(), [STORAGE_KEY, entryKey('b')], 'removed entries lose their item');
+  assert.deepEqual(sync.peek()[STORAGE_KEY].settings, { theme: 'dark' }, 'settings are kept when omitted');
+});
+
+test('load lists entries by creation time with the settings', async () => {
+  await save({ version: VERSION, entries: [entry('late', { createdAt: 9 }), entry('early', { createdAt: 2 })], settings: { a: 1 } });
+  const data = await load();
+  assert.equal(data.version, VERSION);
+  assert.deepEqual(data.entries.map((e) => e.id), ['early', 'late']);
+  assert.deepEqual(data.settings, { a: 1 });
+  assert.equal(typeof data.revision, 'string');
+});
+
+test('load reads the legacy single-item layout without writing', async () => {
+  await sync.set({
+    [STORAGE_KEY]: { version: 1, entries: [{ id: 'a', value: 'from blob' }, { value: 'no id' }] },
+    [entryKey('a')]: { ...entry('a'), value: 'split' },
+  });
+  const before = structuredClone(sync.peek());
+  const { entries } = await load();
+  assert.deepEqual(entries.map((e) => e.value).sort(), ['no id', 'split'], 'split entries win over the blob copy');
+  assert.deepEqual(sync.peek(), before);
+});
+
+test('a save over a sync quota is refused before anything is written', async () => {
+  await save({ version: VERSION, entries: [entry('a')] });
+  const before = structuredClone(sync.peek());
+
+  const large = entry('large', { value: 'x'.repeat(SYNC_QUOTA.bytesPerItem) });
+  await assert.rejects(save({ version: VERSION, entries: [entry('a'), large] }), /QUOTA_BYTES_PER_ITEM/);
+  assert.deepEqual(sync.peek(), before);
+
+  const many = Array.from({ length: 20 }, (_, i) => entry(`e${i}`, { value: 'x'.repeat(6000) }));
+  await assert.rejects(save({ version: VERSION, entries: many }), /QUOTA_BYTES quota exceeded/);
+  assert.deepEqual(sync.peek(), before);
+
+  const items = Array.from({ length: SYNC_QUOTA.maxItems }, (_, i) => entry(`n${i}`, { value: '' }));
+  await assert.rejects(save({ version: VERSION, entries: items }), /MAX_ITEMS/);
+  assert.deepEqual(sync.peek(), before);
+});
+
+test('save refuses to overwrite values changed after they were loaded', async () => {
+  await save({ version: VERSION, entries: [entry('a')] });
+  const loaded = await load();
+  await addEntry(entry('b'));
+  await assert.rejects(save({ ...loaded, entries: [] }), /CHANGED_SINCE_LOAD/);
+  assert.ok(sync.peek()[entryKey('b')]);
+
+  const fresh = await load();
+  await save({ ...fresh, entries: fresh.entries.filter((e) => e.id !== 'a') });
+  assert.deepEqual((await load()).entries.map((e) => e.id), ['b']);
+});
+
+test('describeStorageError explains quota and concurrency failures', () => {
+  assert.match(describeStorageError(new Error('QUOTA_BYTES_PER_ITEM quota exceeded')), /too large to sync/);
+  assert.match(describeStorageError(new Error('QUOTA_BYTES quota exceeded')), /Sync storage is full/);
+  assert.match(describeStorageError(new Error('MAX_ITEMS quota exceeded')), /at most/);
+  assert.match(describeStorageError(new Error('CHANGED_SINCE_LOAD: …')), /changed meanwhile/);
+  assert.equal(describeStorageError(new Error('Network down')), null);
+});
+
+test('device-only entries are kept in local storage and move when the flag changes', async () => {
+  await addEntry(entry('secret', { storageArea: 'local' }));
+  assert.equal(sync.peek()[entryKey('secret')], undefined);
+  assert.equal(local.peek()[entryKey('secret')].value, 'value secret');
+  assert.equal((await load()).entries[0].storageArea, 'local');
+
+  await updateEntries({ secret: { storageArea: 'sync' } });
+  assert.equal(local.peek()[entryKey('secret')], undefined);
+  assert.equal(sync.peek()[entryKey('secret')].storageArea, 'sync');
+});
+
+test('loading device-only entries does not read the rest of local storage', async () => {
+  await addEntry(entry('secret', { storageArea: 'local' }));
+  await local.set({ 'lazyForms:snapshots': [{ id: 'big' }] });
+  const get = local.get;
+  const reads = [];
+  local.get = (keys) => {
+    reads.push(keys);
+    return get(keys);
+  };
+  try {
+    assert.deepEqual((await load()).entries.map((e) => e.id), ['secret']);
+  } finally {
+    local.get = get;
+  }
+  assert.ok(!reads.includes(null));
+  assert.ok(!reads.flat().includes('lazyForms:snapshots'));
+});
+
+test('deleted entries stay stored in the trash until restored or purged', async () => {
+  await addEntry(entry('a', { shortcut: 'Ctrl+Alt+1' }));
+  await deleteEntry('a');
+  assert.ok(isTrashed(await getEntryById('a')));
+
+  await restoreEntry('a', { shortcut: undefined });
+  const restored = await getEntryById('a');
+  assert.equal(isTrashed(restored), false);
+  assert.equal(restored.shortcut, undefined);
+
+  await deleteEntry('a');
+  await purgeEntry('a');
+  assert.equal(await getEntryById('a'), undefined);
+});
+
+test('purgeTrash removes entries deleted before the cut-off from both areas', async () => {
+  await addEntry(entry('old'));
+  await addEntry(entry('old-local', { storageArea: 'local' }));
+  await addEntry(entry('recent'));
+  await addEntry(entry('kept'));
+  await updateEntries({ old: { deletedAt: 100 }, 'old-local': { deletedAt: 100 }, recent: { deletedAt: 300 } });
+  assert.equal(await purgeTrash(200), 2);
+  assert.deepEqual((await load()).entries.map((e) => e.id).sort(), ['kept', 'recent']);
+  assert.equal(await purgeTrash(), 1);
+  assert.deepEqual((await load()).entries.map((e) => e.id), ['kept']);
+});
+
+test('reviseEntry records history and drops the oldest revisions to fit the item quota', async () => {
+  const device = { id: 'd1', name: 'Laptop' };
+  await addEntry(entry('a'));
+  await reviseEntry('a', { value: 'second' }, device);
+  assert.deepEqual((await getEntryById('a')).history.map((rev) => rev.prev.value), ['value a']);
+
+  for (let i = 0; i < 3; i++) await reviseEntry('a', { value: String(i).repeat(3000) }, device);
+  const stored = await getEntryById('a');
+  assert.ok(JSON.stringify(stored).length < SYNC_QUOTA.bytesPerItem);
+  assert.equal(stored.value, '2'.repeat(3000));
+  assert.ok(stored.history.length < 4);
+});
+
+test('synced histories together stay within a quarter of the sync quota, trashed entries first', async () => {
+  const device = { id: 'd1', name: 'Laptop' };
+  const history = (from) => Array.from({ length: 4 }, (_, i) => ({ at: from + i, device, prev: { value: 'y'.repeat(600) } }));
+  const ids = ['a', 'b', 'c', 'd', 'e', 'f', 'g'];
+  for (const id of ids) await addEntry(entry(id, { value: 'x'.repeat(600), history: history(1) }));
+  // Trashed, but with newer revisions than all the others
+  await addEntry(entry('t', { value: 'x'.repeat(600), history: history(100), deletedAt: 200 }));
+  for (let round = 0; round < 2; round++) {
+    for (const id of ids) await reviseEntry(id, { value: `${round}${id}`.repeat(300) }, device);
+  }
+  const usage = await getStorageUsage();
+  const historyBytes = usage.entries.reduce((sum, e) => sum + e.historyBytes, 0);
+  assert.ok(historyBytes <= SYNC_QUOTA.bytes / 4, `${historyBytes} bytes of history`);
+  assert.equal((await getEntryById('t')).history, undefined, 'the trashed entry lost its revisions first');
+  assert.ok((await getEntryById('g')).history.length >= 4);
+});
+
+test('recordUse counts uses on this device without rewriting the entry', async () => {
+  await addEntry(entry('a'));
+  const stored = await getEntryById('a');
+  await recordUse('a', 10);
+  await recordUse('a', 20);
+  assert.deepEqual(await getUsage(), { a: { useCount: 2, lastUsedAt: 20 } });
+  assert.deepEqual(await getEntryById('a'), stored);
+
+  await deleteEntry('a');
+  await purgeTrash();
+  assert.deepEqual(await getUsage(), {}, 'purged entries are forgotten');
+});
+
+test('isExpired by date or spent uses', () => {
+  assert.equal(isExpired(entry('a'), 50), false);
+  assert.equal(isExpired(entry('a', { expiresAt: 50 }), 50), true);
+  assert.equal(isExpired(entry('a', { expiresAt: 51 }), 50), false);
+  assert.equal(isExpired(entry('a', { usesLeft: 0 })), true);
+  assert.equal(isExpired(entry('a', { usesLeft: 1 })), false);
+});
+
+test('recordUse counts down uses left and trashes the entry after the last one', async () => {
+  await addEntry(entry('a', { usesLeft: 2 }));
+  await recordUse('a', 10);
+  assert.equal((await getEntryById('a')).usesLeft, 1);
+  await recordUse('a', 20);
+  const spent = await getEntryById('a');
+  assert.equal(spent.usesLeft, 0);
+  assert.equal(spent.deletedAt, 20);
+  await recordUse('a', 30);
+  assert.equal((await getEntryById('a')).deletedAt, 20, 'uses of a trashed entry leave it as it is');
+});
+
+test('expireEntries moves entries past their date to the trash', async () => {
+  await addEntry(entry('past', { expiresAt: 100 }));
+  await addEntry(entry('future', { expiresAt: 300 }));
+  await addEntry(entry('forever'));
+  assert.equal(await expireEntries(200), 1);
+  assert.equal((await getEntryById('past')).deletedAt, 200);
+  assert.equal(isTrashed(await getEntryById('future')), false);
+  assert.equal(await expireEntries(200), 0);
+});
+
+test('getStorageUsage reports each area and lists the largest entries first', async () => {
+  await addEntry(entry('small'));
+  await addEntry(entry('large', { value: 'x'.repeat(2000) }));
+  await addEntry(entry('secret', { storageArea: 'local' }));
+  const usage = await getStorageUsage();
+  assert.equal(usage.sync.items, 2);
+  assert.equal(usage.local.items, 1);
+  assert.equal(usage.entries[0].id, 'large');
+  assert.ok(usage.entries[0].bytes > 2000);
+  assert.equal(usage.entries.find((e) => e.id === 'secret').area, 'local');
+  assert.equal(usage.quota, SYNC_QUOTA);
+});
@@ -0,0 +1,46 @@
+import { before, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { resetStorage } from './helpers/chrome.js';
+import { createVault, unlockVault, storeSessionKey, getSessionKey, clearSessionKey, sealValue, openEntry, sealHistory, openHistory } from '../lib/vault.js';
+
+// Key derivation is slow on purpose: one vault for all tests
+let vault;
+before(async () => {
+  await resetStorage();
+  vault = await createVault('correct horse');
+});
+
+test('unlockVault accepts only the passphrase the vault was created with', async () => {
+  assert.ok(await unlockVault(vault.config, 'correct horse'));
+  assert.equal(await unlockVault(vault.config, 'wrong'), null);
+});
+
+test('sealed values open with the key and stay locked without it', async () => {
+  const sealed = await sealValue(vault.key, 'secret');
+  assert.equal(sealed.value, '');
+  assert.ok(sealed.enc.iv && sealed.enc.ct);
+  const entry = { id: 'e', label: 'Token', ...sealed };
+  assert.deepEqual(await openEntry(vault.key, entry), { id: 'e', label: 'Token', value: 'secret', enc: undefined });
+  assert.deepEqual(await openEntry(null, entry), { ...entry, value: '', locked: true });
+  assert.deepEqual(await sealValue(null, 'plain'), { value: 'plain', enc: undefined });
+});
+
+test('history values are sealed and opened with the entry', async () => {
+  const history = [{ at: 1, prev: { value: 'old' } }, { at: 2, prev: { label: 'Old label' } }];
+  const sealed = await sealHistory(vault.key, history);
+  assert.equal(sealed[0].prev.value, '');
+  assert.ok(sealed[0].prev.enc);
+  assert.equal(sealed[1], history[1], 'revisions that did not change the value are kept');
+  const opened = await openHistory(vault.key, sealed);
+  assert.deepEqual(opened[0].prev, { value: 'old', enc: null });
+});
+
+test('the session key is only returned for the vault it was stored for', async () => {
+  await storeSessionKey(vault.key, vault.config);
+  const key = await getSessionKey(vault.config);
+  assert.equal((await openEntry(key, await sealValue(vault.key, 'v'))).value, 'v');
+  assert.equal(await getSessionKey({ ...vault.config, salt: 'other' }), null);
+  assert.equal(await getSessionKey(undefined), null);
+  await clearSessionKey();
+  assert.equal(await getSessionKey(vault.config), null);
+});